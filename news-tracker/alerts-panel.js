@@ -0,0 +1,283 @@
+// Alerts panel for AI News Tracker
+// Saves searches, shows how many new articles each has matched, fires
+// desktop notifications for the ones that ask for them, and lists the
+// recent alert history
+
+import { clearAlertHistory, getAlertHistory, getSavedSearches } from './storage.js';
+import { searchArticles } from './filters.js';
+import { formatDate, isMockArticle } from './rss-proxy.js';
+import { escapeHtml, sanitizeUrl } from './sanitize.js';
+import {
+    checkSavedSearches,
+    createSavedSearch,
+    deleteSavedSearch,
+    getNewMatchCount,
+    markSavedSearchSeen,
+    updateSavedSearch
+} from './alerts.js';
+import { showPanelStatus } from './backup-panel.js';
+import { viewingArchive } from './archive-panel.js';
+import { allArticles, currentQuery, showSearch } from './script.js';
+
+const HISTORY_SHOWN = 20;
+
+// DOM elements
+const alertsPanel = document.getElementById('alerts-panel');
+const alertsToggle = document.getElementById('alerts-toggle');
+const alertList = document.getElementById('alert-list');
+const alertForm = document.getElementById('alert-form');
+const alertHistory = document.getElementById('alert-history');
+const alertsStatus = document.getElementById('alerts-status');
+
+// Wire up the panel controls
+export function initializeAlertsPanel() {
+    alertsToggle.addEventListener('click', toggleAlertsPanel);
+    alertForm.addEventListener('submit', handleSaveSearch);
+
+    document.getElementById('alert-history-clear').addEventListener('click', () => {
+        if (!confirm('Clear the alert history?')) return;
+
+        if (clearAlertHistory()) {
+            renderAlertHistory();
+        }
+    });
+
+    updateAlertsBadge();
+}
+
+function toggleAlertsPanel() {
+    const isOpening = alertsPanel.classList.contains('hidden');
+    alertsPanel.classList.toggle('hidden');
+    alertsToggle.classList.toggle('active', isOpening);
+
+    if (isOpening) {
+        alertsStatus.textContent = '';
+        alertForm.elements.query.value = currentQuery;
+        renderAlertsPanel();
+    }
+}
+
+// Run the saved searches over freshly loaded articles: badge and notify new
+// matches. Skipped while browsing the archive, whose old articles would
+// otherwise all count as new.
+export function runSavedSearches(articles) {
+    if (viewingArchive) return;
+
+    const results = checkSavedSearches(articles.filter(article => !isMockArticle(article)));
+    notifyMatches(results);
+    updateAlertsBadge();
+
+    if (!alertsPanel.classList.contains('hidden')) {
+        renderAlertsPanel();
+    }
+}
+
+// Total new matches on the toolbar button
+export function updateAlertsBadge() {
+    const count = getNewMatchCount();
+    let badge = alertsToggle.querySelector('.filter-count');
+
+    alertsToggle.title = count > 0 ? `${count} new ${count === 1 ? 'match' : 'matches'} for your saved searches` : '';
+
+    if (count === 0) {
+        badge?.remove();
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'filter-count';
+        alertsToggle.appendChild(badge);
+    }
+    badge.textContent = count;
+    badge.setAttribute('aria-label', `${count} new`);
+}
+
+function renderAlertsPanel() {
+    renderAlertList();
+    renderAlertHistory();
+}
+
+function renderAlertList() {
+    alertList.innerHTML = '';
+
+    const searches = getSavedSearches();
+    if (searches.length === 0) {
+        alertList.innerHTML = '<li class="source-empty">No saved searches yet. Save one below.</li>';
+        return;
+    }
+
+    searches.forEach(search => {
+        alertList.appendChild(createAlertItem(search));
+    });
+}
+
+// Create a row for a single saved search
+function createAlertItem(search) {
+    const item = document.createElement('li');
+    item.className = 'source-item';
+    item.classList.toggle('disabled', search.muted);
+
+    const matching = viewingArchive ? null : searchArticles(allArticles, search.query).length;
+    const newCount = search.muted ? 0 : search.newIds.length;
+
+    item.innerHTML = `
+        <div class="source-details">
+            <input type="text" class="source-name" value="${escapeHtml(search.name)}" aria-label="Saved search name">
+            <input type="text" class="alert-query" value="${escapeHtml(search.query)}" aria-label="Search query">
+            <span class="source-url">${search.muted ? 'Muted · ' : ''}${matching === null ? '' : `${matching} matching now · `}saved ${escapeHtml(formatDate(search.createdAt).toLowerCase())}</span>
+        </div>
+        <label class="alert-notify">
+            <input type="checkbox" data-action="notify" ${search.notify ? 'checked' : ''}>
+            Notify
+        </label>
+        <button type="button" class="source-action" data-action="show">Show${newCount > 0 ? ` <span class="filter-count" aria-label="${newCount} new">${newCount}</span>` : ''}</button>
+        <button type="button" class="source-action" data-action="mute">${search.muted ? 'Unmute' : 'Mute'}</button>
+        <button type="button" class="source-action danger" data-action="delete">Delete</button>
+    `;
+
+    item.querySelector('.source-name').addEventListener('change', event => {
+        if (runAlertEdit(() => updateSavedSearch(search.id, { name: event.target.value }))) {
+            renderAlertList();
+        }
+    });
+
+    item.querySelector('.alert-query').addEventListener('change', event => {
+        if (runAlertEdit(() => updateSavedSearch(search.id, { query: event.target.value }))) {
+            // Take the new query's current matches as seen
+            runSavedSearches(allArticles);
+        } else {
+            event.target.value = search.query;
+        }
+    });
+
+    item.querySelector('[data-action="notify"]').addEventListener('change', async event => {
+        const notify = event.target.checked && await requestNotificationPermission();
+        event.target.checked = notify;
+        runAlertEdit(() => updateSavedSearch(search.id, { notify: notify }));
+    });
+
+    item.querySelector('[data-action="show"]').addEventListener('click', () => showSavedSearch(search.id));
+
+    item.querySelector('[data-action="mute"]').addEventListener('click', () => {
+        if (runAlertEdit(() => updateSavedSearch(search.id, { muted: !search.muted }))) {
+            updateAlertsBadge();
+            renderAlertList();
+        }
+    });
+
+    item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (!confirm(`Delete the saved search "${search.name}"?`)) return;
+
+        if (runAlertEdit(() => deleteSavedSearch(search.id))) {
+            updateAlertsBadge();
+            renderAlertList();
+        }
+    });
+
+    return item;
+}
+
+function renderAlertHistory() {
+    const history = getAlertHistory().slice(0, HISTORY_SHOWN);
+    if (history.length === 0) {
+        alertHistory.innerHTML = '<li class="source-empty">Nothing has triggered yet.</li>';
+        return;
+    }
+
+    alertHistory.innerHTML = history.map(entry => `
+        <li>
+            <span class="alert-history-meta">${escapeHtml(formatDate(entry.matchedAt))} · ${escapeHtml(entry.searchName)}</span>
+            <a href="${escapeHtml(sanitizeUrl(entry.link))}" target="_blank" rel="noopener noreferrer">${escapeHtml(entry.title)}</a>
+            <span class="alert-history-meta">${escapeHtml(entry.source)}</span>
+        </li>`).join('');
+}
+
+// Apply an edit, or show why it was refused. Returns whether it was saved.
+function runAlertEdit(edit) {
+    try {
+        edit();
+        return true;
+    } catch (error) {
+        showPanelStatus(alertsStatus, `❌ ${error.message}`, 'error');
+        return false;
+    }
+}
+
+async function handleSaveSearch(event) {
+    event.preventDefault();
+
+    const query = alertForm.elements.query.value;
+    const wantsNotify = alertForm.elements.notify.checked;
+    const notify = wantsNotify && await requestNotificationPermission();
+
+    let search = null;
+    if (!runAlertEdit(() => {
+        search = createSavedSearch(query, { name: alertForm.elements.name.value, notify: notify });
+    })) {
+        return;
+    }
+
+    alertForm.reset();
+    runSavedSearches(allArticles);
+    renderAlertsPanel();
+
+    showPanelStatus(alertsStatus, wantsNotify && !notify
+        ? `✅ Saved "${search.name}" without notifications, which are blocked for this page`
+        : `✅ Saved "${search.name}"`, 'success');
+}
+
+// Show a saved search's matches in the grid and clear its new count
+function showSavedSearch(searchId) {
+    const search = getSavedSearches().find(existing => existing.id === searchId);
+    if (!search) return;
+
+    markSavedSearchSeen(searchId);
+    updateAlertsBadge();
+    if (!alertsPanel.classList.contains('hidden')) {
+        renderAlertList();
+    }
+    showSearch(search.query);
+}
+
+// Ask to show notifications the first time an alert wants them. Resolves to
+// whether they can be shown.
+async function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        showPanelStatus(alertsStatus, '❌ This browser does not support notifications', 'error');
+        return false;
+    }
+    if (Notification.permission === 'granted') return true;
+
+    const permission = Notification.permission === 'denied'
+        ? 'denied'
+        : await Notification.requestPermission();
+    if (permission !== 'granted') {
+        showPanelStatus(alertsStatus, '❌ Notifications are blocked for this page; allow them in your browser\'s site settings', 'error');
+        return false;
+    }
+    return true;
+}
+
+// One notification per saved search with new matches and notifications on
+function notifyMatches(results) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    results.filter(result => result.search.notify).forEach(({ search, articles }) => {
+        const notification = new Notification(`🔔 ${search.name}`, {
+            body: articles.length === 1
+                ? `${articles[0].title} (${articles[0].source})`
+                : `${articles.length} new articles, including "${articles[0].title}"`,
+            // A later notification for the same search replaces this one
+            tag: `newsTracker-${search.id}`
+        });
+
+        notification.addEventListener('click', () => {
+            window.focus();
+            showSavedSearch(search.id);
+            notification.close();
+        });
+    });
+}
+
+console.log('🔔 Alerts panel module loaded');
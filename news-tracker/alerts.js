@@ -0,0 +1,162 @@
+// Saved searches and keyword alerts for AI News Tracker
+// A saved search is a searchArticles() query that is re-run on every load and
+// refresh. Articles it hasn't matched before count as new matches: they are
+// badged until the search is viewed, logged in the alert history and, for
+// searches with notifications on, reported to the caller to notify.
+
+import {
+    addAlertHistory,
+    getSavedSearches,
+    saveSavedSearches
+} from './storage.js';
+import { searchArticles } from './filters.js';
+
+// Matched article IDs remembered per search; the oldest are dropped beyond
+// this, long after those articles have left the feeds
+const MAX_MATCHED_IDS = 500;
+
+function saveSearches(searches) {
+    if (!saveSavedSearches(searches)) {
+        throw new Error('Could not save the saved searches');
+    }
+}
+
+function findSearch(searches, searchId) {
+    const search = searches.find(existing => existing.id === searchId);
+    if (!search) throw new Error('Unknown saved search');
+    return search;
+}
+
+function checkQuery(query) {
+    const trimmed = (query || '').trim();
+    if (!trimmed) {
+        throw new Error('Enter a search to save');
+    }
+    return trimmed;
+}
+
+// Save a search; it starts matching on the next check. Options:
+// { name (defaults to the query), notify }. Returns the new search.
+export function createSavedSearch(query, options = {}) {
+    const searches = getSavedSearches();
+    const trimmed = checkQuery(query);
+    if (searches.some(search => search.query.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`"${trimmed}" is already saved`);
+    }
+
+    const search = {
+        // Random part so searches saved in other browsers merge from backups
+        id: `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: (options.name || '').trim() || trimmed,
+        query: trimmed,
+        notify: Boolean(options.notify),
+        muted: false,
+        createdAt: new Date().toISOString(),
+        // null until the first check, which takes the current matches as seen
+        matchedIds: null,
+        newIds: []
+    };
+
+    searches.push(search);
+    saveSearches(searches);
+    return search;
+}
+
+// Change a saved search's name, query, notify or muted flag. A new query
+// starts over: its current matches are taken as seen on the next check.
+export function updateSavedSearch(searchId, changes) {
+    const searches = getSavedSearches();
+    const search = findSearch(searches, searchId);
+
+    if ('name' in changes) {
+        search.name = (changes.name || '').trim() || search.query;
+    }
+    if ('query' in changes) {
+        const query = checkQuery(changes.query);
+        if (query !== search.query) {
+            search.query = query;
+            search.matchedIds = null;
+            search.newIds = [];
+        }
+    }
+    if ('notify' in changes) {
+        search.notify = Boolean(changes.notify);
+    }
+    if ('muted' in changes) {
+        search.muted = Boolean(changes.muted);
+        // Matches that arrived before muting stop counting too
+        if (search.muted) search.newIds = [];
+    }
+
+    saveSearches(searches);
+    return search;
+}
+
+export function deleteSavedSearch(searchId) {
+    saveSearches(getSavedSearches().filter(search => search.id !== searchId));
+}
+
+// Clear a search's new matches once they have been looked at
+export function markSavedSearchSeen(searchId) {
+    const searches = getSavedSearches();
+    const search = findSearch(searches, searchId);
+    if (search.newIds.length === 0) return;
+
+    search.newIds = [];
+    saveSearches(searches);
+}
+
+// New matches across the saved searches that aren't muted
+export function getNewMatchCount() {
+    return getSavedSearches()
+        .filter(search => !search.muted)
+        .reduce((total, search) => total + search.newIds.length, 0);
+}
+
+// Run every saved search over the articles and record what they match for
+// the first time. Muted searches keep track of their matches silently.
+// Returns [{ search, articles }] for unmuted searches with new matches.
+export function checkSavedSearches(articles, now = new Date()) {
+    const searches = getSavedSearches();
+    const results = [];
+    const history = [];
+
+    searches.forEach(search => {
+        const matches = searchArticles(articles, search.query);
+        const matchedIds = new Set(search.matchedIds || []);
+        const fresh = search.matchedIds
+            ? matches.filter(article => !matchedIds.has(article.id))
+            : [];
+
+        search.matchedIds = [...matchedIds, ...matches.map(article => article.id).filter(id => !matchedIds.has(id))]
+            .slice(-MAX_MATCHED_IDS);
+
+        if (fresh.length === 0 || search.muted) return;
+
+        search.newIds = [...search.newIds, ...fresh.map(article => article.id)].slice(-MAX_MATCHED_IDS);
+        results.push({ search: search, articles: fresh });
+        fresh.forEach(article => {
+            history.push({
+                searchId: search.id,
+                searchName: search.name,
+                articleId: article.id,
+                title: article.title,
+                link: article.link,
+                source: article.source,
+                matchedAt: now.toISOString()
+            });
+        });
+    });
+
+    if (!saveSavedSearches(searches)) {
+        console.error('Error checking saved searches: matches could not be saved');
+        return [];
+    }
+    if (history.length > 0) {
+        addAlertHistory(history);
+    }
+
+    return results;
+}
+
+console.log('🔔 Alerts module loaded');
@@ -0,0 +1,110 @@
+// Analytics panel for AI News Tracker
+// Charts of weekly volume per category and per source, rising keywords and
+// the most mentioned tools, from the archived article history. Clicking a
+// keyword or tool shows its articles in the grid.
+
+import { getArchivedOrCurrentArticles } from './archive.js';
+import { buildAnalytics, getChartColor, renderBarChart, renderLineChart } from './analytics.js';
+import { WEEK_MS } from './entities.js';
+import { escapeHtml } from './sanitize.js';
+import { allArticles, showSearch } from './script.js';
+
+// DOM elements
+const analyticsPanel = document.getElementById('analytics-panel');
+const analyticsToggle = document.getElementById('analytics-toggle');
+const analyticsPeriod = document.getElementById('analytics-period');
+const analyticsCharts = document.getElementById('analytics-charts');
+const analyticsStatus = document.getElementById('analytics-status');
+
+// Wire up the panel controls
+export function initializeAnalyticsPanel() {
+    analyticsToggle.addEventListener('click', () => {
+        const isOpening = analyticsPanel.classList.contains('hidden');
+        analyticsPanel.classList.toggle('hidden');
+        analyticsToggle.classList.toggle('active', isOpening);
+
+        if (isOpening) {
+            loadAnalytics();
+        }
+    });
+
+    analyticsPeriod.addEventListener('change', loadAnalytics);
+
+    analyticsCharts.addEventListener('click', event => {
+        const target = event.target.closest('[data-search]');
+        if (target) {
+            showSearch(target.dataset.search);
+        }
+    });
+}
+
+// Articles from the archive for the chosen number of weeks, or the ones on screen
+async function loadAnalytics() {
+    const weeks = parseInt(analyticsPeriod.value, 10);
+    const now = new Date();
+
+    analyticsStatus.textContent = 'Loading…';
+
+    const { articles, fromArchive } = await getArchivedOrCurrentArticles(
+        { from: new Date(now.getTime() - weeks * WEEK_MS) }, allArticles);
+
+    const analytics = buildAnalytics(articles, { now: now, weeks: weeks });
+    analyticsStatus.textContent = fromArchive
+        ? `Based on ${articles.length} archived articles from the last ${weeks} weeks.`
+        : 'Based on the articles on screen.';
+    renderAnalytics(analytics);
+}
+
+function renderAnalytics(analytics) {
+    if (analytics.articleCount === 0) {
+        analyticsCharts.innerHTML = '<p class="source-empty">No articles in this period yet.</p>';
+        return;
+    }
+
+    const keywordItems = analytics.keywords.map(entry => ({
+        label: entry.keyword,
+        value: entry.values[entry.values.length - 1],
+        note: `(▲${entry.change})`,
+        search: entry.keyword.includes(' ') ? `"${entry.keyword}"` : entry.keyword
+    }));
+    const toolItems = analytics.tools.map(entity => ({
+        label: entity.name,
+        value: entity.mentions,
+        search: `entity:${entity.id}`
+    }));
+
+    analyticsCharts.innerHTML = `
+        <div class="analytics-chart">
+            <h4>Articles per week by category</h4>
+            ${renderLineChart(analytics.categories, analytics.weeks, { label: 'Articles per week by category' })}
+            ${renderLegend(analytics.categories)}
+        </div>
+        <div class="analytics-chart">
+            <h4>Articles per week by source</h4>
+            ${renderLineChart(analytics.sources, analytics.weeks, { label: 'Articles per week from the busiest sources' })}
+            ${renderLegend(analytics.sources)}
+        </div>
+        <div class="analytics-chart">
+            <h4>Rising keywords</h4>
+            <p class="panel-hint">Articles mentioning each keyword this week, and the rise since last week.</p>
+            ${keywordItems.length > 0
+                ? renderBarChart(keywordItems, { label: 'Keywords rising since last week', colorIndex: 2 })
+                : '<p class="source-empty">No keywords rose since last week.</p>'}
+        </div>
+        <div class="analytics-chart">
+            <h4>Top tools</h4>
+            <p class="panel-hint">Articles mentioning each tool in the period.</p>
+            ${toolItems.length > 0
+                ? renderBarChart(toolItems, { label: 'Most mentioned tools', colorIndex: 1 })
+                : '<p class="source-empty">No tools mentioned in this period.</p>'}
+        </div>`;
+}
+
+// Series names with their line colors
+function renderLegend(series) {
+    return `<ul class="chart-legend">${series.map((item, index) => `
+        <li><span class="chart-swatch" style="background: ${getChartColor(index)}"></span>${escapeHtml(item.name)}</li>`).join('')}
+    </ul>`;
+}
+
+console.log('📈 Analytics panel module loaded');
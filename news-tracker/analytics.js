@@ -0,0 +1,240 @@
+// Trend analytics for AI News Tracker
+// Weekly article volume per category and per source, keywords rising week
+// over week and the most mentioned tools, computed from the article history,
+// plus small SVG line and bar charts to draw them without a chart library
+
+import { getAllCategoryIds, getCategoryName } from './filters.js';
+import { STOPWORDS } from './classifier.js';
+import { buildEntityIndex, WEEK_MS } from './entities.js';
+import { escapeXml } from './exporters.js';
+
+export const ANALYTICS_DEFAULTS = {
+    weeks: 8,
+    maxSources: 6,
+    maxKeywords: 10,
+    maxTools: 10,
+    minKeywordCount: 2 // Mentions this week before a keyword can count as rising
+};
+
+// Series colors, reused in order when there are more series than colors
+const CHART_COLORS = ['#ef233c', '#4cc9f0', '#f8961e', '#90be6d', '#b5179e', '#f9c74f', '#577590', '#e5e5e5'];
+
+export function getChartColor(index) {
+    return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+// Week buckets ending at options.now, oldest first: [{ from, to }]. The last
+// one is the 7 days up to now, matching the Tools Index.
+export function getAnalyticsWeeks(options = {}) {
+    const now = options.now || new Date();
+    const weeks = options.weeks || ANALYTICS_DEFAULTS.weeks;
+
+    return Array.from({ length: weeks }, (_, i) => ({
+        from: new Date(now.getTime() - (weeks - i) * WEEK_MS),
+        to: new Date(now.getTime() - (weeks - 1 - i) * WEEK_MS)
+    }));
+}
+
+// Bucket index of a date among the weeks, or -1 outside them
+function getWeekIndex(date, options) {
+    const now = options.now || new Date();
+    const weeks = options.weeks || ANALYTICS_DEFAULTS.weeks;
+    const age = Math.floor((now - new Date(date)) / WEEK_MS);
+    return age >= 0 && age < weeks ? weeks - 1 - age : -1;
+}
+
+// Weekly counts per key: Map of key → counts, oldest week first. getKeys
+// returns the keys an article counts towards.
+function countByWeek(articles, getKeys, options) {
+    const weeks = options.weeks || ANALYTICS_DEFAULTS.weeks;
+    const counts = new Map();
+
+    articles.forEach(article => {
+        const week = getWeekIndex(article.pubDate, options);
+        if (week === -1) return;
+
+        getKeys(article).forEach(key => {
+            if (!counts.has(key)) {
+                counts.set(key, new Array(weeks).fill(0));
+            }
+            counts.get(key)[week]++;
+        });
+    });
+
+    return counts;
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Articles per week in each category (by primary category, so the series add
+// up to the total), in filter bar order: [{ id, name, values }]
+export function getCategoryVolume(articles, options = {}) {
+    const counts = countByWeek(articles, article => [article.category], options);
+
+    return getAllCategoryIds()
+        .filter(id => counts.has(id))
+        .map(id => ({ id: id, name: getCategoryName(id), values: counts.get(id) }));
+}
+
+// Articles per week from the busiest sources: [{ name, values }]
+export function getSourceVolume(articles, options = {}) {
+    const maxSources = options.maxSources || ANALYTICS_DEFAULTS.maxSources;
+    const counts = countByWeek(articles, article => [article.source || 'Unknown'], options);
+
+    return [...counts.entries()]
+        .map(([name, values]) => ({ name: name, values: values }))
+        .sort((a, b) => sum(b.values) - sum(a.values) || a.name.localeCompare(b.name))
+        .slice(0, maxSources);
+}
+
+// Words (and two-word phrases from the title) an article is about, once each
+function getArticleKeywords(article) {
+    const words = text => (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+        .map(word => word.replace(/['-]+$/, ''));
+    const isKeyword = word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+
+    const titleWords = words(article.title || '');
+    const keywords = new Set([...titleWords, ...words(article.description || '')].filter(isKeyword));
+
+    for (let i = 1; i < titleWords.length; i++) {
+        if (isKeyword(titleWords[i - 1]) && isKeyword(titleWords[i])) {
+            keywords.add(`${titleWords[i - 1]} ${titleWords[i]}`);
+        }
+    }
+    return keywords;
+}
+
+// Keywords in more articles this week than last: [{ keyword, values, change }],
+// biggest rise first. Needs options.minKeywordCount articles this week.
+// A word is left out when a phrase containing it rose just as much.
+export function getRisingKeywords(articles, options = {}) {
+    const maxKeywords = options.maxKeywords || ANALYTICS_DEFAULTS.maxKeywords;
+    const minCount = options.minKeywordCount || ANALYTICS_DEFAULTS.minKeywordCount;
+    const counts = countByWeek(articles, getArticleKeywords, options);
+
+    const rising = [...counts.entries()]
+        .map(([keyword, values]) => {
+            const thisWeek = values[values.length - 1];
+            const lastWeek = values.length > 1 ? values[values.length - 2] : 0;
+            return { keyword: keyword, values: values, change: thisWeek - lastWeek, thisWeek: thisWeek };
+        })
+        .filter(entry => entry.thisWeek >= minCount && entry.change > 0);
+
+    const phrases = rising.filter(entry => entry.keyword.includes(' '));
+    return rising
+        .filter(entry => entry.keyword.includes(' ') || !phrases.some(phrase =>
+            phrase.change === entry.change && phrase.keyword.split(' ').includes(entry.keyword)))
+        .sort((a, b) => b.change - a.change || b.thisWeek - a.thisWeek || a.keyword.localeCompare(b.keyword))
+        .slice(0, maxKeywords)
+        .map(({ keyword, values, change }) => ({ keyword: keyword, values: values, change: change }));
+}
+
+// The most mentioned tools in the period: [{ id, name, mentions, weekly, change }]
+export function getTopTools(articles, options = {}) {
+    const maxTools = options.maxTools || ANALYTICS_DEFAULTS.maxTools;
+    const inPeriod = articles.filter(article => getWeekIndex(article.pubDate, options) !== -1);
+
+    return buildEntityIndex(inPeriod, { now: options.now, weeks: options.weeks || ANALYTICS_DEFAULTS.weeks })
+        .filter(entity => entity.type === 'tool')
+        .slice(0, maxTools);
+}
+
+// Everything the analytics view shows, for articles from the stored history
+export function buildAnalytics(articles, options = {}) {
+    const settings = { ...ANALYTICS_DEFAULTS, now: new Date(), ...options };
+    const weeks = getAnalyticsWeeks(settings);
+
+    return {
+        weeks: weeks,
+        articleCount: articles.filter(article => getWeekIndex(article.pubDate, settings) !== -1).length,
+        categories: getCategoryVolume(articles, settings),
+        sources: getSourceVolume(articles, settings),
+        keywords: getRisingKeywords(articles, settings),
+        tools: getTopTools(articles, settings)
+    };
+}
+
+// Charts
+// Plain SVG strings sized by viewBox, so they scale to their container.
+// Every label is escaped; colors come from getChartColor().
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+
+// "Oct 6" for the start of a week
+function formatWeekLabel(week) {
+    return week.from.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// A round axis maximum at or above the largest value
+function getAxisMax(max) {
+    if (max <= 4) return 4;
+    const step = 10 ** Math.floor(Math.log10(max));
+    return Math.ceil(max / step) * step;
+}
+
+// Multi-series line chart of weekly values. series: [{ name, values }],
+// weeks from getAnalyticsWeeks(); options.label describes the chart.
+export function renderLineChart(series, weeks, options = {}) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const axisMax = getAxisMax(Math.max(0, ...series.flatMap(item => item.values)));
+
+    const x = i => CHART_PADDING.left + (weeks.length > 1 ? (i / (weeks.length - 1)) * plotWidth : plotWidth / 2);
+    const y = value => CHART_PADDING.top + plotHeight - (value / axisMax) * plotHeight;
+    const round = value => Math.round(value * 10) / 10;
+
+    const grid = [0, axisMax / 2, axisMax].map(value => `
+        <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${round(y(value))}" y2="${round(y(value))}"/>
+        <text class="chart-axis" x="${CHART_PADDING.left - 6}" y="${round(y(value)) + 4}" text-anchor="end">${round(value)}</text>`).join('');
+
+    // Label every week when they fit, otherwise every other one
+    const labelEvery = weeks.length > 10 ? 2 : 1;
+    const labels = weeks.map((week, i) => (weeks.length - 1 - i) % labelEvery === 0 ? `
+        <text class="chart-axis" x="${round(x(i))}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeXml(formatWeekLabel(week))}</text>` : '').join('');
+
+    const lines = series.map((item, index) => {
+        const color = getChartColor(index);
+        const points = item.values.map((value, i) => `${round(x(i))},${round(y(value))}`).join(' ');
+        const dots = item.values.map((value, i) => `
+            <circle cx="${round(x(i))}" cy="${round(y(value))}" r="3" fill="${color}"><title>${escapeXml(`${item.name}: ${value} in the week of ${formatWeekLabel(weeks[i])}`)}</title></circle>`).join('');
+
+        return `
+        <g class="chart-series">
+            <polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>${dots}
+        </g>`;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeXml(options.label || 'Chart')}">${grid}${labels}${lines}
+    </svg>`;
+}
+
+// Horizontal bar chart. items: [{ label, value, note, search }]; note
+// (optional) is shown after the value, e.g. a week-over-week change, and
+// search (optional) is set as data-search on the bar for click handlers.
+export function renderBarChart(items, options = {}) {
+    const rowHeight = 26;
+    const labelWidth = 150;
+    const valueWidth = 70;
+    const height = Math.max(1, items.length) * rowHeight;
+    const barSpace = CHART_WIDTH - labelWidth - valueWidth;
+    const max = Math.max(1, ...items.map(item => item.value));
+
+    const rows = items.map((item, i) => {
+        const top = i * rowHeight;
+        const width = Math.max(2, Math.round((item.value / max) * barSpace));
+        return `
+        <g class="chart-bar"${item.search ? ` data-search="${escapeXml(item.search)}"` : ''}>
+            <title>${escapeXml(item.search ? `Search for ${item.search}` : item.label)}</title>
+            <text class="chart-label" x="${labelWidth - 8}" y="${top + 17}" text-anchor="end">${escapeXml(item.label)}</text>
+            <rect x="${labelWidth}" y="${top + 5}" width="${width}" height="${rowHeight - 10}" rx="3" fill="${getChartColor(options.colorIndex || 0)}"/>
+            <text class="chart-value" x="${labelWidth + width + 6}" y="${top + 17}">${escapeXml(`${item.value}${item.note ? ` ${item.note}` : ''}`)}</text>
+        </g>`;
+    }).join('');
+
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeXml(options.label || 'Chart')}">${rows}
+    </svg>`;
+}
+
+console.log('📈 Analytics module loaded');
@@ -0,0 +1,127 @@
+// Archive panel for AI News Tracker
+// Shows archive size, edits the retention policy and switches the grid
+// between the latest articles and the full archive
+
+import { categorizeArticle } from './filters.js';
+import {
+    getArchivedArticles,
+    getArchiveRetention,
+    getArchiveStats,
+    pruneArchive,
+    saveArchiveRetention
+} from './archive.js';
+import { clusterArticles } from './clustering.js';
+import { formatDate } from './rss-proxy.js';
+import { allArticles, loadArticles, showArticles, showLoadingState } from './script.js';
+
+// DOM elements
+const archivePanel = document.getElementById('archive-panel');
+const archiveToggle = document.getElementById('archive-toggle');
+const archiveStats = document.getElementById('archive-stats');
+const archiveStatus = document.getElementById('archive-status');
+const archiveBrowseButton = document.getElementById('archive-browse');
+const retentionForm = document.getElementById('retention-form');
+
+// True while the grid shows the archive instead of the latest feeds
+export let viewingArchive = false;
+
+// Wire up the panel controls
+export function initializeArchivePanel() {
+    archiveToggle.addEventListener('click', () => {
+        const isOpening = archivePanel.classList.contains('hidden');
+        archivePanel.classList.toggle('hidden');
+        archiveToggle.classList.toggle('active', isOpening || viewingArchive);
+        if (isOpening) {
+            archiveStatus.textContent = '';
+            fillRetentionForm();
+            renderArchiveStats();
+        }
+    });
+
+    archiveBrowseButton.addEventListener('click', toggleArchiveView);
+    retentionForm.addEventListener('submit', handleRetentionSave);
+}
+
+// Render archive size and date span
+async function renderArchiveStats() {
+    try {
+        const stats = await getArchiveStats();
+        const span = stats.count > 0
+            ? `from ${formatDate(stats.oldest)} to ${formatDate(stats.newest)}`
+            : 'nothing archived yet';
+
+        archiveStats.innerHTML = `<strong>${stats.count}</strong> articles archived, ${span}`;
+    } catch (error) {
+        console.error('Error reading archive:', error);
+        archiveStats.textContent = `Archive unavailable: ${error.message}`;
+    }
+}
+
+function fillRetentionForm() {
+    const retention = getArchiveRetention();
+    retentionForm.maxAgeDays.value = retention.maxAgeDays;
+    retentionForm.maxArticles.value = retention.maxArticles;
+}
+
+// Save the retention policy and apply it straight away
+async function handleRetentionSave(event) {
+    event.preventDefault();
+
+    const retention = {
+        maxAgeDays: Math.max(0, parseInt(retentionForm.maxAgeDays.value, 10) || 0),
+        maxArticles: Math.max(0, parseInt(retentionForm.maxArticles.value, 10) || 0)
+    };
+
+    if (!saveArchiveRetention(retention)) {
+        showArchiveStatus('❌ Could not save the retention policy', 'error');
+        return;
+    }
+
+    try {
+        const deleted = await pruneArchive(retention);
+        showArchiveStatus(`Retention saved. ${deleted} articles removed.`, 'success');
+        renderArchiveStats();
+    } catch (error) {
+        showArchiveStatus(`❌ ${error.message}`, 'error');
+    }
+}
+
+// Switch the grid between the archive and the latest feeds
+async function toggleArchiveView() {
+    viewingArchive = !viewingArchive;
+    archiveBrowseButton.textContent = viewingArchive ? 'Back to Latest' : 'Browse Archive';
+    archiveToggle.classList.toggle('active', viewingArchive || !archivePanel.classList.contains('hidden'));
+
+    if (!viewingArchive) {
+        await loadArticles();
+        return;
+    }
+
+    showLoadingState();
+    try {
+        const records = await getArchivedArticles();
+
+        // Re-categorize so corrections and rule changes apply to old articles too,
+        // then group each story's coverage like the latest feeds
+        showArticles(clusterArticles(records
+            .map(categorizeArticle)
+            .filter(article => article !== null))
+            .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate)));
+
+        console.log(`🗄️ Showing ${allArticles.length} archived articles`);
+    } catch (error) {
+        console.error('Error loading archive:', error);
+        viewingArchive = false;
+        archiveBrowseButton.textContent = 'Browse Archive';
+        showArchiveStatus(`❌ ${error.message}`, 'error');
+        await loadArticles();
+    }
+}
+
+function showArchiveStatus(message, type) {
+    archiveStatus.textContent = message;
+    archiveStatus.classList.remove('success', 'error');
+    archiveStatus.classList.add(type);
+}
+
+console.log('🗄️ Archive panel module loaded');
@@ -0,0 +1,225 @@
+// IndexedDB article archive for AI News Tracker
+// Keeps every article ever seen (not just the last hour's cache), indexed by
+// date, source and category, and pruned by a configurable retention policy
+
+import { categorizeArticle } from './filters.js';
+import { getFavorites, getPreferences, savePreferences } from './storage.js';
+
+const ARCHIVE_DB_NAME = 'newsTracker';
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_STORE = 'articles';
+
+const DEFAULT_ARCHIVE_RETENTION = {
+    maxAgeDays: 365,   // Drop articles published longer ago than this (0 keeps forever)
+    maxArticles: 5000  // Keep at most this many, newest first (0 for no limit)
+};
+
+let archiveDbPromise = null;
+
+// Open (and on first use, create) the archive database
+function openArchive() {
+    if (!archiveDbPromise) {
+        archiveDbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in globalThis)) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const store = db.createObjectStore(ARCHIVE_STORE, { keyPath: 'id' });
+                store.createIndex('pubDate', 'pubDate');
+                store.createIndex('source', 'source');
+                store.createIndex('categories', 'categories', { multiEntry: true });
+                store.createIndex('firstSeenAt', 'firstSeenAt');
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry on the next call if opening failed
+        archiveDbPromise.catch(() => {
+            archiveDbPromise = null;
+        });
+    }
+    return archiveDbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Resolve when a transaction commits
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Archive record for an article: ISO dates so the pubDate index sorts
+// chronologically, and a categories array for the multi-entry index
+function toArchiveRecord(article, existing) {
+    const { isFavorite, ...fields } = article;
+    const pubDate = new Date(article.pubDate);
+    const now = new Date().toISOString();
+
+    return {
+        ...fields,
+        pubDate: isNaN(pubDate) ? now : pubDate.toISOString(),
+        categories: Array.isArray(article.categories) ? article.categories : [article.category],
+        firstSeenAt: existing?.firstSeenAt || now,
+        lastSeenAt: now
+    };
+}
+
+// Add or update articles, keeping when each was first seen
+export async function archiveArticles(articles) {
+    const db = await openArchive();
+    const transaction = db.transaction(ARCHIVE_STORE, 'readwrite');
+    const store = transaction.objectStore(ARCHIVE_STORE);
+
+    articles.forEach(article => {
+        const lookup = store.get(article.id);
+        lookup.onsuccess = () => {
+            store.put(toArchiveRecord(article, lookup.result));
+        };
+    });
+
+    await transactionDone(transaction);
+    return articles.length;
+}
+
+// Query the archive, newest first. Options: { source, category, from, to, limit }
+export async function getArchivedArticles(options = {}) {
+    const db = await openArchive();
+    const store = db.transaction(ARCHIVE_STORE).objectStore(ARCHIVE_STORE);
+
+    let records;
+    if (options.category) {
+        records = await promisifyRequest(store.index('categories').getAll(options.category));
+    } else if (options.source) {
+        records = await promisifyRequest(store.index('source').getAll(options.source));
+    } else {
+        const from = options.from ? new Date(options.from).toISOString() : null;
+        const to = options.to ? new Date(options.to).toISOString() : null;
+        const range = from && to ? IDBKeyRange.bound(from, to)
+            : from ? IDBKeyRange.lowerBound(from)
+            : to ? IDBKeyRange.upperBound(to)
+            : null;
+        records = await promisifyRequest(store.index('pubDate').getAll(range));
+    }
+
+    // Apply the filters the chosen index didn't cover
+    const filtered = records.filter(record =>
+        (!options.source || record.source === options.source) &&
+        (!options.from || record.pubDate >= new Date(options.from).toISOString()) &&
+        (!options.to || record.pubDate <= new Date(options.to).toISOString())
+    );
+
+    filtered.sort((a, b) => (a.pubDate < b.pubDate ? 1 : -1));
+    return options.limit ? filtered.slice(0, options.limit) : filtered;
+}
+
+// Archived articles published in range ({ from, to }), re-categorized so
+// corrections and rule changes apply to them too. Falls back to
+// currentArticles when the archive has none (or fails).
+// Resolves to { articles, fromArchive }.
+export async function getArchivedOrCurrentArticles(range, currentArticles) {
+    try {
+        const records = await getArchivedArticles({ from: range.from, to: range.to });
+        const archived = records
+            .map(categorizeArticle)
+            .filter(article => article !== null);
+
+        if (archived.length > 0) {
+            return { articles: archived, fromArchive: true };
+        }
+    } catch (error) {
+        console.warn('Could not read the archive:', error);
+    }
+    return { articles: currentArticles, fromArchive: false };
+}
+
+// Article count and date span of the archive
+export async function getArchiveStats() {
+    const db = await openArchive();
+    const index = db.transaction(ARCHIVE_STORE).objectStore(ARCHIVE_STORE).index('pubDate');
+
+    const [count, oldest, newest] = await Promise.all([
+        promisifyRequest(index.count()),
+        promisifyRequest(index.openCursor(null, 'next')),
+        promisifyRequest(index.openCursor(null, 'prev'))
+    ]);
+
+    return {
+        count: count,
+        oldest: oldest ? oldest.value.pubDate : null,
+        newest: newest ? newest.value.pubDate : null
+    };
+}
+
+// Retention policy from preferences, falling back to the defaults
+export function getArchiveRetention() {
+    return { ...DEFAULT_ARCHIVE_RETENTION, ...getPreferences().archiveRetention };
+}
+
+export function saveArchiveRetention(retention) {
+    const preferences = getPreferences();
+    preferences.archiveRetention = { ...getArchiveRetention(), ...retention };
+    return savePreferences(preferences);
+}
+
+// Delete articles outside the retention policy; favorites are always kept
+export async function pruneArchive(retention = getArchiveRetention()) {
+    const db = await openArchive();
+    const transaction = db.transaction(ARCHIVE_STORE, 'readwrite');
+    const index = transaction.objectStore(ARCHIVE_STORE).index('pubDate');
+    const favoriteIds = new Set(getFavorites().map(f => f.id));
+    const cutoff = retention.maxAgeDays > 0
+        ? new Date(Date.now() - retention.maxAgeDays * 86400000).toISOString()
+        : null;
+
+    let kept = 0;
+    let deleted = 0;
+
+    // Walk newest to oldest so maxArticles keeps the most recent ones
+    await new Promise((resolve, reject) => {
+        const request = index.openCursor(null, 'prev');
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+
+            const tooOld = cutoff && cursor.value.pubDate < cutoff;
+            const overLimit = retention.maxArticles > 0 && kept >= retention.maxArticles;
+
+            if ((tooOld || overLimit) && !favoriteIds.has(cursor.value.id)) {
+                cursor.delete();
+                deleted++;
+            } else {
+                kept++;
+            }
+            cursor.continue();
+        };
+    });
+
+    await transactionDone(transaction);
+    if (deleted > 0) {
+        console.log(`🗄️ Pruned ${deleted} archived articles`);
+    }
+    return deleted;
+}
+
+console.log('🗄️ Archive module loaded');
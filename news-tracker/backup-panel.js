@@ -0,0 +1,150 @@
+// Backup panel for AI News Tracker
+// Exports everything worth keeping to a JSON file and imports it back, and
+// exports reading lists and sources in formats other tools understand
+
+import {
+    clearCache,
+    exportUserData,
+    getFavorites,
+    getFeedSources,
+    importUserData
+} from './storage.js';
+import { getCategoryName, getFavoriteArticles, reloadCategories } from './filters.js';
+import { reloadClassifier } from './classifier.js';
+import { viewingArchive } from './archive-panel.js';
+import { updateAlertsBadge } from './alerts-panel.js';
+import { EXPORT_FORMATS, exportOPML } from './exporters.js';
+import {
+    allArticles,
+    currentFilter,
+    currentQuery,
+    displayedArticles,
+    downloadFile,
+    loadArticles,
+    renderFilterBar,
+    showArticles
+} from './script.js';
+
+// DOM elements
+const backupPanel = document.getElementById('backup-panel');
+const backupToggle = document.getElementById('backup-toggle');
+const backupStatus = document.getElementById('backup-status');
+const backupImportInput = document.getElementById('backup-import-input');
+const exportForm = document.getElementById('export-form');
+const exportStatus = document.getElementById('export-status');
+
+// Wire up the panel controls
+export function initializeBackupPanel() {
+    backupToggle.addEventListener('click', () => {
+        const isOpening = backupPanel.classList.contains('hidden');
+        backupPanel.classList.toggle('hidden');
+        backupToggle.classList.toggle('active', isOpening);
+        if (isOpening) {
+            backupStatus.textContent = '';
+            exportStatus.textContent = '';
+            updateExportScopeLabels();
+        }
+    });
+
+    exportForm.elements.format.innerHTML = Object.entries(EXPORT_FORMATS)
+        .map(([id, format]) => `<option value="${id}">${format.label}</option>`)
+        .join('');
+    exportForm.addEventListener('submit', handleArticleExport);
+
+    document.getElementById('export-opml').addEventListener('click', () => {
+        const sources = getFeedSources();
+        downloadFile('news-tracker-sources.opml', exportOPML(sources), 'text/x-opml');
+        showPanelStatus(exportStatus, `Exported ${sources.length} sources.`, 'success');
+    });
+
+    document.getElementById('backup-export').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`news-tracker-backup-${date}.json`, exportUserData(), 'application/json');
+        showBackupStatus(`Exported ${getFavorites().length} favorites and ${getFeedSources().length} sources.`, 'success');
+    });
+
+    document.getElementById('backup-import').addEventListener('click', () => backupImportInput.click());
+    backupImportInput.addEventListener('change', handleBackupImport);
+}
+
+// Import a backup file in the selected mode, then reload everything it touches
+async function handleBackupImport(event) {
+    const file = event.target.files[0];
+    backupImportInput.value = '';
+    if (!file) return;
+
+    const mode = backupPanel.querySelector('[name="import-mode"]:checked').value;
+    if (mode === 'replace' &&
+        !confirm('Replace your favorites, preferences, sources, categories, saved searches and classifier training with this backup?')) {
+        return;
+    }
+
+    try {
+        const added = importUserData(await file.text(), mode);
+        reloadClassifier();
+        reloadCategories();
+        renderFilterBar();
+        updateAlertsBadge();
+
+        showBackupStatus(mode === 'replace'
+            ? `Restored ${file.name}.`
+            : `Merged ${file.name}: ${added.favorites} favorites, ${added.feeds} sources, ${added.corrections} corrections and ${added.savedSearches} saved searches added.`,
+        'success');
+
+        // Sources may have changed, so fetch rather than reuse the cache
+        clearCache();
+        if (viewingArchive) {
+            showArticles(allArticles);
+        } else {
+            await loadArticles();
+        }
+    } catch (error) {
+        console.error('Error importing backup:', error);
+        showBackupStatus(`❌ ${error.message}`, 'error');
+    }
+}
+
+// Show how many articles each export scope holds
+function updateExportScopeLabels() {
+    const scope = exportForm.elements.scope;
+    scope.options[0].textContent = `Current view (${displayedArticles.length})`;
+    scope.options[1].textContent = `Favorites (${getFavoriteArticles(allArticles).length})`;
+}
+
+// Export the filtered view or the favorites in the chosen format
+function handleArticleExport(event) {
+    event.preventDefault();
+
+    const format = EXPORT_FORMATS[exportForm.elements.format.value];
+    const scope = exportForm.elements.scope.value;
+    const articles = scope === 'favorites' ? getFavoriteArticles(allArticles) : displayedArticles;
+
+    if (articles.length === 0) {
+        showPanelStatus(exportStatus, '❌ There are no articles to export.', 'error');
+        return;
+    }
+
+    const title = scope === 'favorites'
+        ? 'Favorites'
+        : [getCategoryName(currentFilter), currentQuery && `“${currentQuery}”`].filter(Boolean).join(' · ');
+    const date = new Date().toISOString().slice(0, 10);
+
+    downloadFile(
+        `news-tracker-${scope}-${date}.${format.extension}`,
+        format.build(articles, `AI News Tracker: ${title}`),
+        format.type
+    );
+    showPanelStatus(exportStatus, `Exported ${articles.length} articles as ${format.label}.`, 'success');
+}
+
+function showBackupStatus(message, type) {
+    showPanelStatus(backupStatus, message, type);
+}
+
+export function showPanelStatus(element, message, type) {
+    element.textContent = message;
+    element.classList.remove('success', 'error');
+    element.classList.add(type);
+}
+
+console.log('💾 Backup panel module loaded');
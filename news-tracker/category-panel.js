@@ -0,0 +1,167 @@
+// Category editor panel for AI News Tracker
+// Users can create, rename, reorder and delete categories and edit the
+// keyword lists that sort articles into them. Every edit re-categorizes the
+// loaded articles straight away.
+
+import {
+    createCategory,
+    deleteCategory,
+    FALLBACK_CATEGORY,
+    formatKeywordList,
+    getAIKeywords,
+    getCategories,
+    moveCategory,
+    renameCategory,
+    resetCategories,
+    setAIKeywords,
+    setCategoryKeywords
+} from './filters.js';
+import { clearCache } from './storage.js';
+import { escapeHtml } from './sanitize.js';
+import { showPanelStatus } from './backup-panel.js';
+import { applyCategoryChanges, loadArticles } from './script.js';
+
+// DOM elements
+const categoriesPanel = document.getElementById('categories-panel');
+const categoriesToggle = document.getElementById('categories-toggle');
+const categoryList = document.getElementById('category-list');
+const categoryForm = document.getElementById('category-form');
+const aiKeywordsInput = document.getElementById('ai-keywords');
+const resetButton = document.getElementById('categories-reset');
+const categoriesStatus = document.getElementById('categories-status');
+
+// Set when the AI keywords change. Articles that were filtered out as not
+// AI-related are gone from the cache, so they're refetched on close.
+let relevanceChanged = false;
+
+// Wire up the panel controls
+export function initializeCategoryPanel() {
+    categoriesToggle.addEventListener('click', toggleCategoriesPanel);
+    categoryForm.addEventListener('submit', handleAddCategory);
+    aiKeywordsInput.addEventListener('change', handleAIKeywordsChange);
+    resetButton.addEventListener('click', handleResetCategories);
+}
+
+// Open or close the panel, refetching articles if the AI keywords were edited
+function toggleCategoriesPanel() {
+    const isOpening = categoriesPanel.classList.contains('hidden');
+    categoriesPanel.classList.toggle('hidden');
+    categoriesToggle.classList.toggle('active', isOpening);
+
+    if (isOpening) {
+        categoriesStatus.textContent = '';
+        renderCategoryList();
+        aiKeywordsInput.value = getAIKeywords().join(', ');
+    } else if (relevanceChanged) {
+        relevanceChanged = false;
+        clearCache();
+        loadArticles();
+    }
+}
+
+// Render the configured categories in filter bar order
+function renderCategoryList() {
+    categoryList.innerHTML = '';
+
+    const categories = getCategories();
+    categories.forEach((category, index) => {
+        categoryList.appendChild(createCategoryItem(category, index, categories.length));
+    });
+}
+
+// Create a row for a single category
+function createCategoryItem(category, index, count) {
+    const item = document.createElement('li');
+    item.className = 'category-item';
+
+    const isFallback = category.id === FALLBACK_CATEGORY;
+    item.innerHTML = `
+        <div class="category-header">
+            <input type="text" class="source-name" value="${escapeHtml(category.name)}" aria-label="Category name">
+            <button type="button" class="source-action" data-action="up" aria-label="Move ${escapeHtml(category.name)} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="source-action" data-action="down" aria-label="Move ${escapeHtml(category.name)} down" ${index === count - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="source-action danger" data-action="delete"
+                    ${isFallback ? 'disabled title="Articles no other category matches land here"' : ''}>Delete</button>
+        </div>
+        <textarea class="category-keywords" rows="2" aria-label="Keywords for ${escapeHtml(category.name)}">${escapeHtml(formatKeywordList(category))}</textarea>
+    `;
+
+    item.querySelector('.source-name').addEventListener('change', event => {
+        const saved = runCategoryEdit(() => renameCategory(category.id, event.target.value),
+            `Renamed to "${event.target.value.trim()}"`);
+        if (saved) {
+            category.name = event.target.value.trim();
+        }
+        event.target.value = category.name;
+    });
+
+    item.querySelector('.category-keywords').addEventListener('change', event => {
+        runCategoryEdit(() => setCategoryKeywords(category.id, event.target.value),
+            `Updated the keywords for "${category.name}"`);
+    });
+
+    item.querySelector('[data-action="up"]').addEventListener('click', () => {
+        if (runCategoryEdit(() => moveCategory(category.id, -1), null)) renderCategoryList();
+    });
+
+    item.querySelector('[data-action="down"]').addEventListener('click', () => {
+        if (runCategoryEdit(() => moveCategory(category.id, 1), null)) renderCategoryList();
+    });
+
+    item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (!confirm(`Delete the "${category.name}" category? Its articles move to other categories.`)) return;
+
+        if (runCategoryEdit(() => deleteCategory(category.id), `Deleted "${category.name}"`)) {
+            renderCategoryList();
+        }
+    });
+
+    return item;
+}
+
+// Apply an edit and re-categorize the articles, or show why it was refused.
+// Returns whether the edit was saved.
+function runCategoryEdit(edit, message) {
+    try {
+        edit();
+    } catch (error) {
+        showPanelStatus(categoriesStatus, `❌ ${error.message}`, 'error');
+        return false;
+    }
+
+    applyCategoryChanges();
+    if (message) {
+        showPanelStatus(categoriesStatus, `✅ ${message}`, 'success');
+    }
+    return true;
+}
+
+function handleAddCategory(event) {
+    event.preventDefault();
+
+    const name = categoryForm.elements.name.value;
+    const keywords = categoryForm.elements.keywords.value;
+    if (runCategoryEdit(() => createCategory(name, keywords), `Added "${name.trim()}"`)) {
+        categoryForm.reset();
+        renderCategoryList();
+    }
+}
+
+function handleAIKeywordsChange() {
+    if (runCategoryEdit(() => setAIKeywords(aiKeywordsInput.value), 'Updated the AI keywords')) {
+        relevanceChanged = true;
+    }
+    aiKeywordsInput.value = getAIKeywords().join(', ');
+}
+
+function handleResetCategories() {
+    if (!confirm('Replace your categories and AI keywords with the built-in ones?')) return;
+
+    if (runCategoryEdit(() => resetCategories(), 'Restored the built-in categories')) {
+        relevanceChanged = true;
+        renderCategoryList();
+        aiKeywordsInput.value = getAIKeywords().join(', ');
+    }
+}
+
+console.log('🏷️ Category panel module loaded');
@@ -0,0 +1,243 @@
+// Learning classifier for AI News Tracker
+// A multinomial naive Bayes model trained from the user's "recategorize" and
+// "not relevant" corrections, blended with the keyword rules in filters.js
+
+import {
+    clearClassifierData,
+    getClassifierModel,
+    getCorrections,
+    saveClassifierModel,
+    saveCorrection
+} from './storage.js';
+
+const MODEL_VERSION = 1;
+const MIN_CLASS_EXAMPLES = 3;        // Examples a class needs before it is predicted
+const MAX_LEARNED_WEIGHT = 0.5;      // Share of the category score the model can contribute
+const EXAMPLES_FOR_FULL_WEIGHT = 30; // Training examples before the model reaches that share
+const MAX_RELEVANCE_WEIGHT = 0.7;    // Share of the relevance decision the model can take; past 0.5 it
+                                     // can overrule the AI keywords, which takes 22+ examples
+
+export const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has',
+    'have', 'had', 'its', 'into', 'how', 'what', 'why', 'who', 'their', 'they', 'them',
+    'can', 'will', 'new', 'more', 'than', 'but', 'not', 'you', 'your', 'our', 'about',
+    'over', 'also', 'which', 'when', 'where', 'these', 'those', 'been', 'being', 'all'
+]);
+
+// In-memory copies so categorizing a whole feed doesn't re-read localStorage per article
+let learnedModel = null;
+let correctionsById = null;
+
+function createEmptyModel() {
+    return {
+        version: MODEL_VERSION,
+        updatedAt: null,
+        categories: {},
+        relevance: {}
+    };
+}
+
+function getModel() {
+    if (!learnedModel) {
+        learnedModel = getClassifierModel() || createEmptyModel();
+    }
+    return learnedModel;
+}
+
+function getCorrectionMap() {
+    if (!correctionsById) {
+        correctionsById = new Map(getCorrections().map(c => [c.articleId, c]));
+    }
+    return correctionsById;
+}
+
+// Re-read the model and corrections from storage on next use, after they
+// were changed outside this module (ID migration, backup import)
+export function reloadClassifier() {
+    learnedModel = null;
+    correctionsById = null;
+}
+
+// The user's explicit correction for an article, if any
+export function getCorrection(articleId) {
+    return getCorrectionMap().get(articleId) || null;
+}
+
+// Lower-case word tokens without stopwords; the title is counted twice for emphasis
+function getArticleTokens(article) {
+    const content = (article.content || '').replace(/<[^>]*>/g, ' ');
+    const text = `${article.title} ${article.title} ${(article.tags || []).join(' ')} ${article.description} ${content}`;
+
+    return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+        .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+// Add (delta = 1) or remove (delta = -1) one example from a class
+function updateClass(classes, label, tokens, delta) {
+    const stats = classes[label] || (classes[label] = { docs: 0, totalTokens: 0, tokens: {} });
+
+    stats.docs = Math.max(0, stats.docs + delta);
+    tokens.forEach(token => {
+        const count = (stats.tokens[token] || 0) + delta;
+        if (count > 0) {
+            stats.tokens[token] = count;
+        } else {
+            delete stats.tokens[token];
+        }
+        stats.totalTokens = Math.max(0, stats.totalTokens + delta);
+    });
+
+    if (stats.docs === 0) {
+        delete classes[label];
+    }
+}
+
+// Train or untrain the model with one correction
+function applyCorrectionToModel(model, correction, tokens, delta) {
+    if (correction.relevant === false) {
+        updateClass(model.relevance, 'irrelevant', tokens, delta);
+    } else {
+        // Recategorizing an article also confirms it is relevant
+        updateClass(model.relevance, 'relevant', tokens, delta);
+        updateClass(model.categories, correction.category, tokens, delta);
+    }
+}
+
+// Naive Bayes posterior over the classes that have enough examples, or null
+function predictClasses(classes, tokens) {
+    const labels = Object.keys(classes).filter(label => classes[label].docs >= MIN_CLASS_EXAMPLES);
+    if (labels.length < 2) return null;
+
+    const vocabulary = new Set();
+    labels.forEach(label => Object.keys(classes[label].tokens).forEach(t => vocabulary.add(t)));
+    const totalDocs = labels.reduce((sum, label) => sum + classes[label].docs, 0);
+
+    // Log-probabilities with Laplace smoothing
+    const logScores = labels.map(label => {
+        const stats = classes[label];
+        let logScore = Math.log(stats.docs / totalDocs);
+        tokens.forEach(token => {
+            logScore += Math.log(((stats.tokens[token] || 0) + 1) / (stats.totalTokens + vocabulary.size));
+        });
+        return logScore;
+    });
+
+    // Softmax back to probabilities without underflow
+    const max = Math.max(...logScores);
+    const exps = logScores.map(score => Math.exp(score - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+
+    const probabilities = {};
+    labels.forEach((label, i) => {
+        probabilities[label] = exps[i] / sum;
+    });
+    return probabilities;
+}
+
+// Category probabilities and how much they should count against the keyword
+// scores, or null while the model hasn't seen enough corrections
+export function predictLearnedCategories(article) {
+    const model = getModel();
+    const probabilities = predictClasses(model.categories, getArticleTokens(article));
+    if (!probabilities) return null;
+
+    const examples = Object.values(model.categories).reduce((sum, stats) => sum + stats.docs, 0);
+    return {
+        weight: MAX_LEARNED_WEIGHT * Math.min(1, examples / EXAMPLES_FOR_FULL_WEIGHT),
+        probabilities: probabilities
+    };
+}
+
+// { weight, probability } of the article being relevant, or null until both
+// "relevant" and "not relevant" have enough examples. The weight grows with
+// the examples, so a few corrections only tip borderline articles.
+export function predictLearnedRelevance(article) {
+    const model = getModel();
+    const probabilities = predictClasses(model.relevance, getArticleTokens(article));
+    if (!probabilities) return null;
+
+    const examples = Object.values(model.relevance).reduce((sum, stats) => sum + stats.docs, 0);
+    return {
+        weight: MAX_RELEVANCE_WEIGHT * Math.min(1, examples / EXAMPLES_FOR_FULL_WEIGHT),
+        probability: probabilities.relevant
+    };
+}
+
+// Record a user correction and train the model with it.
+// correction is { category: '<categoryId>' } or { relevant: false }.
+export function recordCorrection(article, correction) {
+    const model = getModel();
+    const tokens = getArticleTokens(article);
+
+    // Correcting the same article again replaces its earlier training example
+    const previous = getCorrection(article.id);
+    if (previous) {
+        applyCorrectionToModel(model, previous, tokens, -1);
+    }
+
+    const record = {
+        articleId: article.id,
+        title: article.title,
+        fromCategory: article.category,
+        category: correction.category || null,
+        relevant: correction.relevant !== false,
+        correctedAt: new Date().toISOString()
+    };
+
+    applyCorrectionToModel(model, record, tokens, 1);
+    model.updatedAt = record.correctedAt;
+
+    getCorrectionMap().set(article.id, record);
+    return saveCorrection(record) && saveClassifierModel(model);
+}
+
+// Summary of what the model has learned, for the training panel
+export function getModelStats() {
+    const model = getModel();
+    const categoryExamples = Object.values(model.categories).reduce((sum, s) => sum + s.docs, 0);
+    const relevanceExamples = Object.values(model.relevance).reduce((sum, s) => sum + s.docs, 0);
+
+    return {
+        corrections: getCorrectionMap().size,
+        categoryExamples: categoryExamples,
+        trainedCategories: Object.keys(model.categories).length,
+        irrelevantExamples: model.relevance.irrelevant?.docs || 0,
+        relevanceExamples: relevanceExamples,
+        updatedAt: model.updatedAt
+    };
+}
+
+// Serialize the trained model for sharing (corrections stay personal)
+export function exportModel() {
+    return JSON.stringify({
+        type: 'newsTracker-classifier',
+        exportedAt: new Date().toISOString(),
+        model: getModel()
+    }, null, 2);
+}
+
+// Replace the trained model with one exported by exportModel()
+export function importModel(json) {
+    const data = JSON.parse(json);
+    const model = data?.model;
+
+    if (data?.type !== 'newsTracker-classifier' || !model ||
+        typeof model.categories !== 'object' || typeof model.relevance !== 'object') {
+        throw new Error('File is not an exported classifier model');
+    }
+    if (model.version > MODEL_VERSION) {
+        throw new Error('Model was exported by a newer version of the tracker');
+    }
+
+    learnedModel = { ...createEmptyModel(), ...model, version: MODEL_VERSION };
+    return saveClassifierModel(learnedModel);
+}
+
+// Forget everything the model has learned
+export function resetModel() {
+    learnedModel = createEmptyModel();
+    correctionsById = new Map();
+    return clearClassifierData();
+}
+
+console.log('🧠 Classifier module loaded');
@@ -0,0 +1,156 @@
+// Duplicate story clustering for AI News Tracker
+// Groups coverage of the same story from different publications into one
+// article, listing the others as "also covered by"
+
+import { STOPWORDS } from './classifier.js';
+import { canonicalizeUrl } from './rss-proxy.js';
+
+const TITLE_SIMILARITY_THRESHOLD = 0.6;   // Title word overlap that alone marks a duplicate
+const RELATED_TITLE_THRESHOLD = 0.25;     // Lower title overlap, confirmed by the description
+const DESCRIPTION_OVERLAP_THRESHOLD = 0.5; // Share of description shingles in common
+const SHINGLE_SIZE = 3;                    // Words per description shingle
+const MAX_STORY_SPREAD_DAYS = 7;           // Coverage further apart than this is a different story
+
+function getWords(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Overlapping runs of SHINGLE_SIZE words
+function getShingles(text) {
+    const words = getWords(text);
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+}
+
+function countShared(a, b) {
+    let shared = 0;
+    a.forEach(value => {
+        if (b.has(value)) shared++;
+    });
+    return shared;
+}
+
+// Jaccard similarity of two sets
+function setSimilarity(a, b) {
+    const shared = countShared(a, b);
+    const union = a.size + b.size - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+// Shared share of the smaller set, since feeds truncate descriptions differently
+function setContainment(a, b) {
+    const smaller = Math.min(a.size, b.size);
+    return smaller === 0 ? 0 : countShared(a, b) / smaller;
+}
+
+// What the comparisons need, computed once per article
+function getStoryFeatures(article) {
+    return {
+        url: canonicalizeUrl(article.link),
+        source: article.source,
+        time: new Date(article.pubDate).getTime(),
+        titleWords: new Set(getWords(article.title).filter(word => word.length > 1 && !STOPWORDS.has(word))),
+        shingles: getShingles(article.description)
+    };
+}
+
+// Whether two articles cover the same story
+function isSameStory(a, b) {
+    if (a.url === b.url) return true;
+
+    // Fuzzy matching is only for coverage by different publications;
+    // one source's similar headlines are usually a series, not duplicates
+    if (a.source === b.source) return false;
+    if (Math.abs(a.time - b.time) > MAX_STORY_SPREAD_DAYS * 86400000) return false;
+
+    const titleSimilarity = setSimilarity(a.titleWords, b.titleWords);
+    if (titleSimilarity >= TITLE_SIMILARITY_THRESHOLD) return true;
+
+    return titleSimilarity >= RELATED_TITLE_THRESHOLD &&
+        setContainment(a.shingles, b.shingles) >= DESCRIPTION_OVERLAP_THRESHOLD;
+}
+
+// Summary of an article kept on the story it was merged into
+function toCoverage(article) {
+    return {
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        source: article.source,
+        pubDate: article.pubDate
+    };
+}
+
+// Group articles covering the same story. Returns one article per story, the
+// earliest published, with the rest in its duplicates array. Articles that are
+// already clustered keep their duplicates, so new articles can be merged in.
+export function clusterArticles(articles) {
+    const stories = [];
+    const storiesByUrl = new Map();
+    const storiesByWord = new Map();
+
+    const byDate = [...articles].sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate));
+
+    byDate.forEach(article => {
+        const features = getStoryFeatures(article);
+
+        // Only compare against stories sharing the URL or a title word
+        const candidates = new Set(storiesByUrl.has(features.url) ? [storiesByUrl.get(features.url)] : []);
+        features.titleWords.forEach(word => {
+            (storiesByWord.get(word) || []).forEach(story => candidates.add(story));
+        });
+
+        const story = [...candidates].find(candidate =>
+            candidate.features.some(existing => isSameStory(existing, features))
+        );
+
+        if (!story) {
+            const newStory = {
+                article: { ...article, duplicates: [...(article.duplicates || [])] },
+                features: [features]
+            };
+            stories.push(newStory);
+            indexStory(newStory, features, storiesByUrl, storiesByWord);
+            return;
+        }
+
+        // The same URL from the same source is a repeat, not extra coverage
+        const isRepeat = story.features.some(existing =>
+            existing.url === features.url && existing.source === features.source
+        );
+        if (!isRepeat) {
+            story.article.duplicates.push(toCoverage(article));
+        }
+        story.article.duplicates.push(...(article.duplicates || []));
+        story.features.push(features);
+        indexStory(story, features, storiesByUrl, storiesByWord);
+    });
+
+    return stories.map(story => {
+        // Merging already-clustered articles can list the same coverage twice
+        const seen = new Set([story.article.id]);
+        story.article.duplicates = story.article.duplicates.filter(duplicate =>
+            !seen.has(duplicate.id) && seen.add(duplicate.id)
+        );
+        return story.article;
+    });
+}
+
+function indexStory(story, features, storiesByUrl, storiesByWord) {
+    storiesByUrl.set(features.url, story);
+    features.titleWords.forEach(word => {
+        const list = storiesByWord.get(word) || [];
+        if (!list.includes(story)) list.push(story);
+        storiesByWord.set(word, list);
+    });
+}
+
+// IDs of an article and every duplicate merged into it
+export function getStoryArticleIds(article) {
+    return [article.id, ...(article.duplicates || []).map(duplicate => duplicate.id)];
+}
+
+console.log('🧩 Clustering module loaded');
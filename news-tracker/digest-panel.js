@@ -0,0 +1,188 @@
+// Digest panel for AI News Tracker
+// Builds a digest for a period and categories, previews it, and copies or
+// downloads it as HTML or Markdown
+
+import { getAllCategoryIds, getCategoryName } from './filters.js';
+import { getArchivedOrCurrentArticles } from './archive.js';
+import { clusterArticles } from './clustering.js';
+import { escapeHtml } from './sanitize.js';
+import {
+    buildDigest,
+    DIGEST_MAX_PER_SECTION,
+    getDigestRange,
+    renderDigestHtml,
+    renderDigestMarkdown
+} from './digest.js';
+import { showPanelStatus } from './backup-panel.js';
+import { allArticles, downloadFile } from './script.js';
+
+// DOM elements
+const digestPanel = document.getElementById('digest-panel');
+const digestToggle = document.getElementById('digest-toggle');
+const digestForm = document.getElementById('digest-form');
+const digestCategories = document.getElementById('digest-categories');
+const digestPreview = document.getElementById('digest-preview');
+const digestFrame = document.getElementById('digest-frame');
+const digestMarkdown = document.getElementById('digest-markdown');
+const digestStatus = document.getElementById('digest-status');
+
+// Last rendered digest, kept for copy and download
+let currentDigest = null;
+
+// Wire up the panel controls
+export function initializeDigestPanel() {
+    digestToggle.addEventListener('click', () => {
+        const isOpening = digestPanel.classList.contains('hidden');
+        digestPanel.classList.toggle('hidden');
+        digestToggle.classList.toggle('active', isOpening);
+
+        if (isOpening) {
+            renderDigestCategories();
+        }
+    });
+
+    renderDigestCategories();
+
+    digestForm.elements.period.addEventListener('change', updateCustomRangeFields);
+    updateCustomRangeFields();
+    digestForm.addEventListener('submit', handleBuildDigest);
+
+    digestPreview.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => showDigestView(button.dataset.view));
+    });
+    digestPreview.querySelector('[data-action="copy-html"]').addEventListener('click', () => copyDigest('html'));
+    digestPreview.querySelector('[data-action="copy-markdown"]').addEventListener('click', () => copyDigest('markdown'));
+    digestPreview.querySelector('[data-action="download-html"]').addEventListener('click', () => {
+        downloadFile(getDigestFilename('html'), currentDigest.html, 'text/html');
+    });
+    digestPreview.querySelector('[data-action="download-markdown"]').addEventListener('click', () => {
+        downloadFile(getDigestFilename('md'), currentDigest.markdown, 'text/markdown');
+    });
+}
+
+// One checkbox per category, rebuilt on open since categories can be edited.
+// Categories that were unticked stay unticked; new ones start ticked.
+function renderDigestCategories() {
+    const unchecked = new Set([...digestForm.querySelectorAll('[name="categories"]:not(:checked)')]
+        .map(input => input.value));
+
+    digestCategories.querySelectorAll('label').forEach(label => label.remove());
+    digestCategories.insertAdjacentHTML('beforeend', getAllCategoryIds()
+        .filter(id => id !== 'all' && id !== 'favorites')
+        .map(id => `
+            <label>
+                <input type="checkbox" name="categories" value="${escapeHtml(id)}" ${unchecked.has(id) ? '' : 'checked'}>
+                ${escapeHtml(getCategoryName(id))}
+            </label>`)
+        .join(''));
+}
+
+// Show the date inputs only for a custom range
+function updateCustomRangeFields() {
+    const isCustom = digestForm.elements.period.value === 'custom';
+    digestForm.querySelectorAll('.digest-custom-range').forEach(label => {
+        label.classList.toggle('hidden', !isCustom);
+    });
+
+    if (isCustom && !digestForm.elements.from.value) {
+        const range = getDigestRange('weekly');
+        digestForm.elements.from.value = range.from.toISOString().slice(0, 10);
+        digestForm.elements.to.value = range.to.toISOString().slice(0, 10);
+    }
+}
+
+// Date range from the form; custom ranges include the whole "to" day
+function getDigestFormRange() {
+    if (digestForm.elements.period.value !== 'custom') {
+        return getDigestRange(digestForm.elements.period.value);
+    }
+
+    const from = new Date(`${digestForm.elements.from.value}T00:00:00`);
+    const to = new Date(`${digestForm.elements.to.value}T23:59:59.999`);
+    if (isNaN(from) || isNaN(to) || from > to) {
+        throw new Error('Choose a valid date range');
+    }
+    return { from: from, to: to };
+}
+
+// Articles for the range from the archive, clustered like the main view,
+// or the ones on screen
+async function getDigestArticles(range) {
+    const { articles, fromArchive } = await getArchivedOrCurrentArticles(range, allArticles);
+    return fromArchive ? clusterArticles(articles) : articles;
+}
+
+async function handleBuildDigest(event) {
+    event.preventDefault();
+
+    const categories = [...digestForm.querySelectorAll('[name="categories"]:checked')].map(input => input.value);
+    if (categories.length === 0) {
+        showDigestStatus('❌ Select at least one section.', 'error');
+        return;
+    }
+
+    try {
+        const range = getDigestFormRange();
+        const digest = buildDigest(await getDigestArticles(range), {
+            from: range.from,
+            to: range.to,
+            categories: categories,
+            maxPerSection: Number(digestForm.elements.maxPerSection.value) || DIGEST_MAX_PER_SECTION,
+            title: digestForm.elements.title.value.trim()
+        });
+
+        currentDigest = {
+            digest: digest,
+            html: renderDigestHtml(digest),
+            markdown: renderDigestMarkdown(digest)
+        };
+
+        digestFrame.srcdoc = currentDigest.html;
+        digestMarkdown.textContent = currentDigest.markdown;
+        digestPreview.classList.remove('hidden');
+        showDigestStatus(`Digest built with ${digest.total} articles in ${digest.sections.length} sections.`, 'success');
+    } catch (error) {
+        console.error('Error building digest:', error);
+        showDigestStatus(`❌ ${error.message}`, 'error');
+    }
+}
+
+// Switch the preview between the rendered email and the Markdown source
+function showDigestView(view) {
+    digestFrame.classList.toggle('hidden', view !== 'html');
+    digestMarkdown.classList.toggle('hidden', view !== 'markdown');
+    digestPreview.querySelectorAll('[data-view]').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === view);
+    });
+}
+
+// Copy HTML as rich text (pastes formatted into email clients) with the
+// Markdown as its plain-text fallback, or just the Markdown
+async function copyDigest(format) {
+    try {
+        if (format === 'html' && typeof ClipboardItem !== 'undefined') {
+            await navigator.clipboard.write([new ClipboardItem({
+                'text/html': new Blob([currentDigest.html], { type: 'text/html' }),
+                'text/plain': new Blob([currentDigest.markdown], { type: 'text/plain' })
+            })]);
+        } else {
+            await navigator.clipboard.writeText(format === 'html' ? currentDigest.html : currentDigest.markdown);
+        }
+        showDigestStatus(`Copied ${format === 'html' ? 'HTML' : 'Markdown'} to the clipboard.`, 'success');
+    } catch (error) {
+        console.error('Error copying digest:', error);
+        showDigestStatus('❌ Could not copy to the clipboard. Use download instead.', 'error');
+    }
+}
+
+// e.g. ai-in-aec-2026-10-19.html
+function getDigestFilename(extension) {
+    const slug = currentDigest.digest.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'digest';
+    return `${slug}-${currentDigest.digest.to.toISOString().slice(0, 10)}.${extension}`;
+}
+
+function showDigestStatus(message, type) {
+    showPanelStatus(digestStatus, message, type);
+}
+
+console.log('📰 Digest panel module loaded');
@@ -0,0 +1,192 @@
+// Digest builder for AI News Tracker
+// Collects a date range of articles into category sections, ranks them, and
+// renders the result as an HTML email and as Markdown
+
+import { isFavorite } from './storage.js';
+import { getAllCategoryIds, getCategoryName } from './filters.js';
+import { formatDate } from './rss-proxy.js';
+import { escapeXml } from './exporters.js';
+import { sanitizeUrl } from './sanitize.js';
+
+const DIGEST_PERIODS = {
+    daily: 1,
+    weekly: 7
+};
+
+export const DIGEST_MAX_PER_SECTION = 5;
+
+// Ranking weights: category confidence, other coverage of the story,
+// being a favorite, and how late in the range the article appeared
+const DIGEST_RANK_WEIGHTS = {
+    confidence: 1,
+    coverage: 0.25,
+    favorite: 0.5,
+    recency: 0.3
+};
+
+// Date range ending now for a named period, as { from, to } Dates
+export function getDigestRange(period, now = new Date()) {
+    const days = DIGEST_PERIODS[period] || DIGEST_PERIODS.weekly;
+    return {
+        from: new Date(now.getTime() - days * 86400000),
+        to: now
+    };
+}
+
+// Section an article belongs to: its primary category if selected,
+// otherwise its best-scoring selected category (categorizeArticle() lists
+// categories by score), or null
+function getDigestSection(article, categoryIds) {
+    const categories = article.categories || [article.category];
+    return categories.find(categoryId => categoryIds.includes(categoryId)) || null;
+}
+
+function rankDigestArticle(article, categoryId, range) {
+    const span = Math.max(1, range.to - range.from);
+    const age = (new Date(article.pubDate) - range.from) / span;
+
+    return DIGEST_RANK_WEIGHTS.confidence * (article.categoryScores?.[categoryId] ?? 0.5) +
+        DIGEST_RANK_WEIGHTS.coverage * Math.min(4, (article.duplicates || []).length) +
+        DIGEST_RANK_WEIGHTS.favorite * (isFavorite(article.id) ? 1 : 0) +
+        DIGEST_RANK_WEIGHTS.recency * Math.min(1, Math.max(0, age));
+}
+
+// Build a digest from articles. Options: { from, to, categories, maxPerSection, title }.
+// Each article is listed once, in the first selected category it belongs to;
+// sections follow the filter bar order of the categories and empty ones are left out.
+export function buildDigest(articles, options) {
+    const range = { from: new Date(options.from), to: new Date(options.to) };
+    const categoryIds = getAllCategoryIds()
+        .filter(id => id !== 'all' && id !== 'favorites')
+        .filter(id => !options.categories || options.categories.includes(id));
+    const maxPerSection = options.maxPerSection || DIGEST_MAX_PER_SECTION;
+
+    const inRange = articles.filter(article => {
+        const date = new Date(article.pubDate);
+        return date >= range.from && date <= range.to;
+    });
+
+    const sections = categoryIds.map(categoryId => {
+        const ranked = inRange
+            .filter(article => getDigestSection(article, categoryIds) === categoryId)
+            .map(article => ({ article: article, score: rankDigestArticle(article, categoryId, range) }))
+            .sort((a, b) => b.score - a.score);
+
+        return {
+            categoryId: categoryId,
+            name: getCategoryName(categoryId),
+            articles: ranked.slice(0, maxPerSection).map(entry => entry.article),
+            moreCount: Math.max(0, ranked.length - maxPerSection)
+        };
+    }).filter(section => section.articles.length > 0);
+
+    return {
+        title: options.title || 'AI in AEC',
+        from: range.from,
+        to: range.to,
+        sections: sections,
+        total: sections.reduce((sum, section) => sum + section.articles.length, 0)
+    };
+}
+
+// "Oct 12 – Oct 19, 2026", or "Dec 29, 2025 – Jan 5, 2026" across a new year
+function formatDigestRange(digest) {
+    const format = (date, withYear) => date.toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        ...(withYear ? { year: 'numeric' } : {})
+    });
+    const sameYear = digest.from.getFullYear() === digest.to.getFullYear();
+    return `${format(digest.from, !sameYear)} – ${format(digest.to, true)}`;
+}
+
+// Only link to web pages, never javascript: or data: URLs
+function getDigestLink(url) {
+    return sanitizeUrl(url, { schemes: ['http:', 'https:'] });
+}
+
+// Email-ready HTML: a single table layout with inline styles, since most
+// email clients ignore <style> blocks and modern CSS
+export function renderDigestHtml(digest) {
+    const font = 'font-family: Helvetica, Arial, sans-serif;';
+
+    const sections = digest.sections.map(section => {
+        const items = section.articles.map(article => {
+            const coverage = (article.duplicates || []).length > 0
+                ? ` · also in ${article.duplicates.map(d => escapeXml(d.source)).join(', ')}`
+                : '';
+
+            return `
+            <tr><td style="padding: 0 0 18px; ${font}">
+                <a href="${escapeXml(getDigestLink(article.link))}" style="color: #ef233c; font-size: 16px; font-weight: bold; text-decoration: none;">${escapeXml(article.title)}</a>
+                <div style="color: #777777; font-size: 12px; padding: 4px 0;">${escapeXml(article.source)} · ${escapeXml(formatDate(article.pubDate))}${coverage}</div>
+                <div style="color: #333333; font-size: 14px; line-height: 1.5;">${escapeXml(article.description || '')}</div>
+            </td></tr>`;
+        }).join('');
+
+        const more = section.moreCount > 0
+            ? `<tr><td style="padding: 0 0 18px; color: #777777; font-size: 13px; ${font}">+ ${section.moreCount} more in the tracker</td></tr>`
+            : '';
+
+        return `
+            <tr><td style="padding: 24px 0 12px; border-top: 2px solid #ef233c; ${font}">
+                <h2 style="margin: 0; color: #111111; font-size: 18px;">${escapeXml(section.name)}</h2>
+            </td></tr>${items}${more}`;
+    }).join('');
+
+    const body = digest.sections.length > 0
+        ? sections
+        : `<tr><td style="padding: 24px 0; color: #777777; ${font}">No articles in this period.</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeXml(digest.title)}</title>
+</head>
+<body style="margin: 0; padding: 0; background: #f4f4f4;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f4;">
+        <tr><td align="center" style="padding: 24px 12px;">
+            <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: #ffffff; padding: 24px;">
+                <tr><td style="padding: 0 0 8px; ${font}">
+                    <h1 style="margin: 0; color: #111111; font-size: 24px;">${escapeXml(digest.title)}</h1>
+                    <div style="color: #777777; font-size: 13px; padding-top: 4px;">${escapeXml(formatDigestRange(digest))} · ${digest.total} articles</div>
+                </td></tr>${body}
+            </table>
+        </td></tr>
+    </table>
+</body>
+</html>
+`;
+}
+
+// Markdown version for chat tools and plain-text email
+export function renderDigestMarkdown(digest) {
+    const lines = [`# ${digest.title}`, '', `_${formatDigestRange(digest)} · ${digest.total} articles_`];
+
+    if (digest.sections.length === 0) {
+        lines.push('', 'No articles in this period.');
+    }
+
+    digest.sections.forEach(section => {
+        lines.push('', `## ${section.name}`, '');
+        section.articles.forEach(article => {
+            const title = article.title.replace(/([\[\]])/g, '\\$1');
+            const coverage = (article.duplicates || []).length > 0
+                ? ` (also in ${article.duplicates.map(d => d.source).join(', ')})`
+                : '';
+
+            lines.push(`- **[${title}](<${getDigestLink(article.link)}>)** — ${article.source}${coverage}`);
+            if (article.description) {
+                lines.push(`  ${article.description}`);
+            }
+        });
+        if (section.moreCount > 0) {
+            lines.push(`- _+ ${section.moreCount} more in the tracker_`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+console.log('📰 Digest module loaded');
@@ -0,0 +1,110 @@
+// Tools Index panel for AI News Tracker
+// Mention counts and weekly trends for the tools, companies, firms and people
+// in recent articles. Clicking a name shows its articles in the grid.
+
+import { getArchivedOrCurrentArticles } from './archive.js';
+import { buildEntityIndex, ENTITY_TYPES, WEEK_MS } from './entities.js';
+import { escapeHtml } from './sanitize.js';
+import { allArticles, showSearch } from './script.js';
+
+const INDEX_WEEKS = 8;
+const INDEX_ROWS = 50;
+const SPARKLINE_LEVELS = '▁▂▃▄▅▆▇█';
+
+// DOM elements
+const entitiesPanel = document.getElementById('entities-panel');
+const entitiesToggle = document.getElementById('entities-toggle');
+const entityTypeFilters = document.getElementById('entity-type-filters');
+const entityIndexBody = document.getElementById('entity-index-body');
+const entitiesStatus = document.getElementById('entities-status');
+
+// Index of the last opening, and the type shown ('all' or an ENTITY_TYPES key)
+let entityIndex = [];
+let selectedType = 'all';
+
+// Wire up the panel controls
+export function initializeEntitiesPanel() {
+    entitiesToggle.addEventListener('click', () => {
+        const isOpening = entitiesPanel.classList.contains('hidden');
+        entitiesPanel.classList.toggle('hidden');
+        entitiesToggle.classList.toggle('active', isOpening);
+
+        if (isOpening) {
+            loadEntityIndex();
+        }
+    });
+
+    entityTypeFilters.innerHTML = Object.entries({ all: 'All', ...ENTITY_TYPES })
+        .map(([type, label]) => `<button type="button" class="source-action${type === selectedType ? ' active' : ''}" data-type="${type}">${label}</button>`)
+        .join('');
+
+    entityTypeFilters.addEventListener('click', event => {
+        const button = event.target.closest('[data-type]');
+        if (!button) return;
+
+        selectedType = button.dataset.type;
+        entityTypeFilters.querySelectorAll('[data-type]').forEach(other => {
+            other.classList.toggle('active', other === button);
+        });
+        renderEntityIndex();
+    });
+
+    entityIndexBody.addEventListener('click', event => {
+        const link = event.target.closest('[data-entity]');
+        if (link) {
+            showSearch(`entity:${link.dataset.entity}`);
+        }
+    });
+}
+
+// Index the archive's articles from the last INDEX_WEEKS weeks, or the ones on screen
+async function loadEntityIndex() {
+    const now = new Date();
+    const { articles, fromArchive } = await getArchivedOrCurrentArticles(
+        { from: new Date(now.getTime() - INDEX_WEEKS * WEEK_MS) }, allArticles);
+
+    entityIndex = buildEntityIndex(articles, { now: now, weeks: INDEX_WEEKS });
+    entitiesStatus.textContent = fromArchive
+        ? `Based on ${articles.length} archived articles from the last ${INDEX_WEEKS} weeks.`
+        : 'Based on the articles on screen.';
+    renderEntityIndex();
+}
+
+function renderEntityIndex() {
+    const rows = entityIndex
+        .filter(entity => selectedType === 'all' || entity.type === selectedType)
+        .slice(0, INDEX_ROWS);
+
+    if (rows.length === 0) {
+        entityIndexBody.innerHTML = '<tr><td colspan="5" class="source-empty">No mentions found.</td></tr>';
+        return;
+    }
+
+    entityIndexBody.innerHTML = rows.map(entity => `
+        <tr>
+            <td><button type="button" class="entity-chip ${escapeHtml(entity.type)}" data-entity="${escapeHtml(entity.id)}"
+                        title="Show articles mentioning ${escapeHtml(entity.name)}">${escapeHtml(entity.name)}</button></td>
+            <td>${ENTITY_TYPES[entity.type] || ''}</td>
+            <td class="entity-mentions">${entity.mentions}</td>
+            <td class="entity-trend" title="Mentions per week, oldest first: ${entity.weekly.join(', ')}">${formatSparkline(entity.weekly)}</td>
+            <td class="entity-change ${entity.change > 0 ? 'up' : entity.change < 0 ? 'down' : ''}">${formatChange(entity)}</td>
+        </tr>`).join('');
+}
+
+// Weekly counts as block characters scaled to the busiest week
+function formatSparkline(weekly) {
+    const max = Math.max(...weekly);
+    return weekly
+        .map(count => max === 0 ? SPARKLINE_LEVELS[0]
+            : SPARKLINE_LEVELS[Math.round((count / max) * (SPARKLINE_LEVELS.length - 1))])
+        .join('');
+}
+
+// This week's mentions and the change from last week: "3 (▲2)"
+function formatChange(entity) {
+    const thisWeek = entity.weekly[entity.weekly.length - 1];
+    if (entity.change === 0) return `${thisWeek}`;
+    return `${thisWeek} (${entity.change > 0 ? '▲' : '▼'}${Math.abs(entity.change)})`;
+}
+
+console.log('🧰 Tools index panel module loaded');
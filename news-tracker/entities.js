@@ -0,0 +1,257 @@
+// Entity extraction for AI News Tracker
+// Tags articles with the tools, companies, firms and people they mention:
+// names from a maintained dictionary, plus capitalized phrases that look like
+// a firm ("... Architects"), a company ("... Labs") or a quoted person
+// ("Jane Doe, founder of ..."). Also builds the Tools Index: mention counts
+// and weekly trends across a set of articles.
+
+import { decodeHtmlEntities, stripHtml } from './sanitize.js';
+
+export const ENTITY_TYPES = {
+    tool: 'Tools',
+    company: 'Companies',
+    firm: 'Firms',
+    person: 'People'
+};
+
+// Known names, matched case-sensitively as written or as one of their
+// aliases. Keep each type sorted by name.
+const ENTITY_DICTIONARY = [
+    { name: 'ArchiCAD', type: 'tool', aliases: ['Archicad'] },
+    { name: 'AutoCAD', type: 'tool' },
+    { name: 'Blender', type: 'tool' },
+    { name: 'ChatGPT', type: 'tool' },
+    { name: 'ComfyUI', type: 'tool' },
+    { name: 'D5 Render', type: 'tool' },
+    { name: 'DALL-E', type: 'tool', aliases: ['DALL·E', 'Dall-E', 'DALLE'] },
+    { name: 'Dynamo', type: 'tool' },
+    { name: 'Enscape', type: 'tool' },
+    { name: 'Finch', type: 'tool', aliases: ['Finch3D'] },
+    { name: 'Firefly', type: 'tool', aliases: ['Adobe Firefly'] },
+    { name: 'Forma', type: 'tool', aliases: ['Autodesk Forma'] },
+    { name: 'Grasshopper', type: 'tool' },
+    { name: 'Hypar', type: 'tool' },
+    { name: 'Krea', type: 'tool' },
+    { name: 'LookX', type: 'tool' },
+    { name: 'Lumion', type: 'tool' },
+    { name: 'Midjourney', type: 'tool' },
+    { name: 'Rhino', type: 'tool', aliases: ['Rhinoceros', 'Rhino 3D', 'Rhino3D'] },
+    { name: 'Revit', type: 'tool' },
+    { name: 'Runway', type: 'tool', aliases: ['RunwayML'] },
+    { name: 'SketchUp', type: 'tool', aliases: ['Sketchup'] },
+    { name: 'Spacemaker', type: 'tool' },
+    { name: 'Stable Diffusion', type: 'tool', aliases: ['SDXL'] },
+    { name: 'TestFit', type: 'tool' },
+    { name: 'Twinmotion', type: 'tool' },
+    { name: 'Unreal Engine', type: 'tool' },
+    { name: 'V-Ray', type: 'tool', aliases: ['VRay', 'Vray'] },
+    { name: 'Veras', type: 'tool' },
+    { name: 'Vizcom', type: 'tool' },
+
+    { name: 'Adobe', type: 'company' },
+    { name: 'Anthropic', type: 'company' },
+    { name: 'Autodesk', type: 'company' },
+    { name: 'Bentley Systems', type: 'company' },
+    { name: 'Chaos', type: 'company', aliases: ['Chaos Group'] },
+    { name: 'Epic Games', type: 'company' },
+    { name: 'Google', type: 'company' },
+    { name: 'Graphisoft', type: 'company' },
+    { name: 'McNeel', type: 'company', aliases: ['Robert McNeel & Associates'] },
+    { name: 'Microsoft', type: 'company' },
+    { name: 'Nvidia', type: 'company', aliases: ['NVIDIA'] },
+    { name: 'OpenAI', type: 'company' },
+    { name: 'Stability AI', type: 'company' },
+    { name: 'Trimble', type: 'company' },
+
+    { name: 'AECOM', type: 'firm' },
+    { name: 'Arup', type: 'firm' },
+    { name: 'BIG', type: 'firm', aliases: ['Bjarke Ingels Group'] },
+    { name: 'Foster + Partners', type: 'firm', aliases: ['Foster and Partners', 'Foster & Partners'] },
+    { name: 'Gensler', type: 'firm' },
+    { name: 'Heatherwick Studio', type: 'firm' },
+    { name: 'HOK', type: 'firm' },
+    { name: 'KPF', type: 'firm', aliases: ['Kohn Pedersen Fox'] },
+    { name: 'MVRDV', type: 'firm' },
+    { name: 'OMA', type: 'firm' },
+    { name: 'Perkins&Will', type: 'firm', aliases: ['Perkins & Will', 'Perkins and Will'] },
+    { name: 'SOM', type: 'firm', aliases: ['Skidmore, Owings & Merrill', 'Skidmore, Owings and Merrill'] },
+    { name: 'Snøhetta', type: 'firm', aliases: ['Snohetta'] },
+    { name: 'UNStudio', type: 'firm' },
+    { name: 'Zaha Hadid Architects', type: 'firm', aliases: ['ZHA'] },
+
+    { name: 'Bjarke Ingels', type: 'person' },
+    { name: 'Norman Foster', type: 'person' },
+    { name: 'Patrik Schumacher', type: 'person' }
+];
+
+// Last words that make a capitalized phrase a firm or a company
+const FIRM_SUFFIXES = new Set(['Architects', 'Architekten', 'Arquitectos', 'Associates', 'Partners', 'Studio', 'Studios']);
+const COMPANY_SUFFIXES = new Set(['Inc', 'Labs', 'Technologies', 'Software', 'Systems', 'Corp', 'Corporation', 'Robotics', 'Ltd', 'GmbH']);
+
+// Capitalized words that start sentences rather than names
+const NON_NAME_WORDS = new Set([
+    'A', 'After', 'According', 'An', 'And', 'As', 'At', 'Before', 'But', 'By', 'For', 'From',
+    'He', 'In', 'It', 'Its', 'Last', 'Meanwhile', 'New', 'Next', 'On', 'Our', 'She', 'That',
+    'The', 'Their', 'These', 'They', 'This', 'We', 'When', 'While', 'With'
+]);
+
+// Two to four capitalized words, optionally joined by "&" or "+"
+const CAPITALIZED_PHRASE = /(?<![\p{L}\p{N}])\p{Lu}[\p{L}\p{N}’'.-]*(?:\s+(?:[&+]\s+)?\p{Lu}[\p{L}\p{N}’'.-]*){1,3}/gu;
+
+// A quoted person: two or three capitalized words next to a role or a
+// reporting verb ("Ian Keough, founder of Hypar", "architect Bjarke Ingels",
+// "Jane Doe said")
+const PERSON_NAME = String.raw`(\p{Lu}\p{Ll}+(?:[ -]\p{Lu}\p{Ll}+){1,2})`;
+const PERSON_ROLES = [
+    'founder', 'co-founder', 'cofounder', 'CEO', 'CTO', 'chief', 'director', 'principal',
+    'partner', 'architect', 'designer', 'president', 'professor', 'researcher', 'head'
+].map(role => role === role.toUpperCase() ? role : `[${role[0].toUpperCase()}${role[0]}]${role.slice(1)}`).join('|');
+const PERSON_PATTERNS = [
+    new RegExp(`${PERSON_NAME},\\s+(?:(?:the|a|an|its|their)\\s+)?(?:${PERSON_ROLES})(?![\\p{L}])`, 'gu'),
+    new RegExp(`(?<![\\p{L}])(?:${PERSON_ROLES})\\s+${PERSON_NAME}`, 'gu'),
+    new RegExp(`${PERSON_NAME}\\s+(?:said|says|told|explained|added)(?![\\p{L}])`, 'gu')
+];
+
+const MAX_ENTITIES = 12;
+const TREND_WEEKS = 8;
+export const WEEK_MS = 604800000; // 7 days in milliseconds
+
+// Dictionary patterns, compiled on first use
+let dictionaryPatterns = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getDictionaryPatterns() {
+    if (!dictionaryPatterns) {
+        dictionaryPatterns = ENTITY_DICTIONARY.map(entry => ({
+            entry: entry,
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${[entry.name, ...(entry.aliases || [])]
+                .map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'u')
+        }));
+    }
+    return dictionaryPatterns;
+}
+
+// URL-safe ID from a name, used in entity: searches ("Foster + Partners" → foster-partners)
+export function getEntityId(name) {
+    return name.toLowerCase()
+        .normalize('NFKD')
+        .replace(/ø/g, 'o')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Dictionary entities found in a text, as { id, name, type, index }
+function findDictionaryEntities(text) {
+    return getDictionaryPatterns()
+        .map(({ entry, pattern }) => ({ entry: entry, match: pattern.exec(text) }))
+        .filter(({ match }) => match)
+        .map(({ entry, match }) => ({
+            id: getEntityId(entry.name),
+            name: entry.name,
+            type: entry.type,
+            index: match.index
+        }));
+}
+
+// Firms, companies and people found by the capitalized-phrase heuristics,
+// leaving out anything the dictionary already knows
+function findHeuristicEntities(text) {
+    const found = [];
+    const add = (name, type, index) => {
+        const words = name.replace(/[’']s$/, '').split(/\s+/);
+        while (NON_NAME_WORDS.has(words[0])) words.shift();
+        const clean = words.join(' ');
+        if (words.length >= 2 && findDictionaryEntities(clean).length === 0) {
+            found.push({ id: getEntityId(clean), name: clean, type: type, index: index });
+        }
+    };
+
+    for (const match of text.matchAll(CAPITALIZED_PHRASE)) {
+        const words = match[0].replace(/[.,]+$/, '').split(/\s+/);
+        const last = words[words.length - 1].replace(/\.$/, '');
+        if (FIRM_SUFFIXES.has(last)) {
+            add(words.join(' '), 'firm', match.index);
+        } else if (COMPANY_SUFFIXES.has(last)) {
+            add(words.join(' '), 'company', match.index);
+        }
+    }
+
+    PERSON_PATTERNS.forEach(pattern => {
+        for (const match of text.matchAll(pattern)) {
+            add(match[1], 'person', match.index + match[0].indexOf(match[1]));
+        }
+    });
+
+    return found;
+}
+
+// Entities an article mentions, in order of first mention, as [{ id, name, type }].
+// The dictionary is matched in the title and body; the heuristics only in the
+// body, since headlines are often in Title Case.
+export function extractEntities(article) {
+    const title = article.title || '';
+    const body = decodeHtmlEntities(stripHtml(article.content || article.description || ''));
+    const text = `${title}\n${body}`;
+
+    const candidates = [
+        ...findDictionaryEntities(text),
+        ...findHeuristicEntities(body).map(entity => ({ ...entity, index: entity.index + title.length + 1 }))
+    ].sort((a, b) => a.index - b.index);
+
+    const entities = new Map();
+    candidates.forEach(({ id, name, type }) => {
+        if (id && !entities.has(id)) {
+            entities.set(id, { id: id, name: name, type: type });
+        }
+    });
+
+    return [...entities.values()].slice(0, MAX_ENTITIES);
+}
+
+// An article's entities: the ones tagged when it was fetched, or extracted
+// now for articles cached or archived before tagging existed
+export function getArticleEntities(article) {
+    return Array.isArray(article.entities) ? article.entities : extractEntities(article);
+}
+
+// Whether an article mentions an entity, by ID ("stable-diffusion") or
+// part of its name ("stable diff")
+export function mentionsEntity(article, value) {
+    const search = value.toLowerCase();
+    return getArticleEntities(article).some(entity =>
+        entity.id === search || entity.name.toLowerCase().includes(search));
+}
+
+// Mention counts and weekly trends for every entity in the articles:
+// [{ id, name, type, mentions, weekly, change }], most mentioned first.
+// weekly holds the mentions in each of the last options.weeks weeks, oldest
+// first; change is this week's count minus last week's.
+export function buildEntityIndex(articles, options = {}) {
+    const now = options.now || new Date();
+    const weeks = options.weeks || TREND_WEEKS;
+    const index = new Map();
+
+    articles.forEach(article => {
+        const week = Math.floor((now - new Date(article.pubDate)) / WEEK_MS);
+
+        getArticleEntities(article).forEach(entity => {
+            if (!index.has(entity.id)) {
+                index.set(entity.id, { ...entity, mentions: 0, weekly: new Array(weeks).fill(0) });
+            }
+            const entry = index.get(entity.id);
+            entry.mentions++;
+            if (week >= 0 && week < weeks) {
+                entry.weekly[weeks - 1 - week]++;
+            }
+        });
+    });
+
+    return [...index.values()]
+        .map(entry => ({ ...entry, change: entry.weekly[weeks - 1] - (weeks > 1 ? entry.weekly[weeks - 2] : 0) }))
+        .sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name));
+}
+
+console.log('🧰 Entities module loaded');
@@ -0,0 +1,259 @@
+// Reading list exports for AI News Tracker
+// Turns normalized articles into Markdown, CSV, BibTeX, RIS, Atom and JSON
+// Feed, and feed lists into OPML. Favorites carry their notes and tags along.
+
+import { getFavorite } from './storage.js';
+import { getCategoryName } from './filters.js';
+
+// Formats offered for article lists, keyed by the value of the format picker
+export const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown', build: exportMarkdown },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv', build: exportCSV },
+    bibtex: { label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex', build: exportBibTeX },
+    ris: { label: 'RIS', extension: 'ris', type: 'application/x-research-info-systems', build: exportRIS }
+};
+
+// Article fields every format draws from, with favorite notes/tags when saved
+function getExportFields(article) {
+    const favorite = getFavorite(article.id);
+    const date = new Date(article.pubDate);
+
+    return {
+        title: article.title,
+        link: article.link,
+        source: article.source,
+        author: article.author || '',
+        authors: (article.author || '').split(/,\s*|\s+and\s+/).filter(Boolean),
+        date: isNaN(date) ? null : date,
+        categories: (article.categories || [article.category]).map(getCategoryName),
+        tags: [...new Set([...(article.tags || []), ...(favorite?.tags || [])])],
+        description: article.description || '',
+        notes: favorite?.notes || ''
+    };
+}
+
+// YYYY-MM-DD, or '' for unparseable dates
+function formatExportDate(date) {
+    return date ? date.toISOString().slice(0, 10) : '';
+}
+
+// Markdown link list, one bullet per article with notes as a quote
+function exportMarkdown(articles, title) {
+    const lines = [`# ${title}`, '', `_Exported ${formatExportDate(new Date())} · ${articles.length} articles_`, ''];
+
+    articles.map(getExportFields).forEach(fields => {
+        const linkText = fields.title.replace(/([\[\]])/g, '\\$1');
+        const meta = [fields.source, fields.author, formatExportDate(fields.date)].filter(Boolean).join(' · ');
+
+        lines.push(`- [${linkText}](<${fields.link}>) — ${meta}`);
+        if (fields.notes) {
+            fields.notes.split('\n').forEach(line => lines.push(`  > ${line}`));
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break. Text that
+// a spreadsheet would run as a formula gets a leading apostrophe.
+function toCSVField(value) {
+    const text = String(value).replace(/^[=+\-@\t\r]/, '\'$&');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCSV(articles) {
+    const header = ['Title', 'URL', 'Source', 'Author', 'Published', 'Categories', 'Tags', 'Description', 'Notes'];
+    const rows = articles.map(getExportFields).map(fields => [
+        fields.title,
+        fields.link,
+        fields.source,
+        fields.author,
+        formatExportDate(fields.date),
+        fields.categories.join('; '),
+        fields.tags.join('; '),
+        fields.description,
+        fields.notes
+    ]);
+
+    return [header, ...rows].map(row => row.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Escape BibTeX's special characters inside a braced field
+function escapeBibTeX(text) {
+    return text
+        .replace(/\\/g, '\\textbackslash{}')
+        .replace(/([{}%&$#_])/g, '\\$1')
+        .replace(/~/g, '\\textasciitilde{}')
+        .replace(/\^/g, '\\textasciicircum{}');
+}
+
+// Citation key like "dezeen2026parametric", made unique with a/b/c suffixes
+function createCitationKey(fields, usedKeys) {
+    const source = fields.source.toLowerCase().replace(/[^a-z0-9]/g, '') || 'article';
+    const year = fields.date ? fields.date.getUTCFullYear() : 'nd';
+    const word = (fields.title.toLowerCase().match(/[a-z0-9]{4,}/) || ['untitled'])[0];
+    const base = `${source}${year}${word}`;
+
+    let key = base;
+    for (let i = 0; usedKeys.has(key); i++) {
+        key = base + (i < 26 ? String.fromCharCode(97 + i) : i);
+    }
+    usedKeys.add(key);
+    return key;
+}
+
+// BibTeX @online entries (biblatex style, also read by Zotero and Mendeley)
+function exportBibTeX(articles) {
+    const usedKeys = new Set();
+
+    return articles.map(getExportFields).map(fields => {
+        const entries = [
+            ['title', `{${escapeBibTeX(fields.title)}}`],
+            ['author', escapeBibTeX(fields.authors.join(' and '))],
+            ['organization', escapeBibTeX(fields.source)],
+            ['date', formatExportDate(fields.date)],
+            ['url', fields.link],
+            ['urldate', formatExportDate(new Date())],
+            ['keywords', escapeBibTeX(fields.tags.join(', '))],
+            ['abstract', escapeBibTeX(fields.description)],
+            ['note', escapeBibTeX(fields.notes)]
+        ].filter(([, value]) => value);
+
+        const body = entries.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+        return `@online{${createCitationKey(fields, usedKeys)},\n${body}\n}\n`;
+    }).join('\n');
+}
+
+// RIS records (EndNote, Zotero, Mendeley); fields can't span lines
+function exportRIS(articles) {
+    const line = (tag, value) => `${tag}  - ${String(value).replace(/\s*\n\s*/g, ' ')}`;
+
+    return articles.map(getExportFields).map(fields => [
+        line('TY', 'ELEC'),
+        line('TI', fields.title),
+        ...fields.authors.map(name => line('AU', name)),
+        ...(fields.date ? [
+            line('PY', fields.date.getUTCFullYear()),
+            line('DA', formatExportDate(fields.date).replace(/-/g, '/'))
+        ] : []),
+        line('PB', fields.source),
+        line('UR', fields.link),
+        ...(fields.description ? [line('AB', fields.description)] : []),
+        ...fields.tags.map(tag => line('KW', tag)),
+        ...(fields.notes ? [line('N1', fields.notes)] : []),
+        line('ER', '')
+    ].join('\r\n')).join('\r\n\r\n') + '\r\n';
+}
+
+// Escape text for XML element content and attribute values
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Article summary as HTML, plus links to other coverage of the story
+function getFeedContentHtml(article) {
+    const coverage = (article.duplicates || [])
+        .map(duplicate => `<a href="${escapeXml(duplicate.link)}">${escapeXml(duplicate.source)}</a>`)
+        .join(', ');
+
+    return `<p>${escapeXml(article.description || '')}</p>` +
+        (coverage ? `<p>Also covered by ${coverage}</p>` : '');
+}
+
+// Atom 1.0 document. feed is { title, id, selfUrl, homeUrl } with absolute URLs.
+export function exportAtomFeed(articles, feed) {
+    const updated = articles.reduce((latest, article) => {
+        const date = new Date(article.pubDate);
+        return !isNaN(date) && date > latest ? date : latest;
+    }, new Date(0));
+
+    const entries = articles.map(article => {
+        const fields = getExportFields(article);
+        const date = (fields.date || new Date()).toISOString();
+
+        return [
+            '  <entry>',
+            `    <id>${escapeXml(fields.link)}</id>`,
+            `    <title>${escapeXml(fields.title)}</title>`,
+            `    <link rel="alternate" href="${escapeXml(fields.link)}"/>`,
+            `    <published>${date}</published>`,
+            `    <updated>${date}</updated>`,
+            ...fields.authors.map(name => `    <author><name>${escapeXml(name)}</name></author>`),
+            `    <source><title>${escapeXml(fields.source)}</title></source>`,
+            ...fields.categories.map(name => `    <category term="${escapeXml(name)}"/>`),
+            `    <summary>${escapeXml(fields.description)}</summary>`,
+            `    <content type="html">${escapeXml(getFeedContentHtml(article))}</content>`,
+            '  </entry>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(feed.id)}</id>`,
+        `  <title>${escapeXml(feed.title)}</title>`,
+        `  <updated>${(articles.length > 0 ? updated : new Date()).toISOString()}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+        '  <generator>AI News Tracker</generator>',
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// JSON Feed 1.1 document, with the same feed options as exportAtomFeed()
+export function exportJSONFeed(articles, feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.selfUrl,
+        items: articles.map(article => {
+            const fields = getExportFields(article);
+            const item = {
+                id: article.id,
+                url: fields.link,
+                title: fields.title,
+                summary: fields.description,
+                content_html: getFeedContentHtml(article),
+                date_published: fields.date ? fields.date.toISOString() : undefined,
+                authors: fields.authors.map(name => ({ name: name })),
+                tags: [...fields.categories, ...fields.tags]
+            };
+            if (article.image) {
+                item.image = article.image;
+            }
+            return item;
+        })
+    }, null, 2);
+}
+
+// OPML 2.0 subscription list, importable into any feed reader.
+// Sources are { name, url }; title defaults to the tracker's own sources.
+export function exportOPML(sources, title = 'AI News Tracker Sources') {
+    const outlines = sources.map(source =>
+        `    <outline type="rss" text="${escapeXml(source.name)}" title="${escapeXml(source.name)}" xmlUrl="${escapeXml(source.url)}"/>`
+    );
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${escapeXml(title)}</title>`,
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>',
+        ...outlines,
+        '  </body>',
+        '</opml>',
+        ''
+    ].join('\n');
+}
+
+console.log('📤 Exporters module loaded');
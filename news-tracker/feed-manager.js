@@ -0,0 +1,228 @@
+// Feed source management panel for AI News Tracker
+// Users can add, rename, enable/disable, validate and remove RSS/Atom feeds,
+// and see how each one fared the last time it was fetched
+
+import {
+    addFeedSource,
+    clearCache,
+    getFeedHealth,
+    getFeedSources,
+    removeFeedSource,
+    updateFeedSource
+} from './storage.js';
+import { extractSource, formatDate, validateFeed } from './rss-proxy.js';
+import { escapeHtml } from './sanitize.js';
+import { loadArticles } from './script.js';
+
+// DOM elements
+export const sourcesPanel = document.getElementById('sources-panel');
+const sourcesToggle = document.getElementById('sources-toggle');
+const sourcesList = document.getElementById('sources-list');
+const sourceForm = document.getElementById('source-form');
+const sourceStatus = document.getElementById('source-status');
+
+// Set when the feed list changes so articles are refetched on close
+let sourcesChanged = false;
+
+// Wire up the panel controls
+export function initializeSourcesPanel() {
+    sourcesToggle.addEventListener('click', toggleSourcesPanel);
+    sourceForm.addEventListener('submit', handleAddSource);
+}
+
+// Open or close the panel, refreshing articles if the sources were edited
+export function toggleSourcesPanel() {
+    const isOpening = sourcesPanel.classList.contains('hidden');
+    sourcesPanel.classList.toggle('hidden');
+    sourcesToggle.classList.toggle('active', isOpening);
+
+    if (isOpening) {
+        renderSourcesList();
+    } else if (sourcesChanged) {
+        sourcesChanged = false;
+        clearCache();
+        loadArticles();
+    }
+}
+
+// Render the configured feed list
+function renderSourcesList() {
+    sourcesList.innerHTML = '';
+
+    const sources = getFeedSources();
+    const health = getFeedHealth();
+    if (sources.length === 0) {
+        sourcesList.innerHTML = '<li class="source-empty">No sources configured. Add a feed below.</li>';
+        return;
+    }
+
+    sources.forEach(source => {
+        sourcesList.appendChild(createSourceItem(source, health[source.url]));
+    });
+}
+
+// Create a row for a single feed source
+function createSourceItem(source, health) {
+    const item = document.createElement('li');
+    item.className = 'source-item';
+    if (!source.enabled) {
+        item.classList.add('disabled');
+    }
+
+    item.innerHTML = `
+        <input type="checkbox" class="source-enabled"
+               aria-label="Enable ${escapeHtml(source.name)}"
+               ${source.enabled ? 'checked' : ''}>
+        <div class="source-details">
+            <input type="text" class="source-name" value="${escapeHtml(source.name)}" aria-label="Source name">
+            <span class="source-url">${escapeHtml(source.url)}</span>
+            <span class="source-health"></span>
+            <span class="source-result"></span>
+        </div>
+        <button type="button" class="source-action" data-action="validate">Validate</button>
+        <button type="button" class="source-action danger" data-action="remove">Remove</button>
+    `;
+
+    const result = item.querySelector('.source-result');
+    showSourceHealth(item.querySelector('.source-health'), health);
+
+    item.querySelector('.source-enabled').addEventListener('change', event => {
+        if (updateFeedSource(source.url, { enabled: event.target.checked })) {
+            item.classList.toggle('disabled', !event.target.checked);
+            sourcesChanged = true;
+        }
+    });
+
+    item.querySelector('.source-name').addEventListener('change', event => {
+        const name = event.target.value.trim();
+        if (!name) {
+            event.target.value = source.name;
+            return;
+        }
+        if (updateFeedSource(source.url, { name: name })) {
+            source.name = name;
+            sourcesChanged = true;
+        }
+    });
+
+    item.querySelector('[data-action="validate"]').addEventListener('click', async () => {
+        showValidationResult(result, null);
+        showValidationResult(result, await validateFeed(source.url));
+    });
+
+    item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+        if (!confirm(`Remove "${source.name}" from your sources?`)) return;
+
+        if (removeFeedSource(source.url)) {
+            sourcesChanged = true;
+            renderSourcesList();
+        }
+    });
+
+    return item;
+}
+
+// Describe the last fetch of a feed: items, proxy and latency on success,
+// the error (and when it last worked) on failure
+function showSourceHealth(element, health) {
+    element.classList.remove('success', 'error');
+
+    if (!health) {
+        element.textContent = 'Not fetched yet';
+        return;
+    }
+
+    if (health.consecutiveFailures === 0) {
+        element.classList.add('success');
+        element.textContent = `● ${health.itemCount} items via ${health.proxy} in ${health.latencyMs} ms · ${formatHealthTime(health.lastSuccessAt)}`;
+        return;
+    }
+
+    const failures = health.consecutiveFailures === 1
+        ? 'Failed'
+        : `Failed ${health.consecutiveFailures} times in a row`;
+    const lastSuccess = health.lastSuccessAt
+        ? `last worked ${formatHealthTime(health.lastSuccessAt)}`
+        : 'never loaded';
+
+    element.classList.add('error');
+    element.textContent = `● ${failures} · ${lastSuccess}`;
+    element.title = health.lastError;
+}
+
+// "at 3:42 PM" for today, otherwise the usual relative date
+function formatHealthTime(isoDate) {
+    const date = new Date(isoDate);
+    if (date.toDateString() === new Date().toDateString()) {
+        return `at ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+    }
+    return formatDate(isoDate).toLowerCase();
+}
+
+// Flag the toolbar button when an enabled feed failed on its last fetch,
+// and refresh the list if the panel is open
+export function updateSourceHealthIndicator() {
+    const health = getFeedHealth();
+    const failing = getFeedSources()
+        .filter(source => source.enabled && health[source.url]?.consecutiveFailures > 0);
+
+    sourcesToggle.classList.toggle('warning', failing.length > 0);
+    sourcesToggle.title = failing.length > 0
+        ? `Failing: ${failing.map(source => source.name).join(', ')}`
+        : '';
+
+    if (!sourcesPanel.classList.contains('hidden')) {
+        renderSourcesList();
+    }
+}
+
+// Validate a new feed and save it only if it parses as RSS/Atom
+async function handleAddSource(event) {
+    event.preventDefault();
+
+    const urlInput = sourceForm.querySelector('[name="url"]');
+    const nameInput = sourceForm.querySelector('[name="name"]');
+    const submitButton = sourceForm.querySelector('button[type="submit"]');
+    const url = urlInput.value.trim();
+
+    if (getFeedSources().some(s => s.url === url)) {
+        showValidationResult(sourceStatus, { valid: false, error: 'This feed is already in your sources' });
+        return;
+    }
+
+    submitButton.disabled = true;
+    showValidationResult(sourceStatus, null);
+
+    const validation = await validateFeed(url);
+    showValidationResult(sourceStatus, validation);
+    submitButton.disabled = false;
+
+    if (!validation.valid) return;
+
+    const name = nameInput.value.trim() || validation.title || extractSource(url);
+    if (addFeedSource(url, name)) {
+        sourcesChanged = true;
+        sourceForm.reset();
+        renderSourcesList();
+    }
+}
+
+// Show a validation result, or a pending message when result is null
+function showValidationResult(element, result) {
+    element.classList.remove('success', 'error');
+
+    if (!result) {
+        element.textContent = 'Checking feed...';
+        return;
+    }
+
+    if (result.valid) {
+        element.classList.add('success');
+        element.textContent = `✅ Valid ${result.format} feed with ${result.itemCount} items`;
+    } else {
+        element.classList.add('error');
+        element.textContent = `❌ ${result.error}`;
+    }
+}
+
+console.log('🗂️ Feed manager module loaded');
@@ -1,66 +1,105 @@
 // Categorization and filtering logic for AI News Tracker
 
-// Category definitions with keywords for auto-categorization
-const CATEGORIES = {
-    'all': {
-        name: 'All News',
-        keywords: []
-    },
+import { clearCategoryConfig, getCategoryConfig, getFavorites, saveCategoryConfig } from './storage.js';
+import { getCorrection, predictLearnedCategories, predictLearnedRelevance } from './classifier.js';
+import { mentionsEntity } from './entities.js';
+
+// Built-in categories, used until the user edits them in the Categories panel.
+// Weights reflect how strongly a term signals the category: product names
+// are decisive, generic words only count alongside other evidence.
+// Negative keywords subtract their weight when they appear.
+const DEFAULT_CATEGORIES = {
     'ai-design-tools': {
         name: 'AI Design Tools',
-        keywords: [
-            'midjourney', 'dall-e', 'dall e', 'dalle', 'stable diffusion',
-            'generative ai', 'ai tool', 'text to image', 'image generation',
-            'ai software', 'design tool', 'firefly', 'leonardo ai'
-        ]
+        keywords: {
+            'midjourney': 4, 'dall-e': 4, 'dall e': 4, 'dalle': 4, 'stable diffusion': 4,
+            'firefly': 3, 'leonardo ai': 4, 'text to image': 3, 'image generation': 3,
+            'generative ai': 2, 'ai tool': 2, 'ai software': 2, 'design tool': 1
+        },
+        negativeKeywords: {}
     },
     'visualization': {
         name: 'Visualization',
-        keywords: [
-            'rendering', 'visualization', 'visualisation', 'vray', 'v-ray',
-            '3d render', 'cgi', '3d visualization', 'lumion', 'enscape',
-            'twinmotion', 'unreal engine', 'photorealistic', '3d model'
-        ]
+        keywords: {
+            'lumion': 4, 'enscape': 4, 'twinmotion': 4, 'vray': 4, 'v-ray': 4,
+            'unreal engine': 3, '3d render': 3, '3d visualization': 3, 'cgi': 3,
+            'rendering': 2, 'visualization': 2, 'visualisation': 2, 'photorealistic': 2,
+            '3d model': 1
+        },
+        negativeKeywords: {
+            'data visualization': 3, 'data visualisation': 3
+        }
     },
     'automation': {
         name: 'Automation',
-        keywords: [
-            'automation', 'workflow', 'productivity', 'ai agent', 'automate',
-            'efficiency', 'process automation', 'task automation', 'machine learning',
-            'artificial intelligence workflow'
-        ]
+        keywords: {
+            'process automation': 4, 'task automation': 4, 'ai agent': 3,
+            'artificial intelligence workflow': 3, 'automation': 2, 'automate': 2,
+            'workflow': 1.5, 'productivity': 1, 'efficiency': 1, 'machine learning': 0.5
+        },
+        negativeKeywords: {
+            'home automation': 2
+        }
     },
     'architecture-ai': {
         name: 'Architecture AI',
-        keywords: [
-            'architecture', 'architectural design', 'building design', 'bim',
-            'parametric design', 'generative design', 'computational design',
-            'architect', 'building', 'construction', 'revit ai', 'grasshopper'
-        ]
+        keywords: {
+            'revit ai': 4, 'grasshopper': 3, 'bim': 3, 'parametric design': 3,
+            'generative design': 3, 'computational design': 3, 'architectural design': 2,
+            'building design': 2, 'architect': 1, 'construction': 1, 'building': 0.5,
+            'architecture': 0.5
+        },
+        negativeKeywords: {
+            'software architecture': 3, 'system architecture': 3, 'network architecture': 3,
+            'model architecture': 2, 'chip architecture': 3
+        }
     },
     'interior-design-ai': {
         name: 'Interior Design AI',
-        keywords: [
-            'interior design', 'interior', 'furniture', 'space planning',
-            'room design', 'interior ai', 'home design', 'decor',
-            'interior visualization'
-        ]
+        keywords: {
+            'interior ai': 4, 'interior design': 3, 'interior visualization': 3,
+            'space planning': 3, 'room design': 3, 'home design': 2, 'furniture': 2,
+            'decor': 1.5, 'interior': 1
+        },
+        negativeKeywords: {
+            'department of the interior': 3, 'interior ministry': 3
+        }
     },
     'industry-news': {
         name: 'Industry News',
-        keywords: [
-            'industry', 'market', 'business', 'technology', 'innovation',
-            'news', 'announcement', 'launch', 'company', 'startup'
-        ]
-    },
-    'favorites': {
-        name: '⭐ Favorites',
-        keywords: []
+        keywords: {
+            'announcement': 1, 'launch': 1, 'startup': 1, 'funding': 1, 'acquisition': 1,
+            'industry': 0.5, 'market': 0.5, 'business': 0.5, 'company': 0.5,
+            'innovation': 0.5, 'technology': 0.5, 'news': 0.5
+        },
+        negativeKeywords: {}
     }
 };
 
+// Views in the filter bar around the categories
+const VIEW_NAMES = {
+    'all': 'All News',
+    'favorites': '⭐ Favorites'
+};
+
+// Where AI-related articles that match no category go. It can be renamed and
+// its keywords edited, but not deleted.
+export const FALLBACK_CATEGORY = 'industry-news';
+
+// Weight of a keyword entered without one in the Categories panel
+const DEFAULT_KEYWORD_WEIGHT = 2;
+
+// Scoring weights: where a keyword appears matters as much as which keyword it is
+const TITLE_WEIGHT = 2;           // A keyword in the headline
+const TAG_WEIGHT = 1.5;           // A keyword in the feed's own categories
+const BODY_WEIGHT = 1;            // A keyword in the description or content
+const MIN_CATEGORY_SCORE = 2;     // Below this an article doesn't belong to a category
+const RELATIVE_SCORE_CUTOFF = 0.25; // Secondary labels must reach this share of the top score
+const MAX_CATEGORIES = 3;
+
 // AI-related keywords that must be present for article to be relevant
-const AI_KEYWORDS = [
+// (until the user edits the list)
+const DEFAULT_AI_KEYWORDS = [
     'ai', 'artificial intelligence', 'machine learning', 'ml',
     'generative', 'neural', 'deep learning', 'algorithm',
     'automated', 'automation', 'computational', 'intelligent',
@@ -68,101 +107,617 @@ const AI_KEYWORDS = [
     'chatgpt', 'gpt', 'llm', 'large language model'
 ];
 
-// Check if article is AI-related
+// Compiled keyword patterns, keyed by keyword
+const keywordPatterns = new Map();
+
+// Match a keyword as a whole word (allowing a plural 's'), so 'ai' doesn't match "chair"
+function getKeywordPattern(keyword) {
+    if (!keywordPatterns.has(keyword)) {
+        keywordPatterns.set(
+            keyword,
+            new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}(?:s|es)?(?![\\p{L}\\p{N}])`, 'u')
+        );
+    }
+    return keywordPatterns.get(keyword);
+}
+
+// Escape a string for literal use inside a RegExp
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsKeyword(text, keyword) {
+    return getKeywordPattern(keyword).test(text);
+}
+
+// Lower-cased text fields of an article, kept apart so they can be weighted differently
+function getArticleText(article) {
+    const content = (article.content || '').replace(/<[^>]*>/g, ' ');
+    return {
+        title: (article.title || '').toLowerCase(),
+        tags: (article.tags || []).join(' | ').toLowerCase(),
+        body: `${article.description || ''} ${content}`.toLowerCase()
+    };
+}
+
+// Weighted score of one keyword map against an article's text fields
+function scoreKeywords(text, keywords) {
+    let score = 0;
+    for (const [keyword, weight] of Object.entries(keywords || {})) {
+        if (containsKeyword(text.title, keyword)) score += weight * TITLE_WEIGHT;
+        if (containsKeyword(text.tags, keyword)) score += weight * TAG_WEIGHT;
+        if (containsKeyword(text.body, keyword)) score += weight * BODY_WEIGHT;
+    }
+    return score;
+}
+
+// Check if article is AI-related: the AI keyword check, blended with the
+// learned model's relevance by the share it has earned from corrections
 function isAIRelated(article) {
-    const content = `${article.title} ${article.description}`.toLowerCase();
-    return AI_KEYWORDS.some(keyword => content.includes(keyword.toLowerCase()));
+    const text = getArticleText(article);
+    const content = `${text.title} ${text.tags} ${text.body}`;
+    const keywordMatch = getConfig().aiKeywords.some(keyword => containsKeyword(content, keyword)) ? 1 : 0;
+
+    const learned = predictLearnedRelevance(article);
+    if (!learned) return keywordMatch === 1;
+
+    return (1 - learned.weight) * keywordMatch + learned.weight * learned.probability >= 0.5;
+}
+
+// Score every category for an article, highest first
+function scoreCategories(article) {
+    const text = getArticleText(article);
+    const learned = predictLearnedCategories(article);
+    const scores = [];
+
+    for (const category of getConfig().categories) {
+        const categoryId = category.id;
+        let score = scoreKeywords(text, category.keywords) -
+            scoreKeywords(text, category.negativeKeywords);
+
+        // Blend in the classifier trained from user corrections (classifier.js)
+        if (learned) {
+            const learnedScore = confidenceToScore(learned.probabilities[categoryId] || 0);
+            score = (1 - learned.weight) * score + learned.weight * learnedScore;
+        }
+
+        if (score > 0) {
+            scores.push({ categoryId, score });
+        }
+    }
+
+    return scores.sort((a, b) => b.score - a.score);
+}
+
+// Map a raw score onto 0-1; a score of MIN_CATEGORY_SCORE is roughly 0.4
+function scoreToConfidence(score) {
+    return Math.round((1 - Math.exp(-score / 4)) * 100) / 100;
+}
+
+// Inverse of scoreToConfidence, capped so a certain prediction stays finite
+function confidenceToScore(confidence) {
+    return -4 * Math.log(1 - Math.min(confidence, 0.99));
 }
 
-// Categorize an article based on its content
-function categorizeArticle(article) {
+// Categorize an article based on its content. Articles can belong to several
+// categories; `category` is the strongest one and `categories` lists all of
+// them, strongest first, with per-category confidence in `categoryScores`.
+export function categorizeArticle(article) {
+    // An explicit user correction always wins, unless its category was deleted
+    const correction = getCorrection(article.id);
+    if (correction && (!correction.relevant || isCategory(correction.category))) {
+        if (!correction.relevant) return null;
+        return {
+            ...article,
+            category: correction.category,
+            categories: [correction.category],
+            categoryScores: { [correction.category]: 1 }
+        };
+    }
+
     // First check if article is AI-related
     if (!isAIRelated(article)) {
         console.log(`⚠️ Filtered out non-AI article: ${article.title}`);
         return null; // Will be filtered out
     }
 
-    const content = `${article.title} ${article.description}`.toLowerCase();
-
-    // Check each category's keywords (except 'all' and 'favorites')
-    for (const [categoryId, categoryData] of Object.entries(CATEGORIES)) {
-        if (categoryId === 'all' || categoryId === 'favorites') continue;
+    const scores = scoreCategories(article);
+    const topScore = scores.length > 0 ? scores[0].score : 0;
 
-        // Check if any keyword matches
-        const hasMatch = categoryData.keywords.some(keyword =>
-            content.includes(keyword.toLowerCase())
-        );
+    const matches = scores
+        .filter(({ score }) =>
+            score >= MIN_CATEGORY_SCORE && score >= topScore * RELATIVE_SCORE_CUTOFF
+        )
+        .slice(0, MAX_CATEGORIES);
 
-        if (hasMatch) {
-            return {
-                ...article,
-                category: categoryId
-            };
-        }
+    // Default fallback category for AI-related articles
+    if (matches.length === 0) {
+        return {
+            ...article,
+            category: FALLBACK_CATEGORY,
+            categories: [FALLBACK_CATEGORY],
+            categoryScores: { [FALLBACK_CATEGORY]: scoreToConfidence(topScore) }
+        };
     }
 
-    // Default fallback category for AI-related articles
+    const categoryScores = {};
+    matches.forEach(({ categoryId, score }) => {
+        categoryScores[categoryId] = scoreToConfidence(score);
+    });
+
     return {
         ...article,
-        category: 'industry-news'
+        category: matches[0].categoryId,
+        categories: matches.map(match => match.categoryId),
+        categoryScores: categoryScores
     };
 }
 
+// Check whether an article belongs to a category; articles cached before
+// multi-label categorization only have a single `category`
+function isInCategory(article, categoryId) {
+    return Array.isArray(article.categories)
+        ? article.categories.includes(categoryId)
+        : article.category === categoryId;
+}
+
 // Filter articles by category
-function filterArticles(articles, categoryId) {
+export function filterArticles(articles, categoryId) {
     if (categoryId === 'all') {
         return articles;
     }
 
     if (categoryId === 'favorites') {
-        const favoriteIds = getFavorites().map(f => f.id);
-        return articles.filter(article => favoriteIds.includes(article.id));
+        return getFavoriteArticles(articles);
     }
 
-    return articles.filter(article => article.category === categoryId);
+    return articles.filter(article => isInCategory(article, categoryId));
+}
+
+// Favorited articles, most recently saved first. Uses the live article when it
+// is still in the feed and the stored snapshot once it has rotated out.
+export function getFavoriteArticles(articles) {
+    const articlesById = new Map(articles.map(article => [article.id, article]));
+
+    return getFavorites()
+        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))
+        .map(favorite =>
+            articlesById.get(favorite.id) ||
+            (favorite.article ? { ...favorite.article, isFavorite: true } : null)
+        )
+        .filter(article => article !== null);
 }
 
 // Get category display name
-function getCategoryName(categoryId) {
-    return CATEGORIES[categoryId]?.name || 'Unknown';
+export function getCategoryName(categoryId) {
+    return VIEW_NAMES[categoryId] || findCategory(categoryId)?.name || 'Unknown';
 }
 
-// Get all category IDs
-function getAllCategoryIds() {
-    return Object.keys(CATEGORIES);
+// Get all category IDs in filter bar order: all, the categories, favorites
+export function getAllCategoryIds() {
+    return ['all', ...getConfig().categories.map(category => category.id), 'favorites'];
 }
 
 // Get article count by category
-function getArticleCountByCategory(articles) {
+// Articles are clustered by story, so each story counts once; pass
+// { includeCoverage: true } to also count every duplicate merged into it
+export function getArticleCountByCategory(articles, options = {}) {
     const counts = {};
+    const countArticles = list => options.includeCoverage
+        ? list.reduce((sum, article) => sum + 1 + (article.duplicates || []).length, 0)
+        : list.length;
 
-    for (const categoryId of Object.keys(CATEGORIES)) {
+    for (const categoryId of getAllCategoryIds()) {
         if (categoryId === 'all') {
-            counts[categoryId] = articles.length;
+            counts[categoryId] = countArticles(articles);
         } else if (categoryId === 'favorites') {
-            const favoriteIds = getFavorites().map(f => f.id);
-            counts[categoryId] = articles.filter(a => favoriteIds.includes(a.id)).length;
+            counts[categoryId] = countArticles(getFavoriteArticles(articles));
         } else {
-            counts[categoryId] = articles.filter(a => a.category === categoryId).length;
+            counts[categoryId] = countArticles(articles.filter(a => isInCategory(a, categoryId)));
         }
     }
 
     return counts;
 }
 
-// Search articles by query
-function searchArticles(articles, query) {
+// Search ranking weights by the field a term matched in
+const SEARCH_FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    source: 1,
+    author: 1,
+    description: 1,
+    content: 0.5
+};
+
+// Parse a search query into OR-ed groups of AND-ed terms. Supports
+// "quoted phrases", -exclusions, source:, category:, entity:, before:/after: dates
+// (YYYY-MM-DD, or relative like 7d / 2w) and OR (or |) between groups.
+function parseSearchQuery(query) {
+    const groups = [[]];
+    const tokenPattern = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query || '')) !== null) {
+        const [, minus, field, quoted, bare] = match;
+        const value = (quoted ?? bare ?? '').trim();
+
+        if (!field && !minus && quoted === undefined && (value === 'OR' || value === '|')) {
+            if (groups[groups.length - 1].length > 0) groups.push([]);
+            continue;
+        }
+        if (!value) continue;
+
+        const term = {
+            type: 'text',
+            value: value.toLowerCase(),
+            phrase: quoted !== undefined,
+            negate: minus === '-'
+        };
+
+        const fieldName = (field || '').toLowerCase();
+        if (fieldName === 'source' || fieldName === 'category' || fieldName === 'entity') {
+            term.type = fieldName;
+        } else if (fieldName === 'before' || fieldName === 'after') {
+            const date = parseSearchDate(value);
+            if (!date) continue;
+            term.type = fieldName;
+            term.date = date;
+        } else if (field) {
+            // Unknown field, so treat "foo:bar" as plain text
+            term.value = `${field}:${value}`.toLowerCase();
+        }
+
+        groups[groups.length - 1].push(term);
+    }
+
+    return groups.filter(group => group.length > 0);
+}
+
+// Absolute (2026-01-31) or relative (7d, 2w, 3m) dates for before:/after:
+function parseSearchDate(value) {
+    const relative = value.match(/^(\d+)([dwm])$/i);
+    if (relative) {
+        const days = { d: 1, w: 7, m: 30 }[relative[2].toLowerCase()] * Number(relative[1]);
+        return new Date(Date.now() - days * 86400000);
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// Lower-cased searchable fields of an article
+function getSearchFields(article) {
+    return {
+        title: (article.title || '').toLowerCase(),
+        tags: (article.tags || []).join(' ').toLowerCase(),
+        source: (article.source || '').toLowerCase(),
+        author: (article.author || '').toLowerCase(),
+        description: (article.description || '').toLowerCase(),
+        content: (article.content || '').replace(/<[^>]*>/g, ' ').toLowerCase()
+    };
+}
+
+// Match search terms at the start of a word, so "render" finds "rendering"
+// but "ai" doesn't find "chair"
+function getSearchTermPattern(value) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}`, 'u');
+}
+
+// Relevance of one positive text term: weighted sum over the fields it appears in
+function scoreTextTerm(fields, term) {
+    const pattern = getSearchTermPattern(term.value);
+    let score = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+        if (pattern.test(fields[field])) {
+            score += weight;
+        }
+    }
+    // Phrases are more specific than single words
+    return term.phrase ? score * 1.5 : score;
+}
+
+// Check whether a non-text term matches an article
+function matchesFilterTerm(article, term) {
+    switch (term.type) {
+        case 'source':
+            return (article.source || '').toLowerCase().includes(term.value);
+        case 'category': {
+            const ids = Array.isArray(article.categories) ? article.categories : [article.category];
+            return ids.some(id =>
+                id.startsWith(term.value) || getCategoryName(id).toLowerCase().includes(term.value)
+            );
+        }
+        case 'entity':
+            return mentionsEntity(article, term.value);
+        case 'before':
+            return new Date(article.pubDate) < term.date;
+        case 'after':
+            return new Date(article.pubDate) >= term.date;
+        default:
+            return false;
+    }
+}
+
+// Score an article against one AND group, or null if it doesn't match
+function scoreSearchGroup(article, fields, group) {
+    let score = 0;
+
+    for (const term of group) {
+        if (term.type === 'text') {
+            const termScore = scoreTextTerm(fields, term);
+            if (term.negate ? termScore > 0 : termScore === 0) return null;
+            score += termScore;
+        } else {
+            const matches = matchesFilterTerm(article, term);
+            if (term.negate ? matches : !matches) return null;
+        }
+    }
+
+    return score;
+}
+
+// Search articles by query, ranked by relevance (newest first on ties)
+export function searchArticles(articles, query) {
     if (!query || query.trim() === '') {
         return articles;
     }
 
-    const lowerQuery = query.toLowerCase().trim();
+    const groups = parseSearchQuery(query);
+    if (groups.length === 0) {
+        return articles;
+    }
+
+    return articles
+        .map(article => {
+            const fields = getSearchFields(article);
+            const scores = groups
+                .map(group => scoreSearchGroup(article, fields, group))
+                .filter(score => score !== null);
+            return { article, score: scores.length > 0 ? Math.max(...scores) : null };
+        })
+        .filter(result => result.score !== null)
+        .sort((a, b) =>
+            b.score - a.score || new Date(b.article.pubDate) - new Date(a.article.pubDate)
+        )
+        .map(result => result.article);
+}
+
+// Global pattern matching any positive text term of a query, for
+// highlighting matches; null when there is nothing to highlight
+export function getSearchHighlightPattern(query) {
+    const terms = parseSearchQuery(query)
+        .flat()
+        .filter(term => term.type === 'text' && !term.negate)
+        .map(term => term.value)
+        .sort((a, b) => b.length - a.length); // Longest first so phrases win
+
+    if (terms.length === 0) return null;
+
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})`, 'giu');
+}
+
+// Category Configuration
+// The user's categories (or the built-in ones) as
+// { categories: [{ id, name, keywords, negativeKeywords }], aiKeywords: [...] },
+// in filter bar order. Kept in memory so categorizing a whole feed doesn't
+// re-read localStorage per article.
+let categoryConfig = null;
+
+function createDefaultConfig() {
+    return {
+        categories: Object.entries(DEFAULT_CATEGORIES).map(([id, category]) => ({
+            id: id,
+            name: category.name,
+            keywords: { ...category.keywords },
+            negativeKeywords: { ...category.negativeKeywords }
+        })),
+        aiKeywords: [...DEFAULT_AI_KEYWORDS]
+    };
+}
+
+// Keyword maps keep only positive numeric weights
+function isKeywordMap(keywords) {
+    return typeof keywords === 'object' && keywords !== null && !Array.isArray(keywords) &&
+        Object.values(keywords).every(weight => Number.isFinite(weight) && weight > 0);
+}
+
+// Ids as createCategoryId() makes them; anything else came from a hand-edited
+// or crafted config and would end up in the page's markup
+const CATEGORY_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Whether a stored or imported config can be used as is
+export function isValidCategoryConfig(config) {
+    return Array.isArray(config?.categories) &&
+        Array.isArray(config.aiKeywords) &&
+        config.aiKeywords.every(keyword => typeof keyword === 'string') &&
+        config.categories.some(category => category?.id === FALLBACK_CATEGORY) &&
+        config.categories.every(category =>
+            typeof category?.id === 'string' && CATEGORY_ID_PATTERN.test(category.id) &&
+            !(category.id in VIEW_NAMES) &&
+            typeof category.name === 'string' &&
+            isKeywordMap(category.keywords) && isKeywordMap(category.negativeKeywords)
+        );
+}
+
+function getConfig() {
+    if (!categoryConfig) {
+        const stored = getCategoryConfig();
+        if (stored && !isValidCategoryConfig(stored)) {
+            console.warn('Ignoring malformed custom categories, using the defaults');
+        }
+        categoryConfig = stored && isValidCategoryConfig(stored) ? stored : createDefaultConfig();
+    }
+    return categoryConfig;
+}
+
+function findCategory(categoryId) {
+    return getConfig().categories.find(category => category.id === categoryId);
+}
+
+function saveConfig() {
+    if (!saveCategoryConfig(categoryConfig)) {
+        throw new Error('Could not save the categories');
+    }
+}
+
+// Re-read the categories from storage on next use, after they were changed
+// outside this module (backup import)
+export function reloadCategories() {
+    categoryConfig = null;
+}
+
+// Whether an ID is one of the configured categories (not a view like 'all')
+export function isCategory(categoryId) {
+    return Boolean(findCategory(categoryId));
+}
+
+// Copies of the configured categories, in order, for the Categories panel
+export function getCategories() {
+    return getConfig().categories.map(category => ({
+        ...category,
+        keywords: { ...category.keywords },
+        negativeKeywords: { ...category.negativeKeywords }
+    }));
+}
+
+export function getAIKeywords() {
+    return [...getConfig().aiKeywords];
+}
+
+// URL-safe ID from a name, unique among the categories and views
+function createCategoryId(name) {
+    const base = name.toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'category';
+
+    let id = base;
+    for (let i = 2; isCategory(id) || id in VIEW_NAMES; i++) {
+        id = `${base}-${i}`;
+    }
+    return id;
+}
+
+function checkCategoryName(name, exceptId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw new Error('Enter a category name');
+    }
+    const lower = trimmed.toLowerCase();
+    if (getConfig().categories.some(category => category.id !== exceptId && category.name.toLowerCase() === lower)) {
+        throw new Error(`There is already a category called "${trimmed}"`);
+    }
+    return trimmed;
+}
+
+// Add a category at the end, before the fallback category. Returns its ID.
+export function createCategory(name, keywordText = '') {
+    const config = getConfig();
+    const trimmed = checkCategoryName(name);
+    const category = {
+        id: createCategoryId(trimmed),
+        name: trimmed,
+        ...parseKeywordList(keywordText)
+    };
+
+    const fallbackIndex = config.categories.findIndex(existing => existing.id === FALLBACK_CATEGORY);
+    config.categories.splice(fallbackIndex === -1 ? config.categories.length : fallbackIndex, 0, category);
+    saveConfig();
+    return category.id;
+}
+
+// Rename a category; its ID stays, so corrections and favorites keep pointing at it
+export function renameCategory(categoryId, name) {
+    const category = findCategory(categoryId);
+    if (!category) throw new Error('Unknown category');
+
+    category.name = checkCategoryName(name, categoryId);
+    saveConfig();
+}
+
+// Replace a category's keywords from the Categories panel's text format
+export function setCategoryKeywords(categoryId, keywordText) {
+    const category = findCategory(categoryId);
+    if (!category) throw new Error('Unknown category');
+
+    Object.assign(category, parseKeywordList(keywordText));
+    saveConfig();
+}
+
+// Move a category up (-1) or down (+1) in the filter bar
+export function moveCategory(categoryId, offset) {
+    const categories = getConfig().categories;
+    const from = categories.findIndex(category => category.id === categoryId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= categories.length) return false;
+
+    categories.splice(to, 0, ...categories.splice(from, 1));
+    saveConfig();
+    return true;
+}
+
+export function deleteCategory(categoryId) {
+    if (categoryId === FALLBACK_CATEGORY) {
+        throw new Error(`"${getCategoryName(categoryId)}" collects articles no other category matches, so it can't be deleted`);
+    }
+
+    const config = getConfig();
+    config.categories = config.categories.filter(category => category.id !== categoryId);
+    saveConfig();
+}
+
+// Replace the keywords that make an article AI-related
+export function setAIKeywords(keywordText) {
+    const keywords = splitKeywordList(keywordText);
+    if (keywords.length === 0) {
+        throw new Error('Keep at least one AI keyword, or every article is filtered out');
+    }
+
+    getConfig().aiKeywords = [...new Set(keywords.map(keyword => keyword.toLowerCase()))];
+    saveConfig();
+}
+
+// Go back to the built-in categories and AI keywords
+export function resetCategories() {
+    categoryConfig = createDefaultConfig();
+    return clearCategoryConfig();
+}
+
+function splitKeywordList(text) {
+    return (text || '').split(/[,\n]/).map(keyword => keyword.trim()).filter(Boolean);
+}
+
+// Parse "midjourney:4, rendering, -data visualization:3" into keyword maps.
+// Weights are optional (DEFAULT_KEYWORD_WEIGHT); a leading minus makes a
+// negative keyword.
+export function parseKeywordList(text) {
+    const keywords = {};
+    const negativeKeywords = {};
+
+    splitKeywordList(text).forEach(entry => {
+        const match = entry.match(/^(-?)\s*(.+?)(?:\s*:\s*([^:]*))?$/);
+        const keyword = match[2].trim().toLowerCase();
+        const weight = match[3] === undefined ? DEFAULT_KEYWORD_WEIGHT : Number(match[3]);
+
+        if (!Number.isFinite(weight) || weight <= 0) {
+            throw new Error(`"${entry}" needs a positive number after the colon`);
+        }
+        (match[1] ? negativeKeywords : keywords)[keyword] = weight;
+    });
+
+    return { keywords: keywords, negativeKeywords: negativeKeywords };
+}
+
+// A category's keywords in the text format parseKeywordList() reads
+export function formatKeywordList(category) {
+    const format = (keywords, prefix) => Object.entries(keywords).map(([keyword, weight]) =>
+        `${prefix}${keyword}${weight === DEFAULT_KEYWORD_WEIGHT ? '' : `:${weight}`}`);
 
-    return articles.filter(article =>
-        article.title.toLowerCase().includes(lowerQuery) ||
-        article.description.toLowerCase().includes(lowerQuery) ||
-        article.source.toLowerCase().includes(lowerQuery)
-    );
+    return [
+        ...format(category.keywords || {}, ''),
+        ...format(category.negativeKeywords || {}, '-')
+    ].join(', ');
 }
 
 console.log('🔍 Filters module loaded');
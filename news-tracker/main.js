@@ -0,0 +1,29 @@
+// Browser entry point for AI News Tracker
+// index.html loads this as a module, no bundler needed. It hands the
+// browser's own parsers to the shared feed pipeline and starts the app.
+
+import { configureParsers } from './rss-proxy.js';
+import { initApp } from './script.js';
+
+// DOMParser reports malformed XML as a <parsererror> document instead of throwing
+function parseXmlWithDOMParser(text) {
+    const xmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Malformed XML');
+    }
+    return xmlDoc;
+}
+
+// A <textarea> decodes every named HTML entity, not only the common ones
+function decodeHtmlWithTextarea(text) {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = text;
+    return textarea.value;
+}
+
+configureParsers({
+    parseXml: parseXmlWithDOMParser,
+    decodeHtml: decodeHtmlWithTextarea
+});
+
+initApp();
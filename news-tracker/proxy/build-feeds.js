@@ -0,0 +1,166 @@
+// Build the tracker's own Atom and JSON Feed output: one feed per category,
+// plus all articles and favorites. Articles are fetched through this proxy and
+// processed by the tracker's own modules, so the feeds match the web app.
+//
+//   node build-feeds.js [--out <dir>] [--base-url <url>] [--backup <file>]
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+import { createProxyServer } from './server.js';
+
+// The tracker modules shared with the web app
+const TRACKER_MODULES = [
+    '../storage.js',
+    '../filters.js',
+    '../classifier.js',
+    '../clustering.js',
+    '../rss-proxy.js',
+    '../sanitize.js',
+    '../exporters.js'
+];
+
+const DEFAULT_OUTPUT_DIR = fileURLToPath(new URL('../feeds/', import.meta.url));
+
+// Start the proxy on a free local port; resolves to { url, close }. The
+// fetch and lookup options, when given, replace the network (tests use them).
+export function startLocalProxy(options = {}) {
+    const server = createProxyServer(Object.fromEntries(
+        ['fetch', 'lookup'].filter(name => options[name]).map(name => [name, options[name]])
+    ));
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/api.json`,
+                close: () => server.close()
+            });
+        });
+    });
+}
+
+// Run fn with the tracker's progress logging hidden, unless verbose
+export async function quietly(verbose, fn) {
+    if (verbose) return fn();
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// Load the tracker modules with fresh in-memory storage and a proxy chain
+// that is only the given local proxy. A backup exported from the web app
+// supplies sources, categories, corrections and favorites; sources ([{ name, url }])
+// overrides the feed list. Resolves to all the modules' exports.
+export async function createFeedContext({ proxyUrl, backup, sources, verbose }) {
+    const modules = await quietly(verbose, () =>
+        Promise.all(TRACKER_MODULES.map(module => import(module))));
+    const tracker = Object.assign({}, ...modules);
+
+    tracker.setStorage(tracker.createMemoryStorage(), tracker.createMemoryStorage());
+    tracker.PROXY_CHAIN.splice(0, tracker.PROXY_CHAIN.length, { name: 'Local', type: 'json', url: proxyUrl });
+
+    if (backup) {
+        tracker.importUserData(backup, 'replace');
+    }
+
+    if (sources) {
+        tracker.saveFeedSources(sources.map(feed => ({ ...feed, enabled: true, addedAt: null })));
+    }
+
+    // Categories and corrections from the backup (or left by an earlier build)
+    tracker.reloadCategories();
+    tracker.reloadClassifier();
+
+    return tracker;
+}
+
+// Feeds to write: { slug, title, articles } for all, each category and favorites
+function selectFeeds(tracker, articles) {
+    return tracker.getAllCategoryIds().map(categoryId => ({
+        slug: categoryId,
+        title: categoryId === 'all'
+            ? 'AI News Tracker'
+            : `AI News Tracker: ${tracker.getCategoryName(categoryId).replace(/^\W+\s*/, '')}`,
+        articles: tracker.filterArticles(articles, categoryId)
+    }));
+}
+
+// Fetch, categorize and write every feed. Options:
+// { outputDir, baseUrl, backup (JSON text), sources, fetch, lookup, verbose }
+export async function buildFeeds(options = {}) {
+    const outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    const baseUrl = (options.baseUrl || 'http://localhost:8000').replace(/\/+$/, '');
+    const proxy = await startLocalProxy(options);
+
+    try {
+        const tracker = await createFeedContext({
+            proxyUrl: proxy.url,
+            backup: options.backup,
+            sources: options.sources,
+            verbose: options.verbose
+        });
+
+        const articles = await quietly(options.verbose, () => tracker.fetchAllFeeds());
+        if (articles.length === 0) {
+            throw new Error('No articles could be fetched from any source');
+        }
+
+        await mkdir(outputDir, { recursive: true });
+
+        const homeUrl = `${baseUrl}/news-tracker/`;
+        const written = [];
+
+        for (const feed of selectFeeds(tracker, articles)) {
+            const atomUrl = `${baseUrl}/news-tracker/feeds/${feed.slug}.xml`;
+            const jsonUrl = `${baseUrl}/news-tracker/feeds/${feed.slug}.json`;
+
+            await writeFile(path.join(outputDir, `${feed.slug}.xml`), tracker.exportAtomFeed(feed.articles,
+                { title: feed.title, id: atomUrl, selfUrl: atomUrl, homeUrl: homeUrl }));
+
+            await writeFile(path.join(outputDir, `${feed.slug}.json`), tracker.exportJSONFeed(feed.articles,
+                { title: feed.title, id: jsonUrl, selfUrl: jsonUrl, homeUrl: homeUrl }));
+
+            written.push({ name: feed.title, url: atomUrl, count: feed.articles.length });
+        }
+
+        // One file to subscribe to every feed at once
+        await writeFile(path.join(outputDir, 'index.opml'),
+            tracker.exportOPML(written, 'AI News Tracker Feeds'));
+
+        return written;
+    } finally {
+        proxy.close();
+    }
+}
+
+// Run from the command line
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { values } = parseArgs({
+        options: {
+            out: { type: 'string' },
+            'base-url': { type: 'string' },
+            backup: { type: 'string' },
+            verbose: { type: 'boolean', default: false }
+        }
+    });
+
+    try {
+        const written = await buildFeeds({
+            outputDir: values.out,
+            baseUrl: values['base-url'] || process.env.FEED_BASE_URL,
+            backup: values.backup ? await readFile(values.backup, 'utf8') : null,
+            verbose: values.verbose
+        });
+
+        written.forEach(feed => console.log(`📡 ${feed.url} (${feed.count} articles)`));
+    } catch (error) {
+        console.error(`Feed build failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
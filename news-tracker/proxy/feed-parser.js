@@ -0,0 +1,253 @@
+// Convert RSS 0.9x/1.0/2.0, Atom and JSON Feed documents into the RSS2JSON
+// response shape that fetchFeed() in rss-proxy.js already consumes. The web
+// app imports this module too, so both parse feeds identically. It only needs
+// a small part of the DOM Element API, which xml.js and DOMParser both provide.
+
+import { parseXml } from './xml.js';
+
+const NS = {
+    atom: ['http://www.w3.org/2005/Atom', 'http://purl.org/atom/ns#'],
+    rss1: ['http://purl.org/rss/1.0/', 'http://my.netscape.com/rdf/simple/0.9/'],
+    content: 'http://purl.org/rss/1.0/modules/content/',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    media: 'http://search.yahoo.com/mrss/'
+};
+
+export class FeedFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FeedFormatError';
+    }
+}
+
+// Child elements matching a local name and one of the given namespaces
+function childrenOf(element, localName, namespaces) {
+    const allowed = [].concat(namespaces);
+    return Array.from(element.children).filter(child =>
+        child.localName === localName && allowed.includes(child.namespaceURI)
+    );
+}
+
+function childOf(element, localName, namespaces) {
+    return childrenOf(element, localName, namespaces)[0] || null;
+}
+
+function textOf(element, localName, namespaces) {
+    return childOf(element, localName, namespaces)?.textContent.trim() || '';
+}
+
+// Normalize any parseable date to ISO 8601, keeping unparseable values as-is
+function toISODate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toISOString();
+}
+
+// First image URL from Media RSS, enclosures or an <img> in the HTML body
+function findThumbnail(item, enclosure, html) {
+    const mediaThumbnail = childOf(item, 'thumbnail', NS.media);
+    if (mediaThumbnail?.getAttribute('url')) return mediaThumbnail.getAttribute('url');
+
+    // media:content may also be wrapped in a media:group
+    const mediaContent = childrenOf(item, 'content', NS.media)
+        .concat(...childrenOf(item, 'group', NS.media).map(group => childrenOf(group, 'content', NS.media)))
+        .find(media =>
+            media.getAttribute('medium') === 'image' || /^image\//.test(media.getAttribute('type') || '')
+        );
+    if (mediaContent?.getAttribute('url')) return mediaContent.getAttribute('url');
+
+    return findFallbackImage(enclosure, html);
+}
+
+// Image enclosure, else the first <img> in the HTML body
+function findFallbackImage(enclosure, html) {
+    if (enclosure.link && /^image\//.test(enclosure.type || '')) return enclosure.link;
+
+    const img = html.match(/<img[^>]+src=["']([^"']+)["']/i);
+    return img ? img[1] : '';
+}
+
+function parseRssItem(item, core) {
+    const enclosureElement = childOf(item, 'enclosure', core);
+    const enclosure = enclosureElement ? {
+        link: enclosureElement.getAttribute('url') || '',
+        type: enclosureElement.getAttribute('type') || '',
+        length: Number(enclosureElement.getAttribute('length')) || 0
+    } : {};
+
+    const description = textOf(item, 'description', core);
+    const content = textOf(item, 'encoded', NS.content) || description;
+
+    return {
+        title: textOf(item, 'title', core),
+        pubDate: toISODate(textOf(item, 'pubDate', core) || textOf(item, 'date', NS.dc)),
+        link: textOf(item, 'link', core) || item.getAttribute('rdf:about') || '',
+        guid: textOf(item, 'guid', core),
+        author: textOf(item, 'creator', NS.dc) || textOf(item, 'author', core),
+        thumbnail: findThumbnail(item, enclosure, content),
+        description: description,
+        content: content,
+        enclosure: enclosure,
+        categories: childrenOf(item, 'category', core)
+            .concat(childrenOf(item, 'subject', NS.dc))
+            .map(category => category.textContent.trim())
+            .filter(Boolean)
+    };
+}
+
+// Prefer rel="alternate" (or no rel) over self/edit/enclosure links
+function atomLink(entry, rel) {
+    const links = childrenOf(entry, 'link', NS.atom);
+    const match = links.find(link => (link.getAttribute('rel') || 'alternate') === rel);
+    return match?.getAttribute('href') || '';
+}
+
+function parseAtomEntry(entry) {
+    const summary = textOf(entry, 'summary', NS.atom);
+    const content = textOf(entry, 'content', NS.atom) || summary;
+    const enclosureHref = atomLink(entry, 'enclosure');
+    const enclosureElement = childrenOf(entry, 'link', NS.atom)
+        .find(link => link.getAttribute('rel') === 'enclosure');
+    const enclosure = enclosureHref ? {
+        link: enclosureHref,
+        type: enclosureElement.getAttribute('type') || '',
+        length: Number(enclosureElement.getAttribute('length')) || 0
+    } : {};
+
+    return {
+        title: textOf(entry, 'title', NS.atom),
+        pubDate: toISODate(textOf(entry, 'published', NS.atom) || textOf(entry, 'updated', NS.atom)),
+        // Entries without an alternate link fall back to their first link
+        link: atomLink(entry, 'alternate') || childOf(entry, 'link', NS.atom)?.getAttribute('href') || '',
+        guid: textOf(entry, 'id', NS.atom),
+        author: childrenOf(entry, 'author', NS.atom)
+            .map(author => textOf(author, 'name', NS.atom))
+            .filter(Boolean)
+            .join(', '),
+        thumbnail: findThumbnail(entry, enclosure, content),
+        description: summary || content,
+        content: content,
+        enclosure: enclosure,
+        categories: childrenOf(entry, 'category', NS.atom)
+            .map(category => category.getAttribute('label') || category.getAttribute('term') || '')
+            .filter(Boolean)
+    };
+}
+
+// JSON Feed 1.0/1.1 (https://jsonfeed.org/version/1.1)
+function parseJsonFeed(jsonText, feedUrl) {
+    let json;
+    try {
+        json = JSON.parse(jsonText);
+    } catch (error) {
+        throw new FeedFormatError(`Invalid JSON: ${error.message}`);
+    }
+
+    if (!/^https:\/\/jsonfeed\.org\/version\//.test(json.version || '') || !Array.isArray(json.items)) {
+        throw new FeedFormatError('JSON document is not a JSON Feed');
+    }
+
+    // 1.1 uses an authors array; 1.0 used a single author object
+    const authorNames = source => (source.authors || (source.author ? [source.author] : []))
+        .map(author => author.name)
+        .filter(Boolean)
+        .join(', ');
+
+    return {
+        feed: {
+            url: feedUrl,
+            title: json.title || '',
+            link: json.home_page_url || '',
+            description: json.description || '',
+            format: `JSON Feed ${json.version.split('/').pop()}`
+        },
+        items: json.items.map(item => {
+            const attachment = (item.attachments || [])[0];
+            const content = item.content_html || item.content_text || '';
+            const enclosure = attachment ? {
+                link: attachment.url || '',
+                type: attachment.mime_type || '',
+                length: attachment.size_in_bytes || 0
+            } : {};
+
+            return {
+                title: item.title || '',
+                pubDate: toISODate(item.date_published || item.date_modified),
+                link: item.url || item.external_url || '',
+                guid: String(item.id ?? ''),
+                author: authorNames(item) || authorNames(json),
+                thumbnail: item.image || item.banner_image || findFallbackImage(enclosure, content),
+                description: item.summary || content,
+                content: content,
+                enclosure: enclosure,
+                categories: Array.isArray(item.tags) ? item.tags : []
+            };
+        })
+    };
+}
+
+// Parse feed XML or JSON Feed into { feed, items } or throw FeedFormatError.
+// parseXmlDocument turns XML text into a document, throwing if malformed.
+export function parseFeed(text, feedUrl = '', parseXmlDocument = parseXml) {
+    if (text.trim().startsWith('{')) {
+        return parseJsonFeed(text, feedUrl);
+    }
+
+    let document;
+    try {
+        document = parseXmlDocument(text);
+    } catch (error) {
+        throw new FeedFormatError(`Invalid XML: ${error.message}`);
+    }
+
+    const root = document.documentElement;
+
+    if (root.localName === 'rss') {
+        const channel = childOf(root, 'channel', null);
+        if (!channel) throw new FeedFormatError('RSS feed has no <channel>');
+
+        return {
+            feed: {
+                url: feedUrl,
+                title: textOf(channel, 'title', null),
+                link: textOf(channel, 'link', null),
+                description: textOf(channel, 'description', null),
+                format: `RSS ${root.getAttribute('version') || '2.0'}`
+            },
+            items: childrenOf(channel, 'item', null).map(item => parseRssItem(item, null))
+        };
+    }
+
+    if (root.localName === 'RDF') {
+        // RSS 0.90/1.0: items are siblings of the channel, not children
+        const namespace = Array.from(root.children).find(child => NS.rss1.includes(child.namespaceURI))?.namespaceURI;
+        if (!namespace) throw new FeedFormatError('RDF document is not an RSS feed');
+        const channel = childOf(root, 'channel', namespace);
+
+        return {
+            feed: {
+                url: feedUrl,
+                title: channel ? textOf(channel, 'title', namespace) : '',
+                link: channel ? textOf(channel, 'link', namespace) : '',
+                description: channel ? textOf(channel, 'description', namespace) : '',
+                format: 'RSS 1.0'
+            },
+            items: childrenOf(root, 'item', namespace).map(item => parseRssItem(item, namespace))
+        };
+    }
+
+    if (root.localName === 'feed' && NS.atom.includes(root.namespaceURI)) {
+        return {
+            feed: {
+                url: feedUrl,
+                title: textOf(root, 'title', NS.atom),
+                link: atomLink(root, 'alternate'),
+                description: textOf(root, 'subtitle', NS.atom),
+                format: 'Atom'
+            },
+            items: childrenOf(root, 'entry', NS.atom).map(parseAtomEntry)
+        };
+    }
+
+    throw new FeedFormatError(`Unsupported document root <${root.nodeName}>`);
+}
@@ -0,0 +1,146 @@
+// Prerender the news feed at deploy time: fetch every source through this
+// proxy with the tracker's own modules, write articles.json for loadFeeds()
+// to start from, and put static cards into index.html for the first paint
+// (and for visitors and crawlers without JavaScript).
+//
+//   node prerender.js [--out <dir>] [--html <file>] [--backup <file>]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+import { startLocalProxy, createFeedContext, quietly } from './build-feeds.js';
+import { escapeHtml, sanitizeUrl } from '../sanitize.js';
+
+const DEFAULT_OUTPUT_DIR = fileURLToPath(new URL('../', import.meta.url));
+const DEFAULT_HTML_FILE = fileURLToPath(new URL('../index.html', import.meta.url));
+
+// index.html marks the block the static grid replaces
+const GRID_START = '<!-- prerender:news-grid -->';
+const GRID_END = '<!-- /prerender:news-grid -->';
+
+// Cards shown in the static grid; the full list loads from articles.json
+const MAX_PRERENDERED_CARDS = 30;
+
+// Static version of a news card (script.js createNewsCard) without the
+// favorite and correction controls, which need the app. card.excerptHtml is
+// already sanitized (sanitize.js); everything else is escaped here.
+function renderStaticCard(card) {
+    const link = sanitizeUrl(card.link);
+    const categories = card.categoryNames
+        .map((name, i) => `<span class="news-category${i > 0 ? ' secondary' : ''}">${escapeHtml(name)}</span>`)
+        .join('');
+    const coverage = card.coverage.length > 0
+        ? `
+                    <p class="news-coverage">Also covered by ${card.coverage.map(source => escapeHtml(source)).join(', ')}</p>`
+        : '';
+
+    return `
+                <article class="news-card" data-category="${escapeHtml(card.category)}">
+                    <div class="news-header">
+                        <div class="news-categories">${categories}</div>
+                    </div>
+                    <h3 class="news-title">${escapeHtml(card.title)}</h3>
+                    <div class="news-meta">
+                        <span class="news-source">${escapeHtml(card.source)}</span>
+                        <span class="news-date">${escapeHtml(card.date)}</span>
+                    </div>
+                    <div class="news-excerpt">${card.excerptHtml || escapeHtml(card.description)}</div>${coverage}
+                    <div class="news-footer">
+                        <a href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer" class="news-link">Read Full Article →</a>
+                    </div>
+                </article>`;
+}
+
+// Replace the marked grid in a page with static cards. The data-prerendered
+// attribute tells script.js to skip the loading spinner.
+export function renderPrerenderedGrid(html, cards, generatedAt) {
+    const start = html.indexOf(GRID_START);
+    const end = html.indexOf(GRID_END);
+    if (start === -1 || end < start) {
+        throw new Error(`Page has no ${GRID_START} block to prerender into`);
+    }
+
+    const grid = `${GRID_START}
+            <div class="news-grid" id="news-grid" data-prerendered="${escapeHtml(generatedAt)}">${cards.map(renderStaticCard).join('')}
+            </div>
+            `;
+
+    return html.slice(0, start) + grid + html.slice(end);
+}
+
+// Fetch all sources and write the snapshot and the prerendered page. Options:
+// { outputDir, htmlFile, backup (JSON text), sources, fetch, lookup, verbose }
+export async function prerender(options = {}) {
+    const outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+    const htmlFile = options.htmlFile || DEFAULT_HTML_FILE;
+    const proxy = await startLocalProxy(options);
+
+    try {
+        const tracker = await createFeedContext({
+            proxyUrl: proxy.url,
+            backup: options.backup,
+            sources: options.sources,
+            verbose: options.verbose
+        });
+
+        const enabledUrls = tracker.getFeedSources().filter(feed => feed.enabled).map(feed => feed.url);
+        const snapshot = await quietly(options.verbose, async () =>
+            tracker.createFeedSnapshot(await tracker.fetchFeedArticles(), enabledUrls));
+
+        if (snapshot.articles.length === 0) {
+            throw new Error('No articles could be fetched from any source');
+        }
+
+        await writeFile(path.join(outputDir, 'articles.json'), JSON.stringify(snapshot));
+
+        // Cards as the page would show them: clustered, newest story first
+        const cards = tracker.clusterArticles(snapshot.articles)
+            .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+            .slice(0, MAX_PRERENDERED_CARDS)
+            .map(article => ({
+                title: article.title,
+                link: article.link,
+                source: article.source,
+                description: article.description,
+                excerptHtml: tracker.sanitizeHtml(article.excerptHtml || ''),
+                category: article.category,
+                categoryNames: (article.categories || [article.category]).map(tracker.getCategoryName),
+                date: tracker.formatDate(article.pubDate),
+                coverage: (article.duplicates || []).map(duplicate => duplicate.source)
+            }));
+
+        const html = await readFile(htmlFile, 'utf8');
+        await writeFile(htmlFile, renderPrerenderedGrid(html, cards, snapshot.generatedAt));
+
+        return { articleCount: snapshot.articles.length, cardCount: cards.length };
+    } finally {
+        proxy.close();
+    }
+}
+
+// Run from the command line
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { values } = parseArgs({
+        options: {
+            out: { type: 'string' },
+            html: { type: 'string' },
+            backup: { type: 'string' },
+            verbose: { type: 'boolean', default: false }
+        }
+    });
+
+    try {
+        const result = await prerender({
+            outputDir: values.out,
+            htmlFile: values.html,
+            backup: values.backup ? await readFile(values.backup, 'utf8') : null,
+            verbose: values.verbose
+        });
+
+        console.log(`📦 articles.json: ${result.articleCount} articles, ${result.cardCount} cards prerendered`);
+    } catch (error) {
+        console.error(`Prerender failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
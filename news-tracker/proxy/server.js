@@ -0,0 +1,303 @@
+// Self-hostable feed proxy for AI News Tracker
+// Fetches feeds server-side with conditional GET (ETag/Last-Modified) and
+// answers in the RSS2JSON response shape, so rss-proxy.js can use it as a
+// drop-in replacement for api.rss2json.com and api.allorigins.win
+
+import http from 'node:http';
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { pathToFileURL } from 'node:url';
+import { parseFeed, FeedFormatError } from './feed-parser.js';
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+const MAX_CACHE_ENTRIES = 500;
+const MAX_REDIRECTS = 5;
+
+// Defaults, overridable through createProxyServer() options or env variables
+const DEFAULT_OPTIONS = {
+    allowedHosts: [],          // Empty list allows any public host
+    allowPrivateHosts: false,  // Allow loopback, private and link-local addresses
+    allowedOrigin: '*',        // Access-Control-Allow-Origin header value
+    maxAge: 300,               // Cache-Control max-age for responses, in seconds
+    timeout: 10000,            // Upstream request timeout in milliseconds
+    maxBodySize: 5242880,      // Largest feed read, in bytes (5 MB)
+    fetch: (...args) => globalThis.fetch(...args),
+    lookup: hostname => lookup(hostname, { all: true })
+};
+
+class ProxyError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'ProxyError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Create the HTTP server; call listen() on the result to start it
+export function createProxyServer(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const cache = new Map();
+
+    return http.createServer(async (request, response) => {
+        const requestUrl = new URL(request.url, 'http://localhost');
+
+        response.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+        response.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+        if (request.method === 'OPTIONS') {
+            response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+            response.writeHead(204).end();
+            return;
+        }
+
+        if (request.method !== 'GET') {
+            sendJson(response, 405, { status: 'error', message: 'Method not allowed' });
+            return;
+        }
+
+        if (requestUrl.pathname === '/health') {
+            sendJson(response, 200, { status: 'ok', cachedFeeds: cache.size });
+            return;
+        }
+
+        if (requestUrl.pathname !== '/api.json') {
+            sendJson(response, 404, { status: 'error', message: 'Not found' });
+            return;
+        }
+
+        try {
+            const count = parseCount(requestUrl.searchParams.get('count'));
+            const feedUrl = await validateFeedUrl(requestUrl.searchParams.get('rss_url'), config);
+
+            const result = await fetchFeed(feedUrl, cache, config);
+
+            response.setHeader('Cache-Control', `public, max-age=${config.maxAge}`);
+            response.setHeader('X-Feed-Cache', result.cacheStatus);
+            sendJson(response, 200, {
+                status: 'ok',
+                feed: result.feed,
+                items: result.items.slice(0, count)
+            });
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            if (statusCode >= 500) {
+                console.error(`Proxy error for ${request.url}:`, error.message);
+            }
+            sendJson(response, statusCode, { status: 'error', message: error.message });
+        }
+    });
+}
+
+function sendJson(response, statusCode, body) {
+    response.writeHead(statusCode);
+    response.end(JSON.stringify(body));
+}
+
+// Loopback, private (RFC 1918, unique local), link-local (including cloud
+// metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved
+// addresses. IPv4-mapped IPv6 addresses are checked as IPv4, in either the
+// dotted form or the hex form URL parsing turns them into (::ffff:7f00:1).
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (mappedHex) {
+        const [high, low] = mappedHex.slice(1).map(group => parseInt(group, 16));
+        return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+
+    if (isIP(address) === 4) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+
+    const lower = address.toLowerCase();
+    return lower === '::' || lower === '::1' ||
+        /^f[cd]/.test(lower) ||       // fc00::/7 unique local
+        /^fe[89ab]/.test(lower) ||    // fe80::/10 link-local
+        /^ff/.test(lower);            // multicast
+}
+
+// Number of items to return: DEFAULT_COUNT when not given, capped at MAX_COUNT
+function parseCount(value) {
+    if (value === null || value === '') return DEFAULT_COUNT;
+
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        throw new ProxyError('count must be a positive integer', 400);
+    }
+    return Math.min(Number(value), MAX_COUNT);
+}
+
+// Only proxy http(s) URLs, restricted to the allowlist when one is configured
+// and to public addresses unless allowPrivateHosts is set. The host is
+// resolved here, so names pointing at internal addresses are caught too.
+async function validateFeedUrl(value, config) {
+    if (!value) {
+        throw new ProxyError('Missing rss_url parameter', 400);
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new ProxyError('rss_url is not a valid URL', 400);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ProxyError('Only http and https feeds are supported', 400);
+    }
+
+    if (config.allowedHosts.length > 0 && !config.allowedHosts.includes(url.hostname)) {
+        throw new ProxyError(`Host ${url.hostname} is not in the allowlist`, 403);
+    }
+
+    if (!config.allowPrivateHosts) {
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        try {
+            addresses = isIP(hostname) ? [{ address: hostname }] : await config.lookup(hostname);
+        } catch (error) {
+            throw new ProxyError(`Could not resolve host ${hostname}`, 502);
+        }
+
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            throw new ProxyError(`Host ${url.hostname} is a private address`, 403);
+        }
+    }
+
+    return url.href;
+}
+
+// Read a response body as text, giving up past maxBodySize bytes
+async function readBody(upstream, maxBodySize) {
+    const tooLarge = () => new ProxyError(`Feed is larger than ${maxBodySize} bytes`, 413);
+
+    if (Number(upstream.headers.get('content-length')) > maxBodySize) {
+        await upstream.body?.cancel();
+        throw tooLarge();
+    }
+    if (!upstream.body) return '';
+
+    const reader = upstream.body.getReader();
+    const decoder = new TextDecoder();
+    let size = 0;
+    let text = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        size += value.byteLength;
+        if (size > maxBodySize) {
+            await reader.cancel();
+            throw tooLarge();
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+    return text + decoder.decode();
+}
+
+// Fetch a URL, following redirects by hand so every hop is validated like
+// the feed URL itself
+async function fetchValidated(feedUrl, headers, config) {
+    let url = feedUrl;
+
+    for (let redirects = 0; ; redirects++) {
+        let upstream;
+        try {
+            upstream = await config.fetch(url, {
+                headers: headers,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(config.timeout)
+            });
+        } catch (error) {
+            throw new ProxyError(`Upstream request failed: ${error.message}`, 502);
+        }
+
+        const location = upstream.headers.get('location');
+        if (upstream.status < 300 || upstream.status > 399 || upstream.status === 304 || !location) {
+            return upstream;
+        }
+
+        await upstream.body?.cancel();
+        if (redirects >= MAX_REDIRECTS) {
+            throw new ProxyError('Upstream redirected too many times', 502);
+        }
+
+        let next;
+        try {
+            next = new URL(location, url).href;
+        } catch (error) {
+            throw new ProxyError('Upstream sent an invalid redirect', 502);
+        }
+        url = await validateFeedUrl(next, config);
+    }
+}
+
+// Fetch a feed, revalidating any cached copy with conditional GET
+async function fetchFeed(feedUrl, cache, config) {
+    const cached = cache.get(feedUrl);
+    const headers = { 'User-Agent': 'AI-News-Tracker-Proxy/1.0' };
+
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const upstream = await fetchValidated(feedUrl, headers, config);
+
+    if (upstream.status === 304 && cached) {
+        return { ...cached.result, cacheStatus: 'revalidated' };
+    }
+
+    if (!upstream.ok) {
+        throw new ProxyError(`Upstream responded with status ${upstream.status}`, 502);
+    }
+
+    const body = await readBody(upstream, config.maxBodySize);
+
+    let result;
+    try {
+        result = parseFeed(body, feedUrl);
+    } catch (error) {
+        if (error instanceof FeedFormatError) {
+            throw new ProxyError(error.message, 502);
+        }
+        throw error;
+    }
+
+    const etag = upstream.headers.get('etag');
+    const lastModified = upstream.headers.get('last-modified');
+    if (etag || lastModified) {
+        // Re-insert so the Map stays ordered oldest-first for eviction
+        cache.delete(feedUrl);
+        cache.set(feedUrl, { etag, lastModified, result });
+        if (cache.size > MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    return { ...result, cacheStatus: 'miss' };
+}
+
+// Start listening when run directly (node server.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT) || 8787;
+    const server = createProxyServer({
+        allowedHosts: (process.env.FEED_PROXY_ALLOWED_HOSTS || '')
+            .split(',')
+            .map(host => host.trim())
+            .filter(Boolean),
+        allowPrivateHosts: process.env.FEED_PROXY_ALLOW_PRIVATE_HOSTS === 'true',
+        allowedOrigin: process.env.FEED_PROXY_ALLOWED_ORIGIN || DEFAULT_OPTIONS.allowedOrigin,
+        maxAge: Number(process.env.FEED_PROXY_MAX_AGE) || DEFAULT_OPTIONS.maxAge
+    });
+
+    server.listen(port, () => {
+        console.log(`📡 Feed proxy listening on http://localhost:${port}/api.json`);
+    });
+}
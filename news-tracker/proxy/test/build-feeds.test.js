@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { buildFeeds } from '../build-feeds.js';
+import { parseFeed } from '../feed-parser.js';
+
+const SOURCES = [
+    { name: 'Fixture RSS', url: 'https://example.com/rss2.xml' },
+    { name: 'Fixture Atom', url: 'https://atom.example.com/atom.xml' }
+];
+
+// Serve fixture files in place of the network
+const fixtureFetch = async url => {
+    const body = await readFile(new URL(`./fixtures/${new URL(url).pathname.slice(1)}`, import.meta.url), 'utf8');
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/xml' } });
+};
+
+// Resolve every fixture host to a public address without DNS
+const fixtureLookup = async () => [{ address: '93.184.215.14', family: 4 }];
+
+const withOutputDir = async run => {
+    const outputDir = await mkdtemp(path.join(tmpdir(), 'news-tracker-feeds-'));
+    try {
+        await run(outputDir);
+    } finally {
+        await rm(outputDir, { recursive: true, force: true });
+    }
+};
+
+test('writes Atom and JSON Feed files for every category', async () => {
+    await withOutputDir(async outputDir => {
+        const written = await buildFeeds({
+            outputDir,
+            baseUrl: 'https://tracker.example.org/',
+            sources: SOURCES,
+            fetch: fixtureFetch,
+            lookup: fixtureLookup
+        });
+
+        const files = await readdir(outputDir);
+        for (const slug of ['all', 'ai-design-tools', 'interior-design-ai', 'favorites']) {
+            assert.ok(files.includes(`${slug}.xml`), `${slug}.xml written`);
+            assert.ok(files.includes(`${slug}.json`), `${slug}.json written`);
+        }
+        assert.ok(files.includes('index.opml'));
+
+        const all = written.find(feed => feed.url.endsWith('/all.xml'));
+        assert.equal(all.url, 'https://tracker.example.org/news-tracker/feeds/all.xml');
+        assert.equal(all.count, 3);
+    });
+});
+
+test('generated feeds parse back into the same articles', async () => {
+    await withOutputDir(async outputDir => {
+        await buildFeeds({ outputDir, sources: SOURCES, fetch: fixtureFetch, lookup: fixtureLookup });
+
+        const atom = parseFeed(await readFile(path.join(outputDir, 'all.xml'), 'utf8'));
+        const json = parseFeed(await readFile(path.join(outputDir, 'all.json'), 'utf8'));
+
+        assert.equal(atom.feed.title, 'AI News Tracker');
+        assert.deepEqual(atom.items.map(item => item.link), json.items.map(item => item.link));
+        assert.deepEqual(atom.items.map(item => item.link), [
+            'https://atom.example.com/2026/10/ai-space-planning',
+            'https://example.com/articles/midjourney-concepts',
+            'https://example.com/articles/parametric-facades'
+        ]);
+
+        const midjourney = atom.items[1];
+        assert.equal(midjourney.title, 'Midjourney & Stable Diffusion for Concept Design');
+        assert.equal(midjourney.author, 'Jane Architect');
+        assert.ok(midjourney.categories.includes('AI Design Tools'));
+    });
+});
+
+test('fails when no source can be fetched', async () => {
+    await withOutputDir(async outputDir => {
+        await assert.rejects(
+            buildFeeds({
+                outputDir,
+                sources: SOURCES,
+                fetch: async () => new Response('', { status: 500 }),
+                lookup: fixtureLookup
+            }),
+            /No articles could be fetched/
+        );
+    });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseFeed, FeedFormatError } from '../feed-parser.js';
+
+const fixture = name => readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('parses RSS 2.0 items with namespaced extensions', async () => {
+    const { feed, items } = parseFeed(await fixture('rss2.xml'), 'https://example.com/feed');
+
+    assert.equal(feed.title, 'Fixture Architecture News');
+    assert.equal(feed.description, 'Architecture & design coverage');
+    assert.equal(items.length, 2);
+
+    const [first, second] = items;
+    assert.equal(first.title, 'Midjourney & Stable Diffusion for Concept Design');
+    assert.equal(first.link, 'https://example.com/articles/midjourney-concepts');
+    assert.equal(first.guid, 'example-1001');
+    assert.equal(first.pubDate, '2026-10-05T09:30:00.000Z');
+    assert.equal(first.author, 'Jane Architect');
+    assert.deepEqual(first.categories, ['AI', 'Visualization']);
+    assert.equal(first.thumbnail, 'https://example.com/images/media.jpg');
+    assert.match(first.content, /Full article body/);
+    assert.match(first.description, /generative AI/);
+
+    assert.equal(second.description, 'Computational design meets “learned” performance models.');
+    assert.equal(second.thumbnail, 'https://example.com/images/facade.png');
+    assert.equal(second.enclosure.type, 'image/png');
+});
+
+test('parses Atom entries and prefers the alternate link', async () => {
+    const { feed, items } = parseFeed(await fixture('atom.xml'));
+
+    assert.equal(feed.title, 'Fixture Atom Feed');
+    assert.equal(feed.link, 'https://atom.example.com/');
+    assert.equal(items[0].link, 'https://atom.example.com/2026/10/ai-space-planning');
+    assert.equal(items[0].author, 'Sam Designer');
+    assert.deepEqual(items[0].categories, ['Interior Design']);
+    assert.equal(items[0].content, '<p>Longer body about furniture layouts.</p>');
+});
+
+test('parses RSS 1.0 (RDF) items outside the channel', async () => {
+    const { feed, items } = parseFeed(await fixture('rss1.xml'));
+
+    assert.equal(feed.title, 'Fixture RDF Feed');
+    assert.equal(items.length, 1);
+    assert.equal(items[0].link, 'https://rdf.example.com/bim-automation');
+    assert.equal(items[0].pubDate, '2026-10-03T08:00:00.000Z');
+    assert.equal(items[0].author, 'Alex Engineer');
+    assert.deepEqual(items[0].categories, ['BIM']);
+});
+
+test('parses JSON Feed 1.1 items', async () => {
+    const { feed, items } = parseFeed(await fixture('feed.json'));
+
+    assert.equal(feed.title, 'Fixture JSON Feed');
+    assert.equal(items.length, 2);
+    assert.equal(items[0].thumbnail, 'https://json.example.com/images/render.jpg');
+    assert.equal(items[0].description, 'Real-time visualization gets neural denoising.');
+    assert.deepEqual(items[0].categories, ['rendering', 'visualization']);
+    assert.equal(items[0].author, 'Feed Team');
+    assert.equal(items[1].guid, '2');
+    assert.equal(items[1].author, 'Riley Modeler');
+    assert.equal(items[1].content, 'Agents that automate Revit schedules.');
+});
+
+test('rejects documents that are not feeds', async () => {
+    const html = await fixture('not-a-feed.html');
+    assert.throws(() => parseFeed(html), FeedFormatError);
+    assert.throws(() => parseFeed('not xml at all'), FeedFormatError);
+    assert.throws(() => parseFeed('{"title": "plain JSON"}'), FeedFormatError);
+});
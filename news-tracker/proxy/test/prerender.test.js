@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { prerender, renderPrerenderedGrid } from '../prerender.js';
+
+const SOURCES = [
+    { name: 'Fixture RSS', url: 'https://example.com/rss2.xml' },
+    { name: 'Fixture Atom', url: 'https://atom.example.com/atom.xml' }
+];
+
+const PAGE = `<main>
+            <!-- prerender:news-grid -->
+            <div class="news-grid" id="news-grid">
+                <!-- News cards will be dynamically inserted here -->
+            </div>
+            <!-- /prerender:news-grid -->
+</main>
+`;
+
+// Serve fixture files in place of the network
+const fixtureFetch = async url => {
+    const body = await readFile(new URL(`./fixtures/${new URL(url).pathname.slice(1)}`, import.meta.url), 'utf8');
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/xml' } });
+};
+
+// Resolve every fixture host to a public address without DNS
+const fixtureLookup = async () => [{ address: '93.184.215.14', family: 4 }];
+
+const withOutputDir = async run => {
+    const outputDir = await mkdtemp(path.join(tmpdir(), 'news-tracker-prerender-'));
+    try {
+        const htmlFile = path.join(outputDir, 'index.html');
+        await writeFile(htmlFile, PAGE);
+        await run(outputDir, htmlFile);
+    } finally {
+        await rm(outputDir, { recursive: true, force: true });
+    }
+};
+
+test('writes a snapshot and static cards', async () => {
+    await withOutputDir(async (outputDir, htmlFile) => {
+        const result = await prerender({ outputDir, htmlFile, sources: SOURCES, fetch: fixtureFetch, lookup: fixtureLookup });
+        assert.deepEqual(result, { articleCount: 3, cardCount: 3 });
+
+        const snapshot = JSON.parse(await readFile(path.join(outputDir, 'articles.json'), 'utf8'));
+        assert.equal(snapshot.type, 'newsTracker-snapshot');
+        assert.deepEqual(snapshot.sources, SOURCES.map(feed => feed.url));
+        assert.equal(snapshot.articles.length, 3);
+
+        const html = await readFile(htmlFile, 'utf8');
+        assert.match(html, new RegExp(`data-prerendered="${snapshot.generatedAt}"`));
+        assert.equal(html.match(/<article class="news-card"/g).length, 3);
+        assert.ok(html.includes('Midjourney &amp; Stable Diffusion for Concept Design'));
+        assert.ok(html.includes('<div class="news-excerpt"><p>How studios use <b>generative AI</b> in early design.</p></div>'));
+        assert.ok(html.endsWith('<!-- /prerender:news-grid -->\n</main>\n'));
+    });
+});
+
+test('prerendering again replaces the previous cards', () => {
+    const card = {
+        title: 'A <b>bold</b> title',
+        link: 'javascript:alert(1)',
+        source: 'Example',
+        description: '',
+        category: 'automation',
+        categoryNames: ['Automation'],
+        date: 'Oct 18, 2026',
+        coverage: []
+    };
+
+    const once = renderPrerenderedGrid(PAGE, [card, card], 'first');
+    const twice = renderPrerenderedGrid(once, [card], 'second');
+
+    assert.equal(twice.match(/<article/g).length, 1);
+    assert.ok(twice.includes('data-prerendered="second"'));
+    assert.ok(twice.includes('A &lt;b&gt;bold&lt;/b&gt; title'));
+    assert.ok(twice.includes('href="#"'));
+    assert.throws(() => renderPrerenderedGrid('<main></main>', [], 'x'), /no <!-- prerender:news-grid --> block/);
+});
@@ -0,0 +1,190 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { createProxyServer } from '../server.js';
+
+// Local origin serving fixture feeds with an ETag, so no network is needed
+const upstreamRequests = [];
+const upstream = http.createServer(async (request, response) => {
+    upstreamRequests.push({ url: request.url, headers: request.headers });
+
+    // Redirects within the test origin, and out of it to another host name
+    if (request.url === '/moved.xml') {
+        response.writeHead(301, { Location: '/rss2.xml' }).end();
+        return;
+    }
+    if (request.url === '/elsewhere.xml') {
+        response.writeHead(302, { Location: `http://localhost:${upstream.address().port}/rss2.xml` }).end();
+        return;
+    }
+
+    if (request.url === '/missing.xml') {
+        response.writeHead(404).end();
+        return;
+    }
+
+    const etag = `"${request.url}-v1"`;
+    if (request.headers['if-none-match'] === etag) {
+        response.writeHead(304).end();
+        return;
+    }
+
+    try {
+        const body = await readFile(new URL(`./fixtures${request.url}`, import.meta.url));
+        response.writeHead(200, { 'Content-Type': 'application/xml', 'ETag': etag });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(500).end();
+    }
+});
+
+let proxy;
+let upstreamOrigin;
+let proxyOrigin;
+
+const listen = server => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const getFeed = async (feedPath, query = '', origin = proxyOrigin) => {
+    const rssUrl = encodeURIComponent(`${upstreamOrigin}${feedPath}`);
+    const response = await fetch(`${origin}/api.json?rss_url=${rssUrl}${query}`);
+    return { response, body: await response.json() };
+};
+
+// Run fn with the origin of a proxy created with the given options
+const withProxy = async (options, fn) => {
+    const server = createProxyServer(options);
+    try {
+        await fn(await listen(server));
+    } finally {
+        server.close();
+    }
+};
+
+before(async () => {
+    upstreamOrigin = await listen(upstream);
+    // The fixture origin is on loopback, which the proxy refuses by default
+    proxy = createProxyServer({ allowPrivateHosts: true });
+    proxyOrigin = await listen(proxy);
+});
+
+after(() => {
+    proxy.close();
+    upstream.close();
+});
+
+test('returns feeds in the RSS2JSON shape', async () => {
+    const { response, body } = await getFeed('/rss2.xml');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.equal(body.status, 'ok');
+    assert.equal(body.feed.title, 'Fixture Architecture News');
+    assert.equal(body.items.length, 2);
+    assert.equal(body.items[0].link, 'https://example.com/articles/midjourney-concepts');
+});
+
+test('revalidates cached feeds with conditional GET', async () => {
+    upstreamRequests.length = 0;
+    await getFeed('/atom.xml');
+    const { response, body } = await getFeed('/atom.xml');
+
+    assert.equal(upstreamRequests.length, 2);
+    assert.equal(upstreamRequests[1].headers['if-none-match'], '"/atom.xml-v1"');
+    assert.equal(response.headers.get('x-feed-cache'), 'revalidated');
+    assert.equal(body.items[0].title, 'AI Space Planning for Interiors');
+});
+
+test('limits items with the count parameter', async () => {
+    const { body } = await getFeed('/rss2.xml', '&count=1');
+    assert.equal(body.items.length, 1);
+
+    for (const count of ['-3', '0', '1.5', 'ten']) {
+        const { response, body: error } = await getFeed('/rss2.xml', `&count=${count}`);
+        assert.equal(response.status, 400);
+        assert.match(error.message, /count must be a positive integer/);
+    }
+});
+
+test('reports upstream and parse failures as errors', async () => {
+    const missing = await getFeed('/missing.xml');
+    assert.equal(missing.response.status, 502);
+    assert.equal(missing.body.status, 'error');
+
+    const html = await getFeed('/not-a-feed.html');
+    assert.equal(html.response.status, 502);
+    assert.match(html.body.message, /Unsupported document root/);
+});
+
+test('rejects missing, malformed and non-http feed URLs', async () => {
+    const missing = await fetch(`${proxyOrigin}/api.json`);
+    assert.equal(missing.status, 400);
+
+    const fileUrl = await fetch(`${proxyOrigin}/api.json?rss_url=${encodeURIComponent('file:///etc/passwd')}`);
+    assert.equal(fileUrl.status, 400);
+});
+
+test('enforces the host allowlist when configured', async () => {
+    const restricted = createProxyServer({ allowedHosts: ['www.archdaily.com'] });
+    const origin = await listen(restricted);
+
+    try {
+        const response = await fetch(`${origin}/api.json?rss_url=${encodeURIComponent(`${upstreamOrigin}/rss2.xml`)}`);
+        assert.equal(response.status, 403);
+    } finally {
+        restricted.close();
+    }
+});
+
+test('refuses loopback, private and link-local hosts by default', async () => {
+    const lookups = [];
+    const lookup = async hostname => {
+        lookups.push(hostname);
+        return hostname === 'intranet.example.com'
+            ? [{ address: '10.1.2.3', family: 4 }]
+            : [{ address: '93.184.215.14', family: 4 }];
+    };
+
+    await withProxy({ lookup: lookup }, async origin => {
+        for (const target of [
+            `${upstreamOrigin}/rss2.xml`,
+            'http://169.254.169.254/latest/meta-data/',
+            'http://192.168.1.1/feed',
+            'http://[::1]/feed',
+            'http://[::ffff:127.0.0.1]/feed',
+            'http://intranet.example.com/feed'
+        ]) {
+            const response = await fetch(`${origin}/api.json?rss_url=${encodeURIComponent(target)}`);
+            assert.equal(response.status, 403, target);
+            assert.match((await response.json()).message, /private address/);
+        }
+    });
+
+    // Literal addresses are checked without DNS
+    assert.deepEqual(lookups, ['intranet.example.com']);
+});
+
+test('checks every redirect hop against the allowlist', async () => {
+    const moved = await getFeed('/moved.xml');
+    assert.equal(moved.response.status, 200);
+    assert.equal(moved.body.feed.title, 'Fixture Architecture News');
+
+    await withProxy({ allowPrivateHosts: true, allowedHosts: ['127.0.0.1'] }, async origin => {
+        const followed = await getFeed('/moved.xml', '', origin);
+        assert.equal(followed.response.status, 200);
+
+        const escaped = await getFeed('/elsewhere.xml', '', origin);
+        assert.equal(escaped.response.status, 403);
+        assert.match(escaped.body.message, /localhost is not in the allowlist/);
+    });
+});
+
+test('refuses feeds over the size limit', async () => {
+    await withProxy({ allowPrivateHosts: true, maxBodySize: 512 }, async origin => {
+        const { response, body } = await getFeed('/rss2.xml', '', origin);
+        assert.equal(response.status, 413);
+        assert.match(body.message, /larger than 512 bytes/);
+    });
+});
@@ -0,0 +1,198 @@
+// Minimal namespace-aware XML parser for the feed proxy
+// Node has no DOMParser, and feeds only need elements, attributes and text,
+// so this avoids pulling in a dependency for a self-hosted deployment
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: '\''
+};
+
+export class XmlParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'XmlParseError';
+    }
+}
+
+// Element node exposing the small subset of the DOM Element API feeds need
+export class XmlElement {
+    constructor(nodeName, attributes, parent) {
+        this.nodeName = nodeName;
+        this.attributes = attributes;
+        this.parentNode = parent;
+        this.children = [];
+        this.childNodes = [];
+
+        const colon = nodeName.indexOf(':');
+        this.prefix = colon === -1 ? null : nodeName.slice(0, colon);
+        this.localName = colon === -1 ? nodeName : nodeName.slice(colon + 1);
+        this.namespaceURI = this.lookupNamespaceURI(this.prefix);
+    }
+
+    // Resolve a prefix against xmlns declarations on this element and its ancestors
+    lookupNamespaceURI(prefix) {
+        if (prefix === 'xml') return XML_NAMESPACE;
+
+        const attribute = prefix ? `xmlns:${prefix}` : 'xmlns';
+        for (let node = this; node; node = node.parentNode) {
+            if (Object.prototype.hasOwnProperty.call(node.attributes, attribute)) {
+                return node.attributes[attribute] || null;
+            }
+        }
+        return null;
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name)
+            ? this.attributes[name]
+            : null;
+    }
+
+    get textContent() {
+        return this.childNodes
+            .map(node => typeof node === 'string' ? node : node.textContent)
+            .join('');
+    }
+}
+
+// Decode the five XML entities plus numeric character references
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (error) {
+                return match;
+            }
+        }
+        return ENTITIES[entity] ?? match;
+    });
+}
+
+// Parse the attribute section of a start tag
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+    }
+    return attributes;
+}
+
+// Parse an XML string into a document with a documentElement
+export function parseXml(text) {
+    const document = { documentElement: null };
+    const stack = [];
+    let position = 0;
+
+    const appendText = value => {
+        const parent = stack[stack.length - 1];
+        if (parent && value) parent.childNodes.push(value);
+    };
+
+    while (position < text.length) {
+        const tagStart = text.indexOf('<', position);
+        if (tagStart === -1) {
+            appendText(decodeEntities(text.slice(position)));
+            break;
+        }
+
+        appendText(decodeEntities(text.slice(position, tagStart)));
+
+        if (text.startsWith('<!--', tagStart)) {
+            const end = text.indexOf('-->', tagStart + 4);
+            position = end === -1 ? text.length : end + 3;
+            continue;
+        }
+
+        if (text.startsWith('<![CDATA[', tagStart)) {
+            const end = text.indexOf(']]>', tagStart + 9);
+            if (end === -1) throw new XmlParseError('Unterminated CDATA section');
+            appendText(text.slice(tagStart + 9, end));
+            position = end + 3;
+            continue;
+        }
+
+        if (text.startsWith('<?', tagStart)) {
+            const end = text.indexOf('?>', tagStart + 2);
+            position = end === -1 ? text.length : end + 2;
+            continue;
+        }
+
+        if (text.startsWith('<!', tagStart)) {
+            // DOCTYPE, possibly with an internal subset in brackets
+            const bracket = text.indexOf('[', tagStart);
+            const close = text.indexOf('>', tagStart);
+            if (bracket !== -1 && bracket < close) {
+                const subsetEnd = text.indexOf(']', bracket);
+                position = text.indexOf('>', subsetEnd) + 1 || text.length;
+            } else {
+                position = close === -1 ? text.length : close + 1;
+            }
+            continue;
+        }
+
+        const tagEnd = findTagEnd(text, tagStart);
+        if (tagEnd === -1) throw new XmlParseError('Unterminated tag');
+        const tag = text.slice(tagStart + 1, tagEnd);
+        position = tagEnd + 1;
+
+        if (tag[0] === '/') {
+            // Closing tag; tolerate mismatches by unwinding to the matching element
+            const name = tag.slice(1).trim();
+            const index = stack.map(el => el.nodeName).lastIndexOf(name);
+            if (index !== -1) stack.length = index;
+            continue;
+        }
+
+        const selfClosing = tag.endsWith('/');
+        const body = selfClosing ? tag.slice(0, -1) : tag;
+        const nameMatch = body.match(/^[^\s/>]+/);
+        if (!nameMatch) throw new XmlParseError('Invalid tag name');
+
+        const parent = stack[stack.length - 1] || null;
+        const element = new XmlElement(nameMatch[0], parseAttributes(body.slice(nameMatch[0].length)), parent);
+
+        if (parent) {
+            parent.children.push(element);
+            parent.childNodes.push(element);
+        } else if (!document.documentElement) {
+            document.documentElement = element;
+        } else {
+            throw new XmlParseError('Document has more than one root element');
+        }
+
+        if (!selfClosing) stack.push(element);
+    }
+
+    if (!document.documentElement) {
+        throw new XmlParseError('Document has no root element');
+    }
+
+    return document;
+}
+
+// Find the closing '>' of a tag, skipping over quoted attribute values
+function findTagEnd(text, start) {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,164 @@
+// Reader for AI News Tracker
+// Shows an article's full feed content in the app, with its reading time and
+// read state. Previous/next step through the articles in the current view.
+// Keys: ← / K previous, → / J next, M read/unread, O original, Esc close.
+
+import { getCategoryName } from './filters.js';
+import { getAdjacentArticle, getReaderContent } from './reader.js';
+import { formatDate } from './rss-proxy.js';
+import { escapeHtml, sanitizeUrl } from './sanitize.js';
+import { displayedArticles, isArticleRead, setArticleRead } from './script.js';
+
+// DOM elements
+const reader = document.getElementById('reader');
+const readerArticle = document.getElementById('reader-article');
+const readerPosition = document.getElementById('reader-position');
+const readerPrev = document.getElementById('reader-prev');
+const readerNext = document.getElementById('reader-next');
+const readerRead = document.getElementById('reader-read');
+const readerOriginal = document.getElementById('reader-original');
+const readerClose = document.getElementById('reader-close');
+
+// The article on screen, or null while the reader is closed
+let currentArticle = null;
+
+// Wire up the reader controls and keyboard shortcuts
+export function initializeReader() {
+    readerPrev.addEventListener('click', () => showAdjacentArticle(-1));
+    readerNext.addEventListener('click', () => showAdjacentArticle(1));
+    readerClose.addEventListener('click', closeReader);
+
+    readerRead.addEventListener('click', () => {
+        if (setArticleRead(currentArticle, !isArticleRead(currentArticle))) {
+            updateReadButton();
+        }
+    });
+
+    // Clicking the backdrop around the article closes the reader
+    reader.addEventListener('click', event => {
+        if (event.target === reader) closeReader();
+    });
+
+    document.addEventListener('keydown', handleReaderKey);
+}
+
+// Open the reader on an article from the current view; it is marked as read
+export function openReader(article) {
+    const wasOpen = currentArticle !== null;
+    showArticle(article);
+
+    if (!wasOpen) {
+        reader.classList.remove('hidden');
+        document.body.classList.add('reader-open');
+        readerClose.focus();
+    }
+}
+
+function closeReader() {
+    if (!currentArticle) return;
+
+    const articleId = currentArticle.id;
+    currentArticle = null;
+    reader.classList.add('hidden');
+    document.body.classList.remove('reader-open');
+
+    // Return focus to the card of the last article read
+    const card = [...document.querySelectorAll('.news-card')].find(element => element.dataset.articleId === articleId);
+    card?.querySelector('.reader-btn')?.focus();
+}
+
+function showAdjacentArticle(offset) {
+    const article = currentArticle && getAdjacentArticle(displayedArticles, currentArticle.id, offset);
+    if (article) {
+        showArticle(article);
+    }
+}
+
+function showArticle(article) {
+    currentArticle = article;
+    if (!isArticleRead(article)) {
+        setArticleRead(article, true);
+    }
+
+    const content = getReaderContent(article);
+    const link = sanitizeUrl(article.link);
+    const categoryBadges = (article.categories || [article.category])
+        .map((categoryId, i) => `<span class="news-category${i > 0 ? ' secondary' : ''}">${escapeHtml(getCategoryName(categoryId))}</span>`)
+        .join('');
+
+    readerArticle.innerHTML = `
+        <div class="news-categories">${categoryBadges}</div>
+        <h2 class="reader-title" id="reader-title">${escapeHtml(article.title)}</h2>
+        <div class="reader-meta">
+            <span>${escapeHtml(article.source)}${article.author ? ` · By ${escapeHtml(article.author)}` : ''}</span>
+            <span>${formatDate(article.pubDate)} · ${content.minutes} min read</span>
+        </div>
+        <div class="reader-body">${content.html}</div>
+        ${content.isExcerpt ? `
+            <p class="reader-note">
+                The feed only includes this excerpt.
+                <a href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">Read the full article on ${escapeHtml(article.source)} →</a>
+            </p>` : ''}
+    `;
+
+    // Lead image above the title; set src through the DOM so the URL is never parsed as HTML
+    if (article.image) {
+        const image = document.createElement('img');
+        image.className = 'reader-image';
+        image.src = article.image;
+        image.alt = '';
+        image.addEventListener('error', () => image.remove());
+        readerArticle.prepend(image);
+
+        readerArticle.querySelectorAll('.reader-body img').forEach(bodyImage => {
+            if (bodyImage.src === image.src) bodyImage.remove();
+        });
+    }
+
+    readerOriginal.href = link;
+
+    const index = displayedArticles.indexOf(article);
+    readerPosition.textContent = index === -1 ? '' : `${index + 1} of ${displayedArticles.length}`;
+    readerPrev.disabled = !getAdjacentArticle(displayedArticles, article.id, -1);
+    readerNext.disabled = !getAdjacentArticle(displayedArticles, article.id, 1);
+    updateReadButton();
+
+    reader.scrollTop = 0;
+}
+
+function updateReadButton() {
+    const read = isArticleRead(currentArticle);
+    readerRead.textContent = read ? 'Mark as unread' : 'Mark as read';
+    readerRead.classList.toggle('active', read);
+}
+
+function handleReaderKey(event) {
+    if (!currentArticle || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest?.('input, textarea, select')) return;
+
+    // Letter shortcuts work with Caps Lock or Shift too
+    switch (event.key.length === 1 ? event.key.toLowerCase() : event.key) {
+        case 'Escape':
+            closeReader();
+            break;
+        case 'ArrowLeft':
+        case 'k':
+            showAdjacentArticle(-1);
+            break;
+        case 'ArrowRight':
+        case 'j':
+            showAdjacentArticle(1);
+            break;
+        case 'm':
+            readerRead.click();
+            break;
+        case 'o':
+            readerOriginal.click();
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+console.log('📖 Reader panel module loaded');
@@ -0,0 +1,48 @@
+// Reader view content for AI News Tracker
+// The article's full feed content (content:encoded or Atom content), sanitized
+// for the in-app reader, with an estimated reading time
+
+import { escapeHtml, sanitizeHtml, stripHtml } from './sanitize.js';
+
+const WORDS_PER_MINUTE = 230;
+
+export function countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+}
+
+// Estimated minutes to read the text, at least 1
+export function getReadingTime(text) {
+    return Math.max(1, Math.round(countWords(text) / WORDS_PER_MINUTE));
+}
+
+// What the reader shows for an article: { html, words, minutes, isExcerpt }.
+// Falls back to the excerpt when the content was dropped (a full cache keeps
+// articles without it) and to the plain description after that. isExcerpt
+// is true when there is nothing to read beyond the card's description.
+export function getReaderContent(article) {
+    const baseUrl = article.link && article.link !== '#' ? article.link : null;
+    let html = sanitizeHtml(article.content || article.excerptHtml || '', { baseUrl: baseUrl });
+
+    if (!stripHtml(html)) {
+        html = `<p>${escapeHtml(article.description || '')}</p>`;
+    }
+
+    const words = countWords(stripHtml(html));
+    const descriptionWords = countWords((article.description || '').replace(/\.\.\.$/, ''));
+
+    return {
+        html: html,
+        words: words,
+        minutes: getReadingTime(stripHtml(html)),
+        isExcerpt: !article.content || words <= descriptionWords
+    };
+}
+
+// The article offset places from articleId in the list, or null past either end
+export function getAdjacentArticle(articles, articleId, offset) {
+    const index = articles.findIndex(article => article.id === articleId);
+    if (index === -1) return null;
+    return articles[index + offset] || null;
+}
+
+console.log('📖 Reader module loaded');
@@ -1,29 +1,178 @@
 // RSS feed fetching and parsing for AI News Tracker
-// Uses RSS2JSON API to bypass CORS restrictions
-
-const RSS_FEEDS = [
-    'https://www.archdaily.com/feed',
-    'https://www.dezeen.com/feed/',
-    'https://architizer.com/blog/feed/',
-    'https://blog.testfit.io/feed'
+// Fetches through a chain of CORS proxies, self-hosted first when configured.
+// Raw feeds are parsed by the same module the proxy uses (proxy/feed-parser.js).
+
+import {
+    cacheArticles,
+    getCachedArticles,
+    getCachedArticlesIgnoringExpiry,
+    getCacheTimestamp,
+    getFeedSources,
+    migrateArticleIds,
+    recordFeedHealth
+} from './storage.js';
+import { categorizeArticle } from './filters.js';
+import { reloadClassifier } from './classifier.js';
+import { archiveArticles, pruneArchive } from './archive.js';
+import { clusterArticles } from './clustering.js';
+import { extractEntities } from './entities.js';
+import { decodeHtmlEntities, sanitizeHtml, sanitizeUrl, stripHtml } from './sanitize.js';
+import { parseFeed } from './proxy/feed-parser.js';
+import { parseXml } from './proxy/xml.js';
+
+// Default sources, used until the user customizes the list in the Sources panel
+export const DEFAULT_FEEDS = [
+    { name: 'ArchDaily', url: 'https://www.archdaily.com/feed' },
+    { name: 'Dezeen', url: 'https://www.dezeen.com/feed/' },
+    { name: 'Architizer', url: 'https://architizer.com/blog/feed/' },
+    { name: 'TestFit Blog', url: 'https://blog.testfit.io/feed' }
 ];
 
 const RSS2JSON_API = 'https://api.rss2json.com/v1/api.json';
 
-// Fetch all RSS feeds
-async function loadFeeds() {
+// Proxies tried in order until one succeeds. 'json' proxies answer in the
+// RSS2JSON shape; 'xml' proxies return the raw feed wrapped in { contents }.
+// Set the self-hosted url to a deployment of proxy/server.js, e.g.
+// 'https://feeds.example.com/api.json'; entries without a url are skipped.
+export const PROXY_CHAIN = [
+    { name: 'Self-hosted', type: 'json', url: '' },
+    { name: 'RSS2JSON', type: 'json', url: RSS2JSON_API },
+    { name: 'AllOrigins', type: 'xml', url: 'https://api.allorigins.win/get' }
+];
+
+// Parsers for raw feeds and for entities in descriptions. The defaults are
+// plain JavaScript and run anywhere; the page swaps in the browser's own
+// (DOMParser and a <textarea>) through configureParsers().
+const parsers = {
+    parseXml: parseXml,
+    decodeHtml: decodeHtmlEntities
+};
+
+// Replace some of the parsers; returns the ones replaced, to restore later
+export function configureParsers(overrides) {
+    const previous = {};
+    Object.keys(overrides).forEach(name => {
+        previous[name] = parsers[name];
+    });
+    Object.assign(parsers, overrides);
+    return previous;
+}
+
+// Articles prerendered at deploy time (proxy/prerender.js), next to index.html
+const SNAPSHOT_URL = 'articles.json';
+const SNAPSHOT_TYPE = 'newsTracker-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_MAX_AGE = 14400000; // 4 hours, a little over the deploy schedule's 3
+
+// Where the articles on screen came from: when they were fetched (ms), and
+// whether they are a saved copy shown because the feeds couldn't be reached
+export let feedLoadState = { fetchedAt: null, fromSavedCopy: false };
+
+function setFeedLoadState(fetchedAt, fromSavedCopy = false) {
+    feedLoadState = { fetchedAt: fetchedAt, fromSavedCopy: fromSavedCopy };
+}
+
+// Load articles from the cache, then the deploy-time snapshot while it is
+// fresh, and only fetch all RSS feeds live when neither is available.
+// Offline, or when every feed fails, the newest saved copy is used.
+export async function loadFeeds() {
     // Check cache first
     const cachedArticles = getCachedArticles();
     if (cachedArticles && cachedArticles.length > 0) {
         console.log(`📰 Using ${cachedArticles.length} cached articles`);
-        return cachedArticles;
+        setFeedLoadState(getCacheTimestamp());
+        // Re-run categorization so corrections made since caching apply
+        return cachedArticles
+            .map(categorizeArticle)
+            .filter(article => article !== null);
+    }
+
+    const snapshot = await fetchFeedSnapshot();
+    if (snapshot && isSnapshotFresh(snapshot)) {
+        console.log(`📦 Using ${snapshot.articles.length} prerendered articles from ${snapshot.generatedAt}`);
+        setFeedLoadState(new Date(snapshot.generatedAt).getTime());
+        return processArticles(snapshot.articles);
+    }
+
+    // Don't wait for every proxy to time out when there is no connection
+    // (outside a browser there is no navigator to ask)
+    const online = globalThis.navigator?.onLine ?? true;
+    const processedArticles = online ? await fetchAllFeeds() : [];
+
+    if (processedArticles.length === 0) {
+        const savedArticles = loadSavedArticles(snapshot);
+        if (savedArticles) {
+            return savedArticles;
+        }
+        console.warn('⚠️ No articles loaded from RSS feeds, using mock data...');
+        setFeedLoadState(null);
+        return getMockArticles();
     }
 
+    // Cache the results
+    cacheArticles(processedArticles);
+
+    return processedArticles;
+}
+
+// The newest saved copy when the feeds can't be reached: the expired cache
+// or a stale snapshot, whichever was fetched later. Null if there is neither.
+function loadSavedArticles(snapshot) {
+    const cachedAt = getCacheTimestamp();
+    const snapshotAt = snapshot ? new Date(snapshot.generatedAt).getTime() : null;
+
+    if (cachedAt && (!snapshotAt || cachedAt >= snapshotAt)) {
+        const cachedArticles = getCachedArticlesIgnoringExpiry()
+            .map(categorizeArticle)
+            .filter(article => article !== null);
+
+        if (cachedArticles.length > 0) {
+            console.warn(`⚠️ Feeds unreachable, using ${cachedArticles.length} articles cached ${new Date(cachedAt).toISOString()}`);
+            setFeedLoadState(cachedAt, true);
+            return cachedArticles;
+        }
+    }
+
+    if (snapshot) {
+        console.warn('⚠️ Feeds unreachable, using the prerendered snapshot...');
+        setFeedLoadState(snapshotAt, true);
+        return processArticles(snapshot.articles);
+    }
+
+    return null;
+}
+
+// Newest articles for a background refresh: the snapshot while it is fresh
+// (so visitors don't all hit the public proxies), otherwise a live fetch
+export async function fetchLatestArticles() {
+    const snapshot = await fetchFeedSnapshot();
+    if (snapshot && isSnapshotFresh(snapshot)) {
+        setFeedLoadState(new Date(snapshot.generatedAt).getTime());
+        return processArticles(snapshot.articles);
+    }
+    return fetchAllFeeds();
+}
+
+// Fetch, process and archive all enabled feeds, bypassing the cache.
+// Resolves to an empty array when no feed could be loaded.
+export async function fetchAllFeeds() {
+    const articles = processArticles(await fetchFeedArticles());
+    if (articles.length > 0) {
+        setFeedLoadState(Date.now());
+    }
+    return articles;
+}
+
+// Fetch and normalize all enabled feeds, before categorization
+export async function fetchFeedArticles() {
     console.log('🌐 Fetching RSS feeds...');
 
     try {
+        // Only fetch the sources the user has enabled
+        const feeds = getFeedSources().filter(feed => feed.enabled);
+
         // Fetch all feeds in parallel
-        const feedPromises = RSS_FEEDS.map(url => fetchFeed(url));
+        const feedPromises = feeds.map(feed => fetchFeed(feed.url));
         const results = await Promise.allSettled(feedPromises);
 
         // Process results
@@ -31,165 +180,331 @@ async function loadFeeds() {
         results.forEach((result, index) => {
             if (result.status === 'fulfilled' && result.value) {
                 articles.push(...result.value);
-                console.log(`✅ Feed ${index + 1} loaded: ${result.value.length} articles`);
+                console.log(`✅ ${feeds[index].name} loaded: ${result.value.length} articles`);
             } else {
-                console.warn(`❌ Feed ${index + 1} failed:`, RSS_FEEDS[index]);
+                console.warn(`❌ ${feeds[index].name} failed:`, feeds[index].url);
             }
         });
 
-        if (articles.length === 0) {
-            console.warn('⚠️ No articles loaded from RSS feeds, using mock data...');
-            return getMockArticles();
-        }
+        return resolveIdCollisions(articles.map(normalizeArticle));
 
-        // Normalize, deduplicate, categorize, and filter AI-related only
-        const processedArticles = articles
-            .map(normalizeArticle)
-            .filter((article, index, self) =>
-                // Deduplicate by URL
-                index === self.findIndex(a => a.link === article.link)
-            )
-            .map(categorizeArticle)
-            .filter(article => article !== null) // Remove non-AI articles
-            .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate)); // Sort by date, newest first
+    } catch (error) {
+        console.error('Error loading feeds:', error);
+        throw error;
+    }
+}
 
-        console.log(`🤖 AI-related articles: ${processedArticles.length}`);
+// Categorize, archive and cluster normalized articles, newest story first
+function processArticles(normalizedArticles) {
+    // First fetch since article IDs changed: move saved data to the new IDs
+    if (normalizedArticles.length > 0 && migrateArticleIds(normalizedArticles)) {
+        reloadClassifier();
+    }
 
-        console.log(`📦 Total unique articles: ${processedArticles.length}`);
+    // Categorize, and filter AI-related only
+    const relevantArticles = normalizedArticles
+        .map(categorizeArticle)
+        .filter(article => article !== null); // Remove non-AI articles
+
+    // Keep every article in the long-term archive, including each
+    // publication's coverage of a shared story
+    if (relevantArticles.length > 0) {
+        archiveArticles(relevantArticles)
+            .then(() => pruneArchive())
+            .catch(error => console.warn('Could not archive articles:', error));
+    }
 
-        // Cache the results
-        cacheArticles(processedArticles);
+    // Group coverage of the same story into one article
+    const processedArticles = clusterArticles(relevantArticles)
+        .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate)); // Sort by date, newest first
 
-        return processedArticles;
+    console.log(`🤖 AI-related stories: ${processedArticles.length} (${relevantArticles.length} articles)`);
 
-    } catch (error) {
-        console.error('Error loading feeds:', error);
-        throw error;
-    }
+    return processedArticles;
+}
+
+// Snapshot of relevant, unclustered articles for the given feed URLs, so the
+// page can categorize (with the visitor's corrections), archive and cluster
+// them exactly like a live fetch
+export function createFeedSnapshot(articles, feedUrls) {
+    return {
+        type: SNAPSHOT_TYPE,
+        version: SNAPSHOT_VERSION,
+        generatedAt: new Date().toISOString(),
+        sources: feedUrls,
+        articles: articles
+            .map(categorizeArticle)
+            .filter(article => article !== null)
+    };
 }
 
-// Fetch a single RSS feed through RSS2JSON proxy with AllOrigins fallback
-async function fetchFeed(rssUrl) {
-    // Try RSS2JSON first
+// The deploy-time snapshot, or null when there is none or it was built from
+// other sources than the ones enabled here
+async function fetchFeedSnapshot() {
     try {
-        const proxyUrl = `${RSS2JSON_API}?rss_url=${encodeURIComponent(rssUrl)}&count=20`;
-        const response = await fetch(proxyUrl);
+        const response = await fetch(SNAPSHOT_URL, { cache: 'no-cache' });
+        if (!response.ok) return null;
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const snapshot = await response.json();
+        if (snapshot.type !== SNAPSHOT_TYPE || snapshot.version !== SNAPSHOT_VERSION ||
+            !Array.isArray(snapshot.articles) || !Array.isArray(snapshot.sources)) {
+            console.warn('Ignoring an unrecognized article snapshot');
+            return null;
         }
 
-        const data = await response.json();
+        const enabledUrls = getFeedSources().filter(feed => feed.enabled).map(feed => feed.url);
+        const sameSources = enabledUrls.length === snapshot.sources.length &&
+            enabledUrls.every(url => snapshot.sources.includes(url));
 
-        if (data.status !== 'ok') {
-            throw new Error(`RSS2JSON error: ${data.message || 'Unknown error'}`);
-        }
+        return sameSources ? snapshot : null;
+    } catch (error) {
+        // No snapshot when running locally or before the first deploy
+        console.warn('No article snapshot available:', error.message);
+        return null;
+    }
+}
 
-        return data.items || [];
+function isSnapshotFresh(snapshot) {
+    return Date.now() - new Date(snapshot.generatedAt).getTime() < SNAPSHOT_MAX_AGE;
+}
 
-    } catch (error) {
-        console.warn(`RSS2JSON failed for ${rssUrl}, trying AllOrigins...`);
+// Fetch a single RSS feed, falling through the proxy chain on failure.
+// The outcome is recorded in the feed's health status for the Sources panel.
+export async function fetchFeed(rssUrl) {
+    const errors = [];
 
-        // Fallback to AllOrigins proxy
+    for (const proxy of getProxyChain()) {
+        const startedAt = performance.now();
         try {
-            const allOriginsUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(rssUrl)}`;
-            const response = await fetch(allOriginsUrl);
+            const result = await fetchViaProxy(proxy, rssUrl);
+            recordFeedHealth(rssUrl, {
+                itemCount: result.items.length,
+                proxy: proxy.name,
+                latencyMs: Math.round(performance.now() - startedAt)
+            });
+            return result.items;
+        } catch (error) {
+            console.warn(`${proxy.name} failed for ${rssUrl}: ${error.message}`);
+            errors.push(`${proxy.name}: ${error.message}`);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`AllOrigins HTTP error! status: ${response.status}`);
-            }
+    console.error(`All proxies failed for ${rssUrl}`);
+    recordFeedHealth(rssUrl, { error: errors.join('; ') || 'No proxy configured' });
+    return null;
+}
 
-            const data = await response.json();
-            const xmlText = data.contents;
+// Proxies from PROXY_CHAIN that have an endpoint configured
+function getProxyChain() {
+    return PROXY_CHAIN.filter(proxy => proxy.url);
+}
 
-            // Parse XML to extract articles
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+// Fetch a feed through one proxy, resolving to { title, format, items }
+function fetchViaProxy(proxy, rssUrl) {
+    return proxy.type === 'xml'
+        ? fetchViaXmlProxy(proxy, rssUrl)
+        : fetchViaJsonProxy(proxy, rssUrl);
+}
 
-            return parseXMLFeed(xmlDoc);
+// Fetch a feed already parsed to JSON by RSS2JSON or the self-hosted proxy
+async function fetchViaJsonProxy(proxy, rssUrl) {
+    const proxyUrl = `${proxy.url}?rss_url=${encodeURIComponent(rssUrl)}&count=20`;
+    const response = await fetch(proxyUrl);
 
-        } catch (allOriginsError) {
-            console.error(`Both proxies failed for ${rssUrl}:`, allOriginsError);
-            return null;
-        }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status !== 'ok') {
+        throw new Error(`${proxy.name} error: ${data.message || 'Unknown error'}`);
     }
+
+    return {
+        title: data.feed?.title || '',
+        format: 'RSS/Atom',
+        items: data.items || []
+    };
 }
 
-// Parse XML feed (RSS 2.0 or Atom)
-function parseXMLFeed(xmlDoc) {
-    const items = [];
-
-    // Try RSS 2.0 format first
-    const rssItems = xmlDoc.querySelectorAll('item');
-    if (rssItems.length > 0) {
-        rssItems.forEach(item => {
-            items.push({
-                title: item.querySelector('title')?.textContent || 'Untitled',
-                description: item.querySelector('description')?.textContent || '',
-                link: item.querySelector('link')?.textContent || '',
-                pubDate: item.querySelector('pubDate')?.textContent || new Date().toISOString(),
-                guid: item.querySelector('guid')?.textContent || ''
-            });
-        });
-        return items;
+// Fetch the raw feed through AllOrigins and parse it in the browser
+async function fetchViaXmlProxy(proxy, rssUrl) {
+    const proxyUrl = `${proxy.url}?url=${encodeURIComponent(rssUrl)}`;
+    const response = await fetch(proxyUrl);
+
+    if (!response.ok) {
+        throw new Error(`${proxy.name} HTTP error! status: ${response.status}`);
     }
 
-    // Try Atom format
-    const atomEntries = xmlDoc.querySelectorAll('entry');
-    if (atomEntries.length > 0) {
-        atomEntries.forEach(entry => {
-            items.push({
-                title: entry.querySelector('title')?.textContent || 'Untitled',
-                description: entry.querySelector('summary')?.textContent || entry.querySelector('content')?.textContent || '',
-                link: entry.querySelector('link')?.getAttribute('href') || '',
-                pubDate: entry.querySelector('published')?.textContent || entry.querySelector('updated')?.textContent || new Date().toISOString(),
-                guid: entry.querySelector('id')?.textContent || ''
-            });
-        });
-        return items;
+    const data = await response.json();
+    const result = parseFeed(data.contents || '', rssUrl, parsers.parseXml);
+
+    return {
+        title: result.feed.title,
+        format: result.feed.format,
+        items: result.items
+    };
+}
+
+// Check that a URL serves a parseable RSS/Atom/JSON feed before it is saved
+export async function validateFeed(rssUrl) {
+    try {
+        new URL(rssUrl);
+    } catch (error) {
+        return { valid: false, error: 'Not a valid URL' };
     }
 
-    return [];
+    let lastError = null;
+
+    for (const proxy of getProxyChain()) {
+        try {
+            const result = await fetchViaProxy(proxy, rssUrl);
+            return {
+                valid: true,
+                title: result.title,
+                format: result.format,
+                itemCount: result.items.length
+            };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    return { valid: false, error: lastError ? lastError.message : 'Unknown error' };
 }
 
-// Normalize article data to consistent format
+// Characters of text in the formatted excerpt shown on cards
+const EXCERPT_LENGTH = 400;
+
+// Normalize article data to consistent format. Links are limited to safe
+// schemes; excerptHtml is the sanitized summary with its formatting.
 function normalizeArticle(rawArticle) {
-    // Generate unique ID from URL
-    const id = generateArticleId(rawArticle.link || rawArticle.guid || '');
+    const link = sanitizeUrl(rawArticle.link || rawArticle.guid);
+    const summary = rawArticle.description || rawArticle.content || '';
 
-    return {
-        id: id,
+    const article = {
+        id: generateArticleId(getArticleIdentity(rawArticle)),
+        guid: rawArticle.guid || '',
         title: rawArticle.title || 'Untitled',
-        description: cleanDescription(rawArticle.description || rawArticle.content || ''),
-        link: rawArticle.link || rawArticle.guid || '#',
+        description: cleanDescription(summary),
+        excerptHtml: sanitizeHtml(summary, { baseUrl: link === '#' ? null : link, maxLength: EXCERPT_LENGTH }),
+        content: rawArticle.content || rawArticle.description || '',
+        link: link,
+        rawLink: rawArticle.link || rawArticle.guid || '', // As the feed gave it; version 1 IDs hashed this
         pubDate: rawArticle.pubDate || new Date().toISOString(),
         source: extractSource(rawArticle.link || ''),
+        author: cleanAuthor(rawArticle.author),
+        image: findLeadImage(rawArticle),
+        tags: Array.isArray(rawArticle.categories) ? rawArticle.categories.filter(Boolean) : [],
         category: 'industry-news', // Will be updated by categorizeArticle()
         isFavorite: false
     };
+
+    // Tools, companies, firms and people mentioned (entities.js)
+    article.entities = extractEntities(article);
+    return article;
+}
+
+// Pick a lead image: explicit thumbnail, image enclosure, then first <img> in the content
+function findLeadImage(rawArticle) {
+    const enclosure = rawArticle.enclosure || {};
+    const candidates = [
+        rawArticle.thumbnail,
+        /^image\//.test(enclosure.type || '') ? enclosure.link : '',
+        ((rawArticle.content || rawArticle.description || '').match(/<img[^>]+src=["']([^"']+)["']/i) || [])[1]
+    ];
+
+    // Only keep absolute http(s) URLs so relative or data: sources don't end up in cards
+    return candidates.find(url => /^https?:\/\//i.test(url || '')) || '';
+}
+
+// RSS <author> is often "email (Name)"; keep just the name
+function cleanAuthor(author) {
+    if (!author) return '';
+    const match = author.match(/^\S+@\S+\s+\((.+)\)$/);
+    return (match ? match[1] : author).trim();
+}
+
+// What identifies an article across fetches: its guid when the feed provides
+// one, otherwise its link. URLs are canonicalized so tracking parameters or an
+// http/https switch don't change the identity; plain-text guids are only
+// unique within a feed, so they are qualified with the site name.
+export function getArticleIdentity(article) {
+    const guid = (article.guid || '').trim();
+    const link = (article.link || '').trim();
+
+    if (/^https?:\/\//i.test(guid)) return canonicalizeUrl(guid);
+    if (guid) return `${extractSource(link)}|${guid}`;
+    return canonicalizeUrl(link);
+}
+
+// Stable ID from an article identity: 64-bit FNV-1a hash as 16 hex digits
+export function generateArticleId(identity) {
+    const FNV_PRIME = 0x100000001b3n;
+    const MASK = 0xffffffffffffffffn;
+
+    let hash = 0xcbf29ce484222325n;
+    for (const byte of new TextEncoder().encode(identity)) {
+        hash ^= BigInt(byte);
+        hash = (hash * FNV_PRIME) & MASK;
+    }
+    return 'article-' + hash.toString(16).padStart(16, '0');
 }
 
-// Generate a unique ID from URL
-function generateArticleId(url) {
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < url.length; i++) {
-        const char = url.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
+// Give articles whose different identities hashed to the same ID a distinct
+// one, so neither overwrites the other in favorites or the archive
+function resolveIdCollisions(articles) {
+    const identitiesById = new Map();
+
+    articles.forEach(article => {
+        const identity = getArticleIdentity(article);
+        let id = article.id;
+        let attempt = 1;
+
+        while (identitiesById.has(id) && identitiesById.get(id) !== identity) {
+            attempt++;
+            id = generateArticleId(`${identity}#${attempt}`);
+        }
+
+        if (id !== article.id) {
+            console.warn(`⚠️ Article ID collision for ${article.link}, using ${id}`);
+            article.id = id;
+        }
+        identitiesById.set(id, identity);
+    });
+
+    return articles;
+}
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref|ref_src|source)$/i;
+
+// Comparable form of an article URL: https, no www., no tracking parameters,
+// no fragment or trailing slash
+export function canonicalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const params = [...parsed.searchParams]
+            .filter(([name]) => !TRACKING_PARAMS.test(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = new URLSearchParams(params).toString();
+        const path = parsed.pathname.replace(/\/+$/, '');
+
+        return `https://${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${query ? `?${query}` : ''}`;
+    } catch (error) {
+        return (url || '').trim();
     }
-    return 'article-' + Math.abs(hash).toString(36);
 }
 
-// Clean HTML from description and truncate
+
+// Plain text from the description, truncated
 function cleanDescription(html) {
-    // Remove HTML tags
-    const text = html.replace(/<[^>]*>/g, '');
+    // Remove HTML tags, and script/style content with them
+    const text = stripHtml(html);
 
     // Decode HTML entities
-    const textarea = document.createElement('textarea');
-    textarea.innerHTML = text;
-    const decoded = textarea.value;
+    const decoded = parsers.decodeHtml(text);
 
     // Truncate to reasonable length
     const maxLength = 200;
@@ -201,7 +516,7 @@ function cleanDescription(html) {
 }
 
 // Extract source name from URL
-function extractSource(url) {
+export function extractSource(url) {
     try {
         const urlObj = new URL(url);
         const hostname = urlObj.hostname.replace('www.', '');
@@ -217,7 +532,7 @@ function extractSource(url) {
 }
 
 // Format date to readable string
-function formatDate(dateString) {
+export function formatDate(dateString) {
     try {
         const date = new Date(dateString);
         const now = new Date();
@@ -245,6 +560,11 @@ function formatDate(dateString) {
     }
 }
 
+// Whether an article is sample data from getMockArticles()
+export function isMockArticle(article) {
+    return article.id.startsWith('mock-');
+}
+
 // Mock data for testing/fallback when RSS feeds fail
 function getMockArticles() {
     return [
@@ -0,0 +1,246 @@
+// HTML sanitization for AI News Tracker
+// Feed content is untrusted. Links are limited to safe URL schemes, text and
+// attribute values are escaped, and feed HTML is reduced to an allowlist of
+// formatting tags. Plain string processing, so the same rules apply in the
+// page, the prerenderer and the Node tests.
+
+const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+const IMAGE_SCHEMES = ['http:', 'https:'];
+
+// Tags kept in sanitized HTML, with the attributes each may keep. Any other
+// tag is removed but its text stays.
+const ALLOWED_TAGS = {
+    p: [], br: [], hr: [], div: [], span: [],
+    h2: [], h3: [], h4: [], h5: [], h6: [],
+    b: [], strong: [], i: [], em: [], u: [], s: [], small: [], sub: [], sup: [], mark: [],
+    blockquote: [], q: [], code: [], pre: [],
+    ul: [], ol: [], li: [],
+    figure: [], figcaption: [],
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height']
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Tags whose content is removed along with them, not kept as text
+const DROPPED_CONTENT_TAGS = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+    'svg', 'math', 'textarea', 'select', 'button', 'form', 'title', 'head'
+]);
+
+// Tags that separate words when HTML is flattened to text
+const BLOCK_TAGS = new Set([
+    'p', 'br', 'div', 'li', 'ul', 'ol', 'blockquote', 'pre', 'figure', 'figcaption',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'tr', 'td', 'th', 'hr', 'section', 'article'
+]);
+
+// Comments, doctype/CDATA declarations, processing instructions and tags
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// A character, or a whole entity reference so truncation never splits one
+const TEXT_UNIT_PATTERN = /&(?:#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);|[\s\S]/gi;
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+// Escape text for HTML content and quoted attribute values
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Escape feed text that may already contain entity references, keeping them
+function escapeFeedText(text) {
+    return text
+        .replace(/&(?!(?:#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Decode the HTML entities feeds commonly use, plus numeric references
+export function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// The URL, absolute, when its scheme is allowed; otherwise the fallback.
+// Relative URLs resolve against options.baseUrl and are rejected without one.
+// Browsers ignore tabs, newlines and entities in a scheme ("java&#9;script:"),
+// so the URL is decoded and parsed the way the browser would.
+export function sanitizeUrl(url, options = {}) {
+    const schemes = options.schemes || LINK_SCHEMES;
+    const fallback = 'fallback' in options ? options.fallback : '#';
+
+    try {
+        const parsed = new URL(decodeHtmlEntities(String(url ?? '')).trim(), options.baseUrl || undefined);
+        return schemes.includes(parsed.protocol) ? parsed.href : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (!(name in attributes)) {
+            attributes[name] = match[2] ?? match[3] ?? match[4] ?? '';
+        }
+    }
+    return attributes;
+}
+
+// Attributes for an allowed tag, or null when the tag should be dropped
+// (a link or image without a safe URL)
+function getSafeAttributes(tag, attributes, options) {
+    const safe = [];
+
+    for (const name of ALLOWED_TAGS[tag]) {
+        const value = attributes[name];
+        if (value === undefined) continue;
+
+        if (name === 'href' || name === 'src') {
+            const url = sanitizeUrl(value, {
+                baseUrl: options.baseUrl,
+                schemes: name === 'src' ? IMAGE_SCHEMES : LINK_SCHEMES,
+                fallback: null
+            });
+            if (!url) return null;
+            safe.push(`${name}="${escapeHtml(url)}"`);
+        } else if (name === 'width' || name === 'height') {
+            if (/^\d{1,4}$/.test(value)) safe.push(`${name}="${value}"`);
+        } else {
+            safe.push(`${name}="${escapeFeedText(value)}"`);
+        }
+    }
+
+    if (tag === 'a') {
+        if (!attributes.href) return null;
+        safe.push('target="_blank"', 'rel="noopener noreferrer nofollow"');
+    }
+    if (tag === 'img') {
+        if (!attributes.src) return null;
+        safe.push('loading="lazy"');
+    }
+    return safe;
+}
+
+// Index just past the element closing tag, for tags whose content is dropped
+function skipElement(html, tag, from) {
+    const close = html.toLowerCase().indexOf(`</${tag}`, from);
+    if (close === -1) return html.length;
+    const end = html.indexOf('>', close);
+    return end === -1 ? html.length : end + 1;
+}
+
+// Walk feed HTML as text and tag tokens, skipping comments, declarations and
+// dropped elements. onText(text) gets raw text (entities left as they are),
+// onTag(tag, closing, attributeSource) every other tag. Either can return
+// false to stop.
+function walkHtml(html, onText, onTag) {
+    const source = String(html ?? '');
+    let index = 0;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    for (let match = TOKEN_PATTERN.exec(source); match; match = TOKEN_PATTERN.exec(source)) {
+        if (match.index > index && onText(source.slice(index, match.index)) === false) return;
+        index = TOKEN_PATTERN.lastIndex;
+
+        const [, closing, name, attributes] = match;
+        if (!name) continue;
+
+        const tag = name.toLowerCase();
+        if (DROPPED_CONTENT_TAGS.has(tag)) {
+            if (!closing) {
+                index = skipElement(source, tag, index);
+                TOKEN_PATTERN.lastIndex = index;
+            }
+            continue;
+        }
+        if (onTag(tag, Boolean(closing), attributes) === false) return;
+    }
+
+    if (index < source.length) onText(source.slice(index));
+}
+
+// Reduce feed HTML to the allowed tags and attributes. Links open in a new tab,
+// links and images need an http(s) URL (relative ones resolve against
+// options.baseUrl), and unclosed tags are closed. options.maxLength cuts the
+// text (not counting markup) to that many characters plus "...".
+export function sanitizeHtml(html, options = {}) {
+    const maxLength = options.maxLength || Infinity;
+    const open = [];
+    let output = '';
+    let length = 0;
+
+    const closeTo = depth => {
+        while (open.length > depth) {
+            output += `</${open.pop()}>`;
+        }
+    };
+
+    walkHtml(html, text => {
+        const units = text.match(TEXT_UNIT_PATTERN) || [];
+        if (length + units.length > maxLength) {
+            output += escapeFeedText(units.slice(0, maxLength - length).join('').trimEnd()) + '...';
+            length = maxLength;
+            return false;
+        }
+        output += escapeFeedText(text);
+        length += units.length;
+    }, (tag, closing, attributeSource) => {
+        if (!ALLOWED_TAGS[tag]) return;
+
+        if (closing) {
+            const depth = open.lastIndexOf(tag);
+            if (depth !== -1) closeTo(depth);
+            return;
+        }
+
+        // A link inside a link isn't valid HTML; close the outer one first
+        if (tag === 'a' && open.includes('a')) {
+            closeTo(open.lastIndexOf('a'));
+        }
+
+        const attributes = getSafeAttributes(tag, parseAttributes(attributeSource), options);
+        if (!attributes) return;
+
+        output += `<${[tag, ...attributes].join(' ')}>`;
+        if (!VOID_TAGS.has(tag)) open.push(tag);
+    });
+
+    closeTo(0);
+    return output;
+}
+
+// Text of feed HTML: every tag removed, along with script and style content.
+// Block tags become spaces so words don't run together; entities are left
+// for the caller to decode.
+export function stripHtml(html) {
+    let text = '';
+
+    walkHtml(html, chunk => {
+        text += chunk;
+    }, tag => {
+        if (BLOCK_TAGS.has(tag)) text += ' ';
+    });
+
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+console.log('🧼 Sanitize module loaded');
@@ -1,9 +1,76 @@
 // Main application logic for AI News Tracker
 
+import {
+    cacheArticles,
+    clearCache,
+    getCachedArticlesIgnoringExpiry,
+    getFavorite,
+    getFavorites,
+    getPendingFavoriteChanges,
+    getReadArticleIds,
+    markArticleRead,
+    markArticleUnread,
+    migrateFavorites,
+    needsArticleIdMigration,
+    queueFavoriteChange,
+    removeFavorite,
+    saveFavorite,
+    syncPendingFavoriteChanges,
+    updateFavorite,
+    updateLastVisit
+} from './storage.js';
+import {
+    categorizeArticle,
+    filterArticles,
+    getAllCategoryIds,
+    getArticleCountByCategory,
+    getCategoryName,
+    getSearchHighlightPattern,
+    searchArticles
+} from './filters.js';
+import { recordCorrection } from './classifier.js';
+import { clusterArticles, getStoryArticleIds } from './clustering.js';
+import { getArticleEntities } from './entities.js';
+import {
+    feedLoadState,
+    fetchAllFeeds,
+    fetchLatestArticles,
+    formatDate,
+    isMockArticle,
+    loadFeeds
+} from './rss-proxy.js';
+import { escapeHtml, sanitizeHtml, sanitizeUrl } from './sanitize.js';
+import {
+    initializeSourcesPanel,
+    sourcesPanel,
+    toggleSourcesPanel,
+    updateSourceHealthIndicator
+} from './feed-manager.js';
+import { initializeTrainingPanel } from './training-panel.js';
+import { initializeArchivePanel, viewingArchive } from './archive-panel.js';
+import { initializeBackupPanel } from './backup-panel.js';
+import { initializeDigestPanel } from './digest-panel.js';
+import { initializeCategoryPanel } from './category-panel.js';
+import { initializeAlertsPanel, runSavedSearches } from './alerts-panel.js';
+import { initializeEntitiesPanel } from './entities-panel.js';
+import { initializeAnalyticsPanel } from './analytics-panel.js';
+import { initializeReader, openReader } from './reader-panel.js';
+
 // Global state
-let allArticles = [];
-let displayedArticles = [];
-let currentFilter = 'all';
+export let allArticles = [];
+export let displayedArticles = [];
+export let currentFilter = 'all';
+export let currentQuery = '';
+let highlightPattern = null;
+let previousVisit = null;
+let readArticleIds = new Set();
+let isRefreshing = false;
+
+// Background refresh interval while the page is open
+const AUTO_REFRESH_INTERVAL = 900000; // 15 minutes in milliseconds
+
+// Entity chips shown per card; the rest are still searchable
+const MAX_ENTITY_CHIPS = 6;
 
 // DOM elements
 const newsGrid = document.getElementById('news-grid');
@@ -11,41 +78,207 @@ const loadingSection = document.getElementById('loading-section');
 const errorSection = document.getElementById('error-section');
 const emptySection = document.getElementById('empty-section');
 const emptyMessageText = document.getElementById('empty-message-text');
-const filterButtons = document.querySelectorAll('.filter-btn');
+const filterBar = document.getElementById('filter-bar');
+const searchInput = document.getElementById('search-input');
+const refreshButton = document.getElementById('refresh-btn');
+const refreshStatus = document.getElementById('refresh-status');
+const sampleBanner = document.getElementById('sample-banner');
+const offlineBanner = document.getElementById('offline-banner');
+const offlineMessage = document.getElementById('offline-message');
+
+// Start the app; called by main.js once the page has loaded
+export async function initApp() {
+    console.log('🚀 Initializing AI News Tracker...');
 
-// Initialize app on page load
-document.addEventListener('DOMContentLoaded', initApp);
+    // Update last visit, remembering the previous one for "New" badges
+    previousVisit = updateLastVisit();
+    readArticleIds = getReadArticleIds();
 
-async function initApp() {
-    console.log('🚀 Initializing AI News Tracker...');
+    // Give favorites saved as bare IDs a full snapshot while the cache still has them
+    migrateFavorites(getCachedArticlesIgnoringExpiry());
+
+    // Cached articles carry old-style IDs; fetch fresh ones so saved data can be migrated
+    if (needsArticleIdMigration()) {
+        clearCache();
+    }
+
+    // Set up filter buttons and toolbar panels
+    initializeFilters();
+    initializeSourcesPanel();
+    initializeCategoryPanel();
+    initializeAlertsPanel();
+    initializeEntitiesPanel();
+    initializeAnalyticsPanel();
+    initializeReader();
+    initializeTrainingPanel();
+    initializeArchivePanel();
+    initializeBackupPanel();
+    initializeDigestPanel();
+    initializeRefresh();
+    initializeOfflineSupport();
+
+    await loadArticles();
+
+    // Favorites changed offline in an earlier visit get synced by a live fetch
+    if (navigator.onLine && getPendingFavoriteChanges().length > 0) {
+        refreshArticles();
+    }
+}
+
+// Manual refresh button plus a periodic background refresh
+function initializeRefresh() {
+    refreshButton.addEventListener('click', () => refreshArticles());
+    document.getElementById('sample-retry').addEventListener('click', () => refreshArticles());
+    document.getElementById('sample-sources').addEventListener('click', () => {
+        if (sourcesPanel.classList.contains('hidden')) {
+            toggleSourcesPanel();
+        }
+        sourcesPanel.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    setInterval(() => {
+        // Don't spend requests on a tab nobody is looking at
+        if (!document.hidden) {
+            refreshArticles({ allowSnapshot: true });
+        }
+    }, AUTO_REFRESH_INTERVAL);
+}
+
+// Service worker for the offline app shell, and the offline banner
+function initializeOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('service-worker.js')
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
+    window.addEventListener('offline', updateOfflineState);
+    window.addEventListener('online', () => {
+        updateOfflineState();
+        refreshArticles();
+    });
+}
+
+// Show the offline banner while there is no connection, or while the list
+// is a saved copy because the feeds couldn't be reached
+function updateOfflineState() {
+    const offline = !navigator.onLine;
+    const pending = getPendingFavoriteChanges().length;
 
-    // Update last visit
-    updateLastVisit();
+    if ((!offline && !feedLoadState.fromSavedCopy) || viewingArchive) {
+        offlineBanner.classList.add('hidden');
+        return;
+    }
+
+    const from = feedLoadState.fetchedAt
+        ? `showing articles from ${formatFetchTime(feedLoadState.fetchedAt)}`
+        : 'no saved articles yet';
+    const queued = pending > 0
+        ? ` ${pending} favorite ${pending === 1 ? 'change' : 'changes'} will sync when you're back online.`
+        : '';
+
+    offlineMessage.textContent = `${offline ? '📴 Offline' : '⚠️ News sources unreachable'} — ${from}.${queued}`;
+    offlineBanner.classList.remove('hidden');
+}
+
+// "3:42 PM" today, "Oct 17, 3:42 PM" on other days
+function formatFetchTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString()
+        ? time
+        : `${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}, ${time}`;
+}
+
+// Fetch all feeds bypassing the cache and merge new items into the list
+// without reloading the page. Background refreshes pass allowSnapshot to
+// take the deploy-time snapshot while it is fresh.
+async function refreshArticles(options = {}) {
+    if (isRefreshing || viewingArchive) return;
+
+    if (!navigator.onLine) {
+        refreshStatus.textContent = 'Offline, showing saved articles';
+        updateOfflineState();
+        return;
+    }
 
-    // Show loading state
-    showLoadingState();
+    isRefreshing = true;
+    refreshButton.disabled = true;
+    refreshButton.classList.add('refreshing');
+    refreshStatus.textContent = 'Refreshing…';
 
     try {
-        // Load RSS feeds
-        allArticles = await loadFeeds();
+        const freshArticles = options.allowSnapshot ? await fetchLatestArticles() : await fetchAllFeeds();
+        updateSourceHealthIndicator();
+        if (freshArticles.length === 0) {
+            refreshStatus.textContent = 'Refresh failed, showing earlier articles';
+            return;
+        }
+
+        // Mock articles are only a stand-in until real ones arrive
+        const currentArticles = allArticles.filter(a => !isMockArticle(a));
+        const knownIds = new Set(currentArticles.flatMap(getStoryArticleIds));
+        const addedArticles = freshArticles.filter(a => !knownIds.has(a.id));
 
-        // Mark favorites
-        const favorites = getFavorites();
-        allArticles.forEach(article => {
-            article.isFavorite = favorites.some(f => f.id === article.id);
-        });
+        if (addedArticles.length > 0 || currentArticles.length !== allArticles.length) {
+            // New coverage of a story already shown joins that story's card
+            const merged = clusterArticles([...addedArticles, ...currentArticles])
+                .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
 
-        // Set initial display
-        displayedArticles = allArticles;
+            cacheArticles(merged);
+            showArticles(merged);
+            runSavedSearches(merged);
+        }
 
-        // Set up filter buttons
-        initializeFilters();
+        // Favorites saved from an offline copy get the live article
+        const synced = syncPendingFavoriteChanges(freshArticles);
 
-        // Render news grid
-        renderNewsGrid();
+        const time = new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        refreshStatus.textContent = (addedArticles.length > 0
+            ? `${addedArticles.length} new ${addedArticles.length === 1 ? 'article' : 'articles'} · updated ${time}`
+            : `Up to date · ${time}`) +
+            (synced > 0 ? ` · synced ${synced} offline favorite ${synced === 1 ? 'change' : 'changes'}` : '');
 
-        // Hide loading state
-        hideLoadingState();
+        console.log(`🔄 Refresh complete: ${addedArticles.length} new articles`);
+
+    } catch (error) {
+        console.error('Error refreshing articles:', error);
+        refreshStatus.textContent = 'Refresh failed, showing earlier articles';
+    } finally {
+        isRefreshing = false;
+        refreshButton.disabled = false;
+        refreshButton.classList.remove('refreshing');
+        updateOfflineState();
+    }
+}
+
+// Published since the previous visit and not opened yet
+function isNewArticle(article) {
+    return previousVisit !== null &&
+        new Date(article.pubDate) > new Date(previousVisit) &&
+        !readArticleIds.has(article.id);
+}
+
+// Load articles from feeds (or cache) and render them
+export async function loadArticles() {
+    // Show loading state, unless deploy-time cards are on screen meanwhile
+    if (!newsGrid.hasAttribute('data-prerendered')) {
+        showLoadingState();
+    }
+
+    try {
+        // Load RSS feeds
+        const articles = await loadFeeds();
+
+        // Read markers may have just been migrated to new article IDs
+        readArticleIds = getReadArticleIds();
+
+        // Upgrade any remaining legacy favorites found in the fresh articles
+        migrateFavorites(articles);
+
+        showArticles(articles);
+        runSavedSearches(articles);
+        updateSourceHealthIndicator();
+        updateOfflineState();
 
         console.log(`✅ App initialized with ${allArticles.length} articles`);
 
@@ -55,25 +288,87 @@ async function initApp() {
     }
 }
 
-// Initialize filter buttons
+// Replace the article list (latest feeds or the archive) and render it
+export function showArticles(articles) {
+    allArticles = articles;
+
+    // Mark favorites
+    const favorites = getFavorites();
+    allArticles.forEach(article => {
+        article.isFavorite = favorites.some(f => f.id === article.id);
+    });
+
+    // Hide loading state
+    hideLoadingState();
+
+    // Never let sample articles pass for real news
+    sampleBanner.classList.toggle('hidden', !allArticles.some(isMockArticle));
+
+    // Render news grid with the current filter
+    applyFilter(currentFilter);
+}
+
+// Initialize filter buttons and the search box
 function initializeFilters() {
-    filterButtons.forEach(button => {
-        button.addEventListener('click', () => {
-            const category = button.dataset.category;
-            applyFilter(category);
-        });
+    renderFilterBar();
+    filterBar.addEventListener('click', event => {
+        const button = event.target.closest('.filter-btn');
+        if (button) {
+            applyFilter(button.dataset.category);
+        }
+    });
+
+    // Debounce so the grid isn't rebuilt on every keystroke
+    let searchTimeout = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => applySearch(searchInput.value), 200);
     });
 }
 
+// One filter button per category, in the order set in the Categories panel
+export function renderFilterBar() {
+    filterBar.innerHTML = getAllCategoryIds()
+        .map(id => `<button class="filter-btn${id === currentFilter ? ' active' : ''}" data-category="${escapeHtml(id)}">${escapeHtml(getCategoryName(id))}</button>`)
+        .join('');
+    updateFilterCounts();
+}
+
+// After categories were edited: rebuild the filter bar and re-categorize the
+// loaded articles, leaving a filter whose category was deleted
+export function applyCategoryChanges() {
+    if (!getAllCategoryIds().includes(currentFilter)) {
+        currentFilter = 'all';
+    }
+    renderFilterBar();
+    recategorizeArticles();
+}
+
+// Apply a search query within the current category
+function applySearch(query) {
+    currentQuery = query.trim();
+    highlightPattern = getSearchHighlightPattern(currentQuery);
+
+    applyFilter(currentFilter);
+}
+
+// Show every article matching a query, such as a saved search
+export function showSearch(query) {
+    searchInput.value = query;
+    currentFilter = 'all';
+    applySearch(query);
+    scrollToTop();
+}
+
 // Apply filter and update display
 function applyFilter(categoryId) {
     currentFilter = categoryId;
 
-    // Update displayed articles
-    displayedArticles = filterArticles(allArticles, categoryId);
+    // Update displayed articles: category first, then search ranked by relevance
+    displayedArticles = searchArticles(filterArticles(allArticles, categoryId), currentQuery);
 
     // Update active button
-    filterButtons.forEach(btn => {
+    filterBar.querySelectorAll('.filter-btn').forEach(btn => {
         if (btn.dataset.category === categoryId) {
             btn.classList.add('active');
         } else {
@@ -83,13 +378,46 @@ function applyFilter(categoryId) {
 
     // Render updated grid
     renderNewsGrid();
+    updateFilterCounts();
 
     console.log(`Filter applied: ${categoryId} (${displayedArticles.length} articles)`);
 }
 
+// Show how many new, unread articles each filter button holds, with the
+// story and article totals in its tooltip
+function updateFilterCounts() {
+    const counts = getArticleCountByCategory(allArticles.filter(isNewArticle));
+    const stories = getArticleCountByCategory(allArticles);
+    const coverage = getArticleCountByCategory(allArticles, { includeCoverage: true });
+
+    filterBar.querySelectorAll('.filter-btn').forEach(button => {
+        let badge = button.querySelector('.filter-count');
+        const category = button.dataset.category;
+        const count = counts[category] || 0;
+
+        button.title = stories[category] === coverage[category]
+            ? `${stories[category]} articles`
+            : `${stories[category]} stories from ${coverage[category]} articles`;
+
+        if (count === 0) {
+            badge?.remove();
+            return;
+        }
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'filter-count';
+            button.appendChild(badge);
+        }
+        badge.textContent = count;
+        badge.setAttribute('aria-label', `${count} new`);
+    });
+}
+
 // Render news grid
 function renderNewsGrid() {
     newsGrid.innerHTML = '';
+    newsGrid.removeAttribute('data-prerendered');
 
     if (displayedArticles.length === 0) {
         showEmptyState();
@@ -109,70 +437,357 @@ function createNewsCard(article, index) {
     const card = document.createElement('article');
     card.className = 'news-card';
     card.setAttribute('data-category', article.category);
+    card.dataset.articleId = article.id;
     card.style.animationDelay = `${index * 0.05}s`;
 
-    const categoryName = getCategoryName(article.category);
+    const categoryBadges = (article.categories || [article.category])
+        .map((categoryId, i) => {
+            const confidence = article.categoryScores?.[categoryId];
+            const title = confidence !== undefined ? ` title="${Math.round(confidence * 100)}% match"` : '';
+            return `<span class="news-category${i > 0 ? ' secondary' : ''}"${title}>${escapeHtml(getCategoryName(categoryId))}</span>`;
+        })
+        .join('');
     const formattedDate = formatDate(article.pubDate);
     const favoriteClass = article.isFavorite ? 'active' : '';
+    const favorite = article.isFavorite ? getFavorite(article.id) : null;
+
+    if (favorite && !favorite.read) {
+        card.classList.add('unread');
+    }
+    if (readArticleIds.has(article.id)) {
+        card.classList.add('read');
+    }
 
     card.innerHTML = `
         <div class="news-header">
-            <span class="news-category">${categoryName}</span>
+            <div class="news-categories">${isNewArticle(article) ? '<span class="new-badge">New</span>' : ''}${categoryBadges}</div>
             <button class="favorite-btn ${favoriteClass}"
-                    data-article-id="${article.id}"
                     aria-label="${article.isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
                 ${article.isFavorite ? '⭐' : '☆'}
             </button>
         </div>
-        <h3 class="news-title">${escapeHtml(article.title)}</h3>
+        <h3 class="news-title">${highlightMatches(article.title)}</h3>
         <div class="news-meta">
-            <span class="news-source">${escapeHtml(article.source)}</span>
+            <span class="news-source">${highlightMatches(article.source)}${article.author ? ` · <span class="news-author">By ${highlightMatches(article.author)}</span>` : ''}</span>
             <span class="news-date">${formattedDate}</span>
         </div>
-        <p class="news-excerpt">${escapeHtml(article.description)}</p>
-        <a href="${article.link}" target="_blank" rel="noopener noreferrer" class="news-link">
-            Read Full Article →
-        </a>
+        <div class="news-footer">
+            <div class="news-links">
+                <button type="button" class="reader-btn" title="Read the article here">📖 Read</button>
+                <a href="${escapeHtml(sanitizeUrl(article.link))}" target="_blank" rel="noopener noreferrer" class="news-link">
+                    Read Full Article →
+                </a>
+            </div>
+            <div class="news-actions">
+                <select class="recategorize-select" aria-label="Recategorize article">
+                    <option value="">Recategorize…</option>
+                    ${getCorrectableCategoryOptions(article)}
+                </select>
+                <button class="not-relevant-btn" title="Hide this article and teach the tracker to skip similar ones">
+                    Not relevant
+                </button>
+            </div>
+        </div>
     `;
 
+    card.querySelector('.news-meta').after(createExcerpt(article));
+
+    // Lead image goes above the header; set src through the DOM so the URL is never parsed as HTML
+    if (article.image) {
+        const image = document.createElement('img');
+        image.className = 'news-image';
+        image.src = article.image;
+        image.alt = '';
+        image.loading = 'lazy';
+        image.addEventListener('error', () => image.remove());
+        card.prepend(image);
+    }
+
+    // Other publications' coverage of the same story
+    if (article.duplicates?.length > 0) {
+        card.querySelector('.news-excerpt').after(createCoverageList(article.duplicates));
+    }
+
+    // Tools, companies, firms and people the article mentions
+    const entityChips = createEntityChips(article);
+    if (entityChips) {
+        card.querySelector('.news-footer').before(entityChips);
+    }
+
+    // Notes, tags and read state for saved articles
+    if (favorite) {
+        card.querySelector('.news-footer').before(createFavoriteDetails(article, favorite, card, index));
+    }
+
+    // Opening an article marks it as read (and clears its "New" badge)
+    card.querySelector('.news-link').addEventListener('click', () => {
+        if (!readArticleIds.has(article.id) && markArticleRead(article.id)) {
+            readArticleIds.add(article.id);
+            card.classList.add('read');
+            card.querySelector('.new-badge')?.remove();
+            updateFilterCounts();
+        }
+        if (favorite && !favorite.read && updateFavorite(article.id, { read: true })) {
+            favorite.read = true;
+            card.classList.remove('unread');
+        }
+    });
+
+    card.querySelector('.reader-btn').addEventListener('click', () => openReader(article));
+
     // Add favorite button click handler
     const favoriteBtn = card.querySelector('.favorite-btn');
     favoriteBtn.addEventListener('click', () => toggleFavorite(article.id, favoriteBtn));
 
+    // Correction handlers train the learning classifier
+    card.querySelector('.recategorize-select').addEventListener('change', event => {
+        if (event.target.value) {
+            correctArticle(article.id, { category: event.target.value });
+        }
+    });
+    card.querySelector('.not-relevant-btn').addEventListener('click', () => {
+        correctArticle(article.id, { relevant: false });
+    });
+
     return card;
 }
 
+export function isArticleRead(article) {
+    return readArticleIds.has(article.id);
+}
+
+// Mark an article read or unread from the reader. Read clears its "New"
+// badge; for favorites the saved read state follows. Its card is re-rendered.
+export function setArticleRead(article, read) {
+    if (!(read ? markArticleRead(article.id) : markArticleUnread(article.id))) {
+        return false;
+    }
+
+    if (read) {
+        readArticleIds.add(article.id);
+    } else {
+        readArticleIds.delete(article.id);
+    }
+
+    const favorite = article.isFavorite ? getFavorite(article.id) : null;
+    if (favorite && favorite.read !== read) {
+        updateFavorite(article.id, { read: read });
+    }
+
+    const card = [...newsGrid.children].find(element => element.dataset.articleId === article.id);
+    card?.replaceWith(createNewsCard(article, displayedArticles.indexOf(article)));
+    updateFilterCounts();
+    return true;
+}
+
+// The summary with its formatting (links, images, paragraphs) when the feed
+// had one, else the plain description. Stored HTML may come from an old cache
+// or an imported backup, so it is sanitized again before it is shown.
+function createExcerpt(article) {
+    const excerpt = document.createElement('div');
+    excerpt.className = 'news-excerpt';
+
+    if (!article.excerptHtml) {
+        excerpt.innerHTML = highlightMatches(article.description);
+        return excerpt;
+    }
+
+    excerpt.innerHTML = sanitizeHtml(article.excerptHtml);
+
+    // The lead image is already shown above the card
+    excerpt.querySelectorAll('img').forEach(image => {
+        if (image.src === article.image) image.remove();
+    });
+
+    if (highlightPattern) {
+        highlightTextNodes(excerpt);
+    }
+    return excerpt;
+}
+
+// "Also covered by" links; built through the DOM so URLs are never parsed as HTML
+function createCoverageList(duplicates) {
+    const coverage = document.createElement('p');
+    coverage.className = 'news-coverage';
+    coverage.textContent = 'Also covered by ';
+
+    duplicates.forEach((duplicate, i) => {
+        const link = document.createElement('a');
+        link.href = sanitizeUrl(duplicate.link);
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.title = duplicate.title;
+        link.textContent = duplicate.source;
+        coverage.append(i > 0 ? ', ' : '', link);
+    });
+
+    return coverage;
+}
+
+// One chip per entity; clicking one shows every article that mentions it
+function createEntityChips(article) {
+    const entities = getArticleEntities(article).slice(0, MAX_ENTITY_CHIPS);
+    if (entities.length === 0) return null;
+
+    const chips = document.createElement('div');
+    chips.className = 'entity-chips';
+
+    entities.forEach(entity => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `entity-chip ${entity.type}`;
+        chip.textContent = entity.name;
+        chip.title = `Show articles mentioning ${entity.name}`;
+        chip.classList.toggle('active', currentQuery === `entity:${entity.id}`);
+        chip.addEventListener('click', () => showSearch(`entity:${entity.id}`));
+        chips.appendChild(chip);
+    });
+
+    return chips;
+}
+
+// Notes, custom tags and read/unread controls for a favorited article
+function createFavoriteDetails(article, favorite, card, index) {
+    const details = document.createElement('div');
+    details.className = 'favorite-details';
+
+    const tags = (favorite.tags || [])
+        .map(tag => `<span class="favorite-tag">#${escapeHtml(tag)}</span>`)
+        .join('');
+
+    details.innerHTML = `
+        ${tags ? `<div class="favorite-tags">${tags}</div>` : ''}
+        ${favorite.notes ? `<p class="favorite-notes">${escapeHtml(favorite.notes)}</p>` : ''}
+        <div class="favorite-controls">
+            <button type="button" class="favorite-control" data-action="read">
+                ${favorite.read ? 'Mark as unread' : 'Mark as read'}
+            </button>
+            <button type="button" class="favorite-control" data-action="edit">✎ Notes &amp; tags</button>
+        </div>
+        <form class="favorite-editor hidden">
+            <textarea name="notes" rows="3" placeholder="Notes for this article" aria-label="Notes">${escapeHtml(favorite.notes || '')}</textarea>
+            <input type="text" name="tags" placeholder="Tags, comma separated" aria-label="Tags">
+            <div class="favorite-controls">
+                <button type="submit" class="favorite-control">Save</button>
+                <button type="button" class="favorite-control" data-action="cancel">Cancel</button>
+            </div>
+        </form>
+    `;
+
+    const editor = details.querySelector('.favorite-editor');
+    editor.tags.defaultValue = (favorite.tags || []).join(', ');
+    const rerender = () => card.replaceWith(createNewsCard(article, index));
+
+    details.querySelector('[data-action="read"]').addEventListener('click', () => {
+        if (updateFavorite(article.id, { read: !favorite.read })) {
+            rerender();
+        }
+    });
+
+    details.querySelector('[data-action="edit"]').addEventListener('click', () => {
+        editor.classList.toggle('hidden');
+        editor.querySelector('textarea').focus();
+    });
+
+    details.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+        editor.reset();
+        editor.classList.add('hidden');
+    });
+
+    editor.addEventListener('submit', event => {
+        event.preventDefault();
+
+        const changes = {
+            notes: editor.notes.value.trim(),
+            tags: editor.tags.value
+                .split(',')
+                .map(tag => tag.trim())
+                .filter((tag, i, all) => tag && all.indexOf(tag) === i)
+        };
+
+        if (updateFavorite(article.id, changes)) {
+            rerender();
+        }
+    });
+
+    return details;
+}
+
+// <option>s for every real category, excluding the article's current one
+function getCorrectableCategoryOptions(article) {
+    return getAllCategoryIds()
+        .filter(id => id !== 'all' && id !== 'favorites' && id !== article.category)
+        .map(id => `<option value="${escapeHtml(id)}">${escapeHtml(getCategoryName(id))}</option>`)
+        .join('');
+}
+
+// Record a user correction, then re-categorize everything with the updated model
+function correctArticle(articleId, correction) {
+    const article = allArticles.find(a => a.id === articleId);
+    if (!article) return;
+
+    if (!recordCorrection(article, correction)) {
+        console.error('Could not save correction for', articleId);
+        return;
+    }
+
+    recategorizeArticles();
+}
+
+// Re-run categorization over the loaded articles and refresh the view
+export function recategorizeArticles() {
+    allArticles = allArticles
+        .map(categorizeArticle)
+        .filter(article => article !== null);
+
+    cacheArticles(allArticles);
+    applyFilter(currentFilter);
+}
+
 // Toggle favorite status
 function toggleFavorite(articleId, button) {
-    const article = allArticles.find(a => a.id === articleId);
+    // Favorites whose article has left the feed are only in the displayed list
+    const article = allArticles.find(a => a.id === articleId) ||
+        displayedArticles.find(a => a.id === articleId);
     if (!article) return;
 
     if (article.isFavorite) {
         // Remove from favorites
         if (removeFavorite(articleId)) {
             article.isFavorite = false;
-            button.classList.remove('active');
-            button.textContent = '☆';
-            button.setAttribute('aria-label', 'Add to favorites');
+            queueOfflineFavoriteChange(articleId, 'remove');
 
-            // If we're on favorites view, re-render
+            // If we're on favorites view, re-render; otherwise drop the notes/tags controls
             if (currentFilter === 'favorites') {
                 applyFilter('favorites');
+            } else {
+                const card = button.closest('.news-card');
+                card.replaceWith(createNewsCard(article, displayedArticles.indexOf(article)));
             }
         }
     } else {
         // Add to favorites
-        if (saveFavorite(articleId)) {
+        if (saveFavorite(article)) {
             article.isFavorite = true;
-            button.classList.add('active');
-            button.textContent = '⭐';
-            button.setAttribute('aria-label', 'Remove from favorites');
+            queueOfflineFavoriteChange(articleId, 'add');
+
+            // Re-render so the card gains its notes/tags controls
+            const card = button.closest('.news-card');
+            card.replaceWith(createNewsCard(article, displayedArticles.indexOf(article)));
         }
     }
 }
 
+// Favorite changes apply locally either way; offline they are also queued
+// so the saved snapshot can be refreshed from the live article later
+function queueOfflineFavoriteChange(articleId, action) {
+    if (!navigator.onLine && queueFavoriteChange(articleId, action)) {
+        updateOfflineState();
+    }
+}
+
 // Show loading state
-function showLoadingState() {
+export function showLoadingState() {
     loadingSection.classList.remove('hidden');
     errorSection.classList.add('hidden');
     emptySection.classList.add('hidden');
@@ -188,6 +803,7 @@ function hideLoadingState() {
 // Show error state
 function showErrorState() {
     loadingSection.classList.add('hidden');
+    sampleBanner.classList.add('hidden');
     errorSection.classList.remove('hidden');
     emptySection.classList.add('hidden');
     newsGrid.parentElement.style.display = 'none';
@@ -199,7 +815,9 @@ function showEmptyState() {
     newsGrid.parentElement.style.display = 'none';
 
     // Customize message based on filter
-    if (currentFilter === 'favorites') {
+    if (currentQuery) {
+        emptyMessageText.textContent = 'No articles match your search. Try fewer terms or remove exclusions and filters.';
+    } else if (currentFilter === 'favorites') {
         emptyMessageText.textContent = 'You haven\'t saved any favorites yet. Click the star icon on articles to save them here.';
     } else {
         emptyMessageText.textContent = 'No articles found for this category. Try selecting a different filter or check back later for new content.';
@@ -212,11 +830,51 @@ function hideEmptyState() {
     newsGrid.parentElement.style.display = 'block';
 }
 
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+// Offer text content as a file download
+export function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Escape text and wrap search matches in <mark>
+function highlightMatches(text) {
+    if (!highlightPattern || !text) {
+        return escapeHtml(text);
+    }
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(highlightPattern)) {
+        html += escapeHtml(text.slice(lastIndex, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+// Mark search matches in the text of rendered HTML, leaving its tags alone
+function highlightTextNodes(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+        const html = highlightMatches(node.textContent);
+        if (html.includes('<mark>')) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            node.replaceWith(template.content);
+        }
+    });
 }
 
 // Smooth scroll to top when filter changes
@@ -0,0 +1,93 @@
+// Service worker for AI News Tracker
+// Keeps the app shell and the prerendered articles available offline. The
+// last fetched articles and favorites live in localStorage (storage.js).
+
+// Bump the version when the shell's file list changes
+const SHELL_CACHE = 'news-tracker-shell-v8';
+const DATA_CACHE = 'news-tracker-data-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'main.js',
+    'storage.js',
+    'filters.js',
+    'classifier.js',
+    'archive.js',
+    'clustering.js',
+    'sanitize.js',
+    'rss-proxy.js',
+    'proxy/feed-parser.js',
+    'proxy/xml.js',
+    'feed-manager.js',
+    'category-panel.js',
+    'alerts.js',
+    'alerts-panel.js',
+    'entities.js',
+    'entities-panel.js',
+    'analytics.js',
+    'analytics-panel.js',
+    'reader.js',
+    'reader-panel.js',
+    'training-panel.js',
+    'archive-panel.js',
+    'exporters.js',
+    'digest.js',
+    'backup-panel.js',
+    'digest-panel.js',
+    'script.js'
+];
+
+// Same-origin files that are data rather than shell
+const DATA_FILES = ['articles.json'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('news-tracker-') && name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so every deploy shows up right away, falling back to the
+// cached copy offline. Feed proxies and images are left to the network.
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const isData = DATA_FILES.some(file => url.pathname.endsWith(`/${file}`));
+    event.respondWith(fetchAndCache(event.request, isData ? DATA_CACHE : SHELL_CACHE));
+});
+
+async function fetchAndCache(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        // Offline navigation to any page of the app gets the shell
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
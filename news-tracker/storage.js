@@ -1,23 +1,56 @@
 // localStorage management for AI News Tracker
 // All keys are prefixed with 'newsTracker_' to avoid conflicts
 
+import { DEFAULT_FEEDS, generateArticleId, getArticleIdentity } from './rss-proxy.js';
+import { isValidCategoryConfig } from './filters.js';
+
 const STORAGE_PREFIX = 'newsTracker_';
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
 
+// Where data is kept: the browser's Web Storage unless setStorage() injects
+// another object with the same getItem/setItem/removeItem/key/length API,
+// such as createMemoryStorage() when running in Node
+let localStore = globalThis.localStorage;
+let sessionStore = globalThis.sessionStorage;
+
+export function setStorage(local, session = createMemoryStorage()) {
+    localStore = local;
+    sessionStore = session;
+}
+
+// In-memory Web Storage, optionally seeded with { key: value } pairs
+export function createMemoryStorage(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        clear: () => data.clear(),
+        key: index => [...data.keys()][index] ?? null,
+        get length() {
+            return data.size;
+        }
+    };
+}
+
 // Favorites Management
-function saveFavorite(articleId) {
+// Each favorite keeps a full snapshot of the article so it survives the
+// article rotating out of the feeds or the cache expiring:
+// { id, savedAt, article, notes, tags, read, readAt }
+export function saveFavorite(article) {
     try {
         const favorites = getFavorites();
-        if (!favorites.find(f => f.id === articleId)) {
+        if (!favorites.find(f => f.id === article.id)) {
             favorites.push({
-                id: articleId,
-                savedAt: new Date().toISOString()
+                id: article.id,
+                savedAt: new Date().toISOString(),
+                article: createArticleSnapshot(article),
+                notes: '',
+                tags: [],
+                read: false,
+                readAt: null
             });
-            localStorage.setItem(
-                `${STORAGE_PREFIX}favorites`,
-                JSON.stringify(favorites)
-            );
-            return true;
+            return saveFavorites(favorites);
         }
         return false;
     } catch (error) {
@@ -26,24 +59,51 @@ function saveFavorite(articleId) {
     }
 }
 
-function removeFavorite(articleId) {
+// Update notes, tags or read state of a saved favorite
+export function updateFavorite(articleId, changes) {
+    try {
+        const favorites = getFavorites();
+        const favorite = favorites.find(f => f.id === articleId);
+        if (!favorite) return false;
+
+        Object.assign(favorite, changes);
+        if ('read' in changes) {
+            favorite.readAt = changes.read ? new Date().toISOString() : null;
+        }
+        return saveFavorites(favorites);
+    } catch (error) {
+        console.error('Error updating favorite:', error);
+        return false;
+    }
+}
+
+export function removeFavorite(articleId) {
     try {
         let favorites = getFavorites();
         favorites = favorites.filter(f => f.id !== articleId);
-        localStorage.setItem(
+        return saveFavorites(favorites);
+    } catch (error) {
+        console.error('Error removing favorite:', error);
+        return false;
+    }
+}
+
+function saveFavorites(favorites) {
+    try {
+        localStore.setItem(
             `${STORAGE_PREFIX}favorites`,
             JSON.stringify(favorites)
         );
         return true;
     } catch (error) {
-        console.error('Error removing favorite:', error);
+        console.error('Error saving favorites:', error);
         return false;
     }
 }
 
-function getFavorites() {
+export function getFavorites() {
     try {
-        const data = localStorage.getItem(`${STORAGE_PREFIX}favorites`);
+        const data = localStore.getItem(`${STORAGE_PREFIX}favorites`);
         return data ? JSON.parse(data) : [];
     } catch (error) {
         console.error('Error reading favorites:', error);
@@ -51,14 +111,120 @@ function getFavorites() {
     }
 }
 
-function isFavorite(articleId) {
+export function getFavorite(articleId) {
+    return getFavorites().find(f => f.id === articleId) || null;
+}
+
+// Copy of the article fields worth keeping, without per-session UI state
+function createArticleSnapshot(article) {
+    const { isFavorite, ...snapshot } = article;
+    return snapshot;
+}
+
+// Upgrade favorites saved before snapshots existed ({ id, savedAt } only)
+// using whichever of the given articles are still around. Favorites whose
+// article can't be found yet are kept and retried on the next call.
+export function migrateFavorites(articles) {
+    const favorites = getFavorites();
+    const legacy = favorites.filter(f => !f.article);
+    if (legacy.length === 0) return 0;
+
+    const articlesById = new Map(articles.map(a => [a.id, a]));
+    let upgraded = 0;
+
+    legacy.forEach(favorite => {
+        const article = articlesById.get(favorite.id);
+        if (!article) return;
+
+        favorite.article = createArticleSnapshot(article);
+        favorite.notes = favorite.notes || '';
+        favorite.tags = favorite.tags || [];
+        favorite.read = favorite.read || false;
+        favorite.readAt = favorite.readAt || null;
+        upgraded++;
+    });
+
+    if (upgraded > 0 && saveFavorites(favorites)) {
+        console.log(`⭐ Migrated ${upgraded} of ${legacy.length} legacy favorites`);
+    }
+    return upgraded;
+}
+
+// Article ID scheme: 1 was a 32-bit hash of the raw link, 2 hashes the
+// guid or canonical link (see getArticleIdentity() in rss-proxy.js)
+const ARTICLE_ID_VERSION = 2;
+
+// IDs each scheme generates, plus the offline sample articles' (mock-1...).
+// Favorite IDs end up in the favorites view, so backups may only carry
+// ones the tracker could have made.
+const ARTICLE_ID_PATTERN = /^(?:article-[0-9a-f]{16}|mock-\d+)$/;
+const LEGACY_ARTICLE_ID_PATTERN = /^(?:article-[0-9a-z]+|mock-\d+)$/;
+
+export function needsArticleIdMigration() {
+    return (getPreferences().articleIdVersion || 1) < ARTICLE_ID_VERSION;
+}
+
+// The version 1 article ID, kept only to recognize old saved data
+function generateLegacyArticleId(url) {
+    let hash = 0;
+    for (let i = 0; i < url.length; i++) {
+        hash = ((hash << 5) - hash) + url.charCodeAt(i);
+        hash = hash & hash;
+    }
+    return 'article-' + Math.abs(hash).toString(36);
+}
+
+// One-time move of favorites, corrections and read markers from version 1
+// IDs to the current ones, matched through freshly fetched articles. Saved
+// articles no longer in the feeds get an ID computed from their snapshot.
+// Returns true if the migration ran.
+export function migrateArticleIds(articles) {
+    if (!needsArticleIdMigration()) return false;
+
+    // Version 1 hashed the link before sanitizeUrl() decoded and normalized it
+    const newIds = new Map(articles.map(a => [generateLegacyArticleId(a.rawLink ?? a.link), a.id]));
+    const toNewId = id => newIds.get(id) || id;
+
+    try {
+        const favorites = getFavorites().map(favorite => {
+            const id = newIds.get(favorite.id) ||
+                (favorite.article ? generateArticleId(getArticleIdentity(favorite.article)) : favorite.id);
+            return favorite.article
+                ? { ...favorite, id: id, article: { ...favorite.article, id: id } }
+                : { ...favorite, id: id };
+        });
+
+        const corrections = getCorrections().map(correction => ({
+            ...correction,
+            articleId: toNewId(correction.articleId)
+        }));
+
+        const readIds = [...getReadArticleIds()].map(toNewId);
+
+        saveFavorites(favorites);
+        localStore.setItem(`${STORAGE_PREFIX}corrections`, JSON.stringify(corrections));
+        localStore.setItem(`${STORAGE_PREFIX}read`, JSON.stringify(readIds));
+
+        const preferences = getPreferences();
+        preferences.articleIdVersion = ARTICLE_ID_VERSION;
+        savePreferences(preferences);
+
+        console.log(`🔑 Migrated ${favorites.length} favorites to stable article IDs`);
+        return true;
+    } catch (error) {
+        console.error('Error migrating article IDs:', error);
+        return false;
+    }
+}
+
+export function isFavorite(articleId) {
     const favorites = getFavorites();
     return favorites.some(f => f.id === articleId);
 }
 
 function clearFavorites() {
     try {
-        localStorage.removeItem(`${STORAGE_PREFIX}favorites`);
+        localStore.removeItem(`${STORAGE_PREFIX}favorites`);
         return true;
     } catch (error) {
         console.error('Error clearing favorites:', error);
@@ -66,44 +232,105 @@ function clearFavorites() {
     }
 }
 
+// Favorite changes made offline, as [{ articleId, action: 'add'|'remove', at }].
+// They apply locally right away; the queue remembers which saved snapshots
+// came from an offline copy, to refresh them from live articles later.
+export function getPendingFavoriteChanges() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}pendingFavorites`);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('Error reading pending favorite changes:', error);
+        return [];
+    }
+}
+
+// Queue a change; undoing an earlier queued change cancels both
+export function queueFavoriteChange(articleId, action) {
+    try {
+        const pending = getPendingFavoriteChanges();
+        const earlier = pending.find(change => change.articleId === articleId);
+        const queue = pending.filter(change => change !== earlier);
+
+        if (!earlier || earlier.action === action) {
+            queue.push({ articleId: articleId, action: action, at: new Date().toISOString() });
+        }
+
+        localStore.setItem(`${STORAGE_PREFIX}pendingFavorites`, JSON.stringify(queue));
+        return true;
+    } catch (error) {
+        console.error('Error queueing favorite change:', error);
+        return false;
+    }
+}
+
+// Replay queued changes against live articles: favorites added offline get a
+// fresh snapshot; removals need nothing more. Returns the number of changes synced.
+export function syncPendingFavoriteChanges(articles) {
+    const pending = getPendingFavoriteChanges();
+    if (pending.length === 0) return 0;
+
+    try {
+        const articlesById = new Map(articles.map(a => [a.id, a]));
+
+        pending.forEach(change => {
+            const article = articlesById.get(change.articleId);
+            if (change.action === 'add' && article && isFavorite(change.articleId)) {
+                updateFavorite(change.articleId, { article: createArticleSnapshot(article) });
+            }
+        });
+
+        localStore.removeItem(`${STORAGE_PREFIX}pendingFavorites`);
+        console.log(`⭐ Synced ${pending.length} favorite changes made offline`);
+        return pending.length;
+    } catch (error) {
+        console.error('Error syncing favorite changes:', error);
+        return 0;
+    }
+}
+
 // Article Cache Management
-function cacheArticles(articles) {
+export function cacheArticles(articles) {
     try {
         const cacheData = {
             timestamp: new Date().getTime(),
             articles: articles,
             expiresAt: new Date().getTime() + CACHE_DURATION
         };
-        localStorage.setItem(
+        localStore.setItem(
             `${STORAGE_PREFIX}cache`,
             JSON.stringify(cacheData)
         );
         return true;
     } catch (error) {
         console.error('Error caching articles:', error);
-        // If quota exceeded, clear cache and try again
+        // If quota exceeded, clear cache and retry without full content;
+        // the IndexedDB archive (archive.js) keeps the complete articles
         if (error.name === 'QuotaExceededError') {
             clearCache();
+            if (articles.some(article => article.content)) {
+                return cacheArticles(articles.map(({ content, ...article }) => article));
+            }
         }
         return false;
     }
 }
 
-function getCachedArticles() {
+export function getCachedArticles() {
     try {
-        const data = localStorage.getItem(`${STORAGE_PREFIX}cache`);
+        const data = localStore.getItem(`${STORAGE_PREFIX}cache`);
         if (!data) return null;
 
         const cacheData = JSON.parse(data);
         const now = new Date().getTime();
 
-        // Check if cache is still valid
+        // Check if cache is still valid. An expired copy is kept for offline
+        // use (getCachedArticlesIgnoringExpiry) until the next fetch replaces it.
         if (now < cacheData.expiresAt) {
             console.log('Using cached articles');
             return cacheData.articles;
         } else {
             console.log('Cache expired');
-            clearCache();
             return null;
         }
     } catch (error) {
@@ -112,9 +339,31 @@ function getCachedArticles() {
     }
 }
 
-function clearCache() {
+// Cached articles regardless of expiry, for migrations that need any copy
+export function getCachedArticlesIgnoringExpiry() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}cache`);
+        return data ? JSON.parse(data).articles || [] : [];
+    } catch (error) {
+        console.error('Error reading cache:', error);
+        return [];
+    }
+}
+
+// When the cached articles were fetched (ms timestamp), or null
+export function getCacheTimestamp() {
     try {
-        localStorage.removeItem(`${STORAGE_PREFIX}cache`);
+        const data = localStore.getItem(`${STORAGE_PREFIX}cache`);
+        return data ? JSON.parse(data).timestamp || null : null;
+    } catch (error) {
+        console.error('Error reading cache:', error);
+        return null;
+    }
+}
+
+export function clearCache() {
+    try {
+        localStore.removeItem(`${STORAGE_PREFIX}cache`);
         return true;
     } catch (error) {
         console.error('Error clearing cache:', error);
@@ -122,10 +371,292 @@ function clearCache() {
     }
 }
 
+// Feed Source Management
+export function getFeedSources() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}feeds`);
+        if (data) return JSON.parse(data);
+    } catch (error) {
+        console.error('Error reading feed sources:', error);
+    }
+
+    // Nothing saved yet, start from the built-in feeds
+    return DEFAULT_FEEDS.map(feed => ({
+        ...feed,
+        enabled: true,
+        addedAt: null
+    }));
+}
+
+export function saveFeedSources(sources) {
+    try {
+        localStore.setItem(
+            `${STORAGE_PREFIX}feeds`,
+            JSON.stringify(sources)
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving feed sources:', error);
+        return false;
+    }
+}
+
+export function addFeedSource(url, name) {
+    const sources = getFeedSources();
+    if (sources.some(s => s.url === url)) {
+        return false;
+    }
+
+    sources.push({
+        name: name,
+        url: url,
+        enabled: true,
+        addedAt: new Date().toISOString()
+    });
+    return saveFeedSources(sources);
+}
+
+export function updateFeedSource(url, changes) {
+    const sources = getFeedSources();
+    const source = sources.find(s => s.url === url);
+    if (!source) return false;
+
+    Object.assign(source, changes);
+    return saveFeedSources(sources);
+}
+
+export function removeFeedSource(url) {
+    const sources = getFeedSources().filter(s => s.url !== url);
+    removeFeedHealth(url);
+    return saveFeedSources(sources);
+}
+
+// Feed Health Tracking
+// Per-feed fetch results keyed by feed URL:
+// { lastAttemptAt, lastSuccessAt, lastErrorAt, lastError, consecutiveFailures,
+//   itemCount, proxy, latencyMs }
+export function getFeedHealth() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}feedHealth`);
+        return data ? JSON.parse(data) : {};
+    } catch (error) {
+        console.error('Error reading feed health:', error);
+        return {};
+    }
+}
+
+function saveFeedHealth(health) {
+    try {
+        localStore.setItem(
+            `${STORAGE_PREFIX}feedHealth`,
+            JSON.stringify(health)
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving feed health:', error);
+        return false;
+    }
+}
+
+// Record the outcome of one fetch. result is { itemCount, proxy, latencyMs }
+// on success or { error } on failure; earlier successes are kept on failure.
+export function recordFeedHealth(url, result) {
+    const health = getFeedHealth();
+    const previous = health[url] || { consecutiveFailures: 0 };
+    const now = new Date().toISOString();
+
+    health[url] = result.error
+        ? {
+            ...previous,
+            lastAttemptAt: now,
+            lastErrorAt: now,
+            lastError: result.error,
+            consecutiveFailures: previous.consecutiveFailures + 1
+        }
+        : {
+            ...previous,
+            lastAttemptAt: now,
+            lastSuccessAt: now,
+            consecutiveFailures: 0,
+            itemCount: result.itemCount,
+            proxy: result.proxy,
+            latencyMs: result.latencyMs
+        };
+
+    return saveFeedHealth(health);
+}
+
+function removeFeedHealth(url) {
+    const health = getFeedHealth();
+    delete health[url];
+    return saveFeedHealth(health);
+}
+
+// Classifier Management
+export function getClassifierModel() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}classifier`);
+        return data ? JSON.parse(data) : null;
+    } catch (error) {
+        console.error('Error reading classifier model:', error);
+        return null;
+    }
+}
+
+export function saveClassifierModel(model) {
+    try {
+        localStore.setItem(
+            `${STORAGE_PREFIX}classifier`,
+            JSON.stringify(model)
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving classifier model:', error);
+        return false;
+    }
+}
+
+export function getCorrections() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}corrections`);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('Error reading corrections:', error);
+        return [];
+    }
+}
+
+export function saveCorrection(correction) {
+    try {
+        // Latest correction for an article replaces any earlier one
+        const corrections = getCorrections().filter(c => c.articleId !== correction.articleId);
+        corrections.push(correction);
+        localStore.setItem(
+            `${STORAGE_PREFIX}corrections`,
+            JSON.stringify(corrections)
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving correction:', error);
+        return false;
+    }
+}
+
+export function clearClassifierData() {
+    try {
+        localStore.removeItem(`${STORAGE_PREFIX}classifier`);
+        localStore.removeItem(`${STORAGE_PREFIX}corrections`);
+        return true;
+    } catch (error) {
+        console.error('Error clearing classifier data:', error);
+        return false;
+    }
+}
+
+// Category Management
+// Saved only once the user edits the categories; filters.js falls back to its
+// built-in ones while there is nothing here
+export function getCategoryConfig() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}categories`);
+        return data ? JSON.parse(data) : null;
+    } catch (error) {
+        console.error('Error reading categories:', error);
+        return null;
+    }
+}
+
+export function saveCategoryConfig(config) {
+    try {
+        localStore.setItem(
+            `${STORAGE_PREFIX}categories`,
+            JSON.stringify(config)
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving categories:', error);
+        return false;
+    }
+}
+
+export function clearCategoryConfig() {
+    try {
+        localStore.removeItem(`${STORAGE_PREFIX}categories`);
+        return true;
+    } catch (error) {
+        console.error('Error clearing categories:', error);
+        return false;
+    }
+}
+
+// Saved Search Management
+// Saved searches with their alert state, in the order they were added:
+// [{ id, name, query, notify, muted, createdAt, matchedIds, newIds }]
+export function getSavedSearches() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}savedSearches`);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('Error reading saved searches:', error);
+        return [];
+    }
+}
+
+export function saveSavedSearches(searches) {
+    try {
+        localStore.setItem(
+            `${STORAGE_PREFIX}savedSearches`,
+            JSON.stringify(searches)
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving saved searches:', error);
+        return false;
+    }
+}
+
+// Alert History
+// Articles that triggered a saved search, newest first:
+// [{ searchId, searchName, articleId, title, link, source, matchedAt }]
+const MAX_ALERT_HISTORY = 200; // Oldest entries are dropped beyond this
+
+export function getAlertHistory() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}alertHistory`);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('Error reading alert history:', error);
+        return [];
+    }
+}
+
+export function addAlertHistory(entries) {
+    try {
+        localStore.setItem(
+            `${STORAGE_PREFIX}alertHistory`,
+            JSON.stringify([...entries, ...getAlertHistory()].slice(0, MAX_ALERT_HISTORY))
+        );
+        return true;
+    } catch (error) {
+        console.error('Error saving alert history:', error);
+        return false;
+    }
+}
+
+export function clearAlertHistory() {
+    try {
+        localStore.removeItem(`${STORAGE_PREFIX}alertHistory`);
+        return true;
+    } catch (error) {
+        console.error('Error clearing alert history:', error);
+        return false;
+    }
+}
+
 // Preferences Management
-function savePreferences(preferences) {
+export function savePreferences(preferences) {
     try {
-        localStorage.setItem(
+        localStore.setItem(
             `${STORAGE_PREFIX}preferences`,
             JSON.stringify(preferences)
         );
@@ -136,9 +667,9 @@ function savePreferences(preferences) {
     }
 }
 
-function getPreferences() {
+export function getPreferences() {
     try {
-        const data = localStorage.getItem(`${STORAGE_PREFIX}preferences`);
+        const data = localStore.getItem(`${STORAGE_PREFIX}preferences`);
         return data ? JSON.parse(data) : {
             lastVisit: null,
             selectedCategory: 'all'
@@ -152,19 +683,76 @@ function getPreferences() {
     }
 }
 
-// Update last visit timestamp
-function updateLastVisit() {
+// Update last visit timestamp and return the previous visit (or null on a
+// first visit). Reloads within one browser session keep reporting the same
+// previous visit, so "New" markers survive a page refresh.
+export function updateLastVisit() {
     const preferences = getPreferences();
+
+    let previousVisit = null;
+    try {
+        previousVisit = sessionStore.getItem(`${STORAGE_PREFIX}previousVisit`);
+        if (previousVisit === null) {
+            previousVisit = preferences.lastVisit || '';
+            sessionStore.setItem(`${STORAGE_PREFIX}previousVisit`, previousVisit);
+        }
+    } catch (error) {
+        console.error('Error reading session visit:', error);
+        previousVisit = preferences.lastVisit;
+    }
+
     preferences.lastVisit = new Date().toISOString();
     savePreferences(preferences);
+
+    return previousVisit || null;
+}
+
+// Read State Management
+const MAX_READ_ARTICLES = 2000; // Oldest read markers are dropped beyond this
+
+export function getReadArticleIds() {
+    try {
+        const data = localStore.getItem(`${STORAGE_PREFIX}read`);
+        return new Set(data ? JSON.parse(data) : []);
+    } catch (error) {
+        console.error('Error reading read articles:', error);
+        return new Set();
+    }
+}
+
+export function markArticleRead(articleId) {
+    try {
+        const ids = [...getReadArticleIds()].filter(id => id !== articleId);
+        ids.push(articleId);
+        localStore.setItem(
+            `${STORAGE_PREFIX}read`,
+            JSON.stringify(ids.slice(-MAX_READ_ARTICLES))
+        );
+        return true;
+    } catch (error) {
+        console.error('Error marking article read:', error);
+        return false;
+    }
+}
+
+export function markArticleUnread(articleId) {
+    try {
+        const ids = [...getReadArticleIds()].filter(id => id !== articleId);
+        localStore.setItem(`${STORAGE_PREFIX}read`, JSON.stringify(ids));
+        return true;
+    } catch (error) {
+        console.error('Error marking article unread:', error);
+        return false;
+    }
 }
 
 // Clear all app data
 function clearAllData() {
     try {
-        Object.keys(localStorage).forEach(key => {
+        const keys = Array.from({ length: localStore.length }, (_, i) => localStore.key(i));
+        keys.forEach(key => {
             if (key.startsWith(STORAGE_PREFIX)) {
-                localStorage.removeItem(key);
+                localStore.removeItem(key);
             }
         });
         console.log('All app data cleared');
@@ -175,4 +763,174 @@ function clearAllData() {
     }
 }
 
+// Backup Export / Import
+// A versioned JSON file with everything worth moving between browsers.
+// The article cache, archive, feed health and read markers are rebuilt
+// locally, so they are left out.
+const BACKUP_TYPE = 'newsTracker-backup';
+const BACKUP_VERSION = 1;
+
+export function exportUserData() {
+    return JSON.stringify({
+        type: BACKUP_TYPE,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: {
+            favorites: getFavorites(),
+            preferences: getPreferences(),
+            feeds: getFeedSources(),
+            classifier: getClassifierModel(),
+            corrections: getCorrections(),
+            categories: getCategoryConfig(),
+            savedSearches: getSavedSearches()
+        }
+    }, null, 2);
+}
+
+// Check a parsed backup file and return its data, or throw with the reason
+// Version 1 favorites get a new ID from their snapshot on import, so only
+// the current scheme's IDs have to match the snapshot
+function isValidBackupFavorite(favorite, preferences) {
+    const idPattern = (preferences.articleIdVersion || 1) < ARTICLE_ID_VERSION
+        ? LEGACY_ARTICLE_ID_PATTERN
+        : ARTICLE_ID_PATTERN;
+    if (typeof favorite?.id !== 'string' || !idPattern.test(favorite.id)) return false;
+
+    // Favorites saved before snapshots existed have none
+    const article = favorite.article;
+    if (article == null) return true;
+    return typeof article === 'object' &&
+        idPattern.test(article.id) &&
+        (idPattern === LEGACY_ARTICLE_ID_PATTERN || article.id === favorite.id) &&
+        typeof article.title === 'string' &&
+        typeof article.link === 'string';
+}
+
+function validateBackup(backup) {
+    if (backup?.type !== BACKUP_TYPE || typeof backup.data !== 'object' || backup.data === null) {
+        throw new Error('File is not a News Tracker backup');
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+        throw new Error('Backup was exported by a newer version of the tracker');
+    }
+
+    const { favorites, preferences, feeds, classifier, corrections, categories, savedSearches } = backup.data;
+
+    if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
+        throw new Error('Backup preferences are malformed');
+    }
+    if (!Array.isArray(favorites) || !favorites.every(f => isValidBackupFavorite(f, preferences))) {
+        throw new Error('Backup favorites are malformed');
+    }
+    if (!Array.isArray(feeds) || !feeds.every(f => typeof f?.url === 'string' && typeof f.name === 'string')) {
+        throw new Error('Backup feed sources are malformed');
+    }
+    if (classifier !== null && (typeof classifier?.categories !== 'object' || typeof classifier.relevance !== 'object')) {
+        throw new Error('Backup classifier model is malformed');
+    }
+    if (!Array.isArray(corrections) || !corrections.every(c => typeof c?.articleId === 'string')) {
+        throw new Error('Backup corrections are malformed');
+    }
+    // Backups from before custom categories have none
+    if (categories != null && !isValidCategoryConfig(categories)) {
+        throw new Error('Backup categories are malformed');
+    }
+    if (savedSearches != null && (!Array.isArray(savedSearches) ||
+        !savedSearches.every(s => typeof s?.id === 'string' && typeof s.query === 'string'))) {
+        throw new Error('Backup saved searches are malformed');
+    }
+
+    return backup.data;
+}
+
+// Restore a backup. 'replace' swaps in the backup wholesale; 'merge' adds
+// favorites, sources, corrections and saved searches you don't have yet and keeps your own
+// version of anything in both. Returns counts of what was added.
+export function importUserData(json, mode = 'merge') {
+    let backup;
+    try {
+        backup = JSON.parse(json);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    const data = validateBackup(backup);
+    const localPreferences = getPreferences();
+
+    // Favorites from before stable IDs get their current ID from the snapshot
+    const favorites = (data.preferences.articleIdVersion || 1) < ARTICLE_ID_VERSION
+        ? data.favorites.map(favorite => {
+            if (!favorite.article) return favorite;
+            const id = generateArticleId(getArticleIdentity(favorite.article));
+            return { ...favorite, id: id, article: { ...favorite.article, id: id } };
+        })
+        : data.favorites;
+
+    // Visit tracking and the ID scheme describe this browser, not the backup
+    const browserState = {
+        lastVisit: localPreferences.lastVisit,
+        articleIdVersion: localPreferences.articleIdVersion
+    };
+
+    const merged = mode === 'replace'
+        ? {
+            favorites: favorites,
+            preferences: { ...data.preferences, ...browserState },
+            feeds: data.feeds,
+            classifier: data.classifier,
+            corrections: data.corrections,
+            categories: data.categories || null,
+            savedSearches: data.savedSearches || []
+        }
+        : {
+            favorites: mergeById(getFavorites(), favorites, f => f.id),
+            preferences: { ...data.preferences, ...localPreferences },
+            feeds: mergeById(getFeedSources(), data.feeds, f => f.url),
+            // Models can't be merged without their training articles, so an
+            // imported model is only used when there isn't one yet
+            classifier: getClassifierModel() || data.classifier,
+            corrections: mergeById(getCorrections(), data.corrections, c => c.articleId),
+            // Category edits are kept as a whole, like the model
+            categories: getCategoryConfig() || data.categories || null,
+            savedSearches: mergeById(getSavedSearches(), data.savedSearches || [], s => s.id)
+        };
+
+    const added = {
+        favorites: merged.favorites.length - (mode === 'replace' ? 0 : getFavorites().length),
+        feeds: merged.feeds.length - (mode === 'replace' ? 0 : getFeedSources().length),
+        corrections: merged.corrections.length - (mode === 'replace' ? 0 : getCorrections().length),
+        savedSearches: merged.savedSearches.length - (mode === 'replace' ? 0 : getSavedSearches().length)
+    };
+
+    const saved = saveFavorites(merged.favorites) &&
+        savePreferences(merged.preferences) &&
+        saveFeedSources(merged.feeds.map(feed => ({ enabled: true, addedAt: null, ...feed }))) &&
+        saveSavedSearches(merged.savedSearches) &&
+        (merged.categories ? saveCategoryConfig(merged.categories) : clearCategoryConfig());
+
+    try {
+        if (merged.classifier) {
+            localStore.setItem(`${STORAGE_PREFIX}classifier`, JSON.stringify(merged.classifier));
+        } else {
+            localStore.removeItem(`${STORAGE_PREFIX}classifier`);
+        }
+        localStore.setItem(`${STORAGE_PREFIX}corrections`, JSON.stringify(merged.corrections));
+    } catch (error) {
+        console.error('Error importing classifier data:', error);
+        throw new Error('Could not save the imported classifier data');
+    }
+
+    if (!saved) {
+        throw new Error('Could not save the imported data');
+    }
+
+    return added;
+}
+
+// Local items plus imported ones whose key isn't already present
+function mergeById(local, imported, getKey) {
+    const keys = new Set(local.map(getKey));
+    return [...local, ...imported.filter(item => !keys.has(getKey(item)))];
+}
+
 console.log('📦 Storage module loaded');
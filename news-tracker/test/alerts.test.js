@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, silenceLogs } from './helpers.js';
+import {
+    checkSavedSearches,
+    createSavedSearch,
+    deleteSavedSearch,
+    getNewMatchCount,
+    markSavedSearchSeen,
+    updateSavedSearch
+} from '../alerts.js';
+import { exportUserData, getAlertHistory, getSavedSearches, importUserData } from '../storage.js';
+
+silenceLogs();
+
+const article = (id, title, source = 'Example') => ({
+    id: id,
+    title: title,
+    description: '',
+    content: '',
+    link: `https://example.com/${id}`,
+    pubDate: '2026-10-05T09:00:00.000Z',
+    source: source,
+    tags: [],
+    category: 'industry-news',
+    categories: ['industry-news']
+});
+
+const veras = article('a1', 'Veras adds AI rendering for Revit');
+const hypar = article('a2', 'Hypar launches AI space planning', 'Archinect');
+const other = article('a3', 'Midjourney releases a new AI model');
+
+test('takes the matches at save time as seen and alerts on later ones', () => {
+    resetTracker();
+    const search = createSavedSearch('Veras OR Hypar', { notify: true });
+
+    assert.deepEqual(checkSavedSearches([veras, other]), []);
+    assert.equal(getNewMatchCount(), 0);
+
+    const results = checkSavedSearches([hypar, veras, other], new Date('2026-10-06T10:00:00Z'));
+    assert.equal(results.length, 1);
+    assert.equal(results[0].search.id, search.id);
+    assert.deepEqual(results[0].articles.map(item => item.id), ['a2']);
+    assert.equal(getNewMatchCount(), 1);
+
+    assert.deepEqual(getAlertHistory(), [{
+        searchId: search.id,
+        searchName: 'Veras OR Hypar',
+        articleId: 'a2',
+        title: 'Hypar launches AI space planning',
+        link: 'https://example.com/a2',
+        source: 'Archinect',
+        matchedAt: '2026-10-06T10:00:00.000Z'
+    }]);
+
+    // Seen articles don't alert again
+    assert.deepEqual(checkSavedSearches([hypar, veras, other]), []);
+});
+
+test('clears new matches once the search is viewed', () => {
+    resetTracker();
+    const search = createSavedSearch('hypar');
+    checkSavedSearches([]);
+    checkSavedSearches([hypar]);
+
+    assert.equal(getNewMatchCount(), 1);
+    markSavedSearchSeen(search.id);
+    assert.equal(getNewMatchCount(), 0);
+});
+
+test('muted searches track matches without alerting', () => {
+    resetTracker();
+    const search = createSavedSearch('hypar OR veras');
+    checkSavedSearches([]);
+
+    updateSavedSearch(search.id, { muted: true });
+    assert.deepEqual(checkSavedSearches([hypar]), []);
+    assert.equal(getNewMatchCount(), 0);
+    assert.deepEqual(getAlertHistory(), []);
+
+    // Unmuting doesn't replay what arrived while muted
+    updateSavedSearch(search.id, { muted: false });
+    assert.deepEqual(checkSavedSearches([hypar, veras]).map(result => result.articles.length), [1]);
+});
+
+test('a changed query starts over from its current matches', () => {
+    resetTracker();
+    const search = createSavedSearch('veras');
+    checkSavedSearches([veras, other]);
+
+    updateSavedSearch(search.id, { query: 'midjourney', name: 'Midjourney' });
+    assert.deepEqual(checkSavedSearches([veras, other]), []);
+    assert.equal(getSavedSearches()[0].name, 'Midjourney');
+});
+
+test('validates, renames and deletes saved searches', () => {
+    resetTracker();
+    const search = createSavedSearch('  source:archinect  ');
+
+    assert.equal(search.name, 'source:archinect');
+    assert.throws(() => createSavedSearch(' '), /Enter a search to save/);
+    assert.throws(() => createSavedSearch('SOURCE:archinect'), /already saved/);
+
+    updateSavedSearch(search.id, { name: '' });
+    assert.equal(getSavedSearches()[0].name, 'source:archinect');
+
+    deleteSavedSearch(search.id);
+    assert.deepEqual(getSavedSearches(), []);
+    assert.throws(() => markSavedSearchSeen(search.id), /Unknown saved search/);
+});
+
+test('backs up and merges saved searches', () => {
+    resetTracker();
+    createSavedSearch('veras');
+    const backup = exportUserData();
+
+    resetTracker();
+    createSavedSearch('hypar');
+    const added = importUserData(backup, 'merge');
+
+    assert.equal(added.savedSearches, 1);
+    assert.deepEqual(getSavedSearches().map(search => search.query), ['hypar', 'veras']);
+
+    const broken = JSON.parse(backup);
+    broken.data.savedSearches = [{ name: 'no query' }];
+    assert.throws(() => importUserData(JSON.stringify(broken)), /saved searches are malformed/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, silenceLogs } from './helpers.js';
+import {
+    buildAnalytics,
+    getAnalyticsWeeks,
+    getRisingKeywords,
+    renderBarChart,
+    renderLineChart
+} from '../analytics.js';
+
+silenceLogs();
+
+const now = new Date('2026-10-18T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 86400000).toISOString();
+const article = (title, days, category, source = 'Dezeen') => ({
+    title: title,
+    description: '',
+    pubDate: daysAgo(days),
+    source: source,
+    category: category,
+    categories: [category]
+});
+
+test('buckets weeks back from now, oldest first', () => {
+    const weeks = getAnalyticsWeeks({ now: now, weeks: 3 });
+
+    assert.equal(weeks.length, 3);
+    assert.equal(weeks[0].from.toISOString(), daysAgo(21));
+    assert.equal(weeks[2].to.toISOString(), now.toISOString());
+});
+
+test('counts weekly volume per category and source', () => {
+    resetTracker();
+    const analytics = buildAnalytics([
+        article('Veras for Revit', 1, 'ai-design-tools'),
+        article('Hypar space planning', 2, 'automation', 'Archinect'),
+        article('Enscape rendering', 9, 'visualization', 'Archinect'),
+        article('Veras again', 10, 'ai-design-tools', 'ArchDaily'),
+        article('Too old to count', 60, 'ai-design-tools')
+    ], { now: now, weeks: 4 });
+
+    assert.equal(analytics.articleCount, 4);
+    assert.deepEqual(analytics.categories.map(item => [item.id, item.values]), [
+        ['ai-design-tools', [0, 0, 1, 1]],
+        ['visualization', [0, 0, 1, 0]],
+        ['automation', [0, 0, 0, 1]]
+    ]);
+    assert.equal(analytics.categories[0].name, 'AI Design Tools');
+    assert.deepEqual(analytics.sources.map(item => [item.name, item.values]), [
+        ['Archinect', [0, 0, 1, 1]],
+        ['ArchDaily', [0, 0, 1, 0]],
+        ['Dezeen', [0, 0, 0, 1]]
+    ]);
+});
+
+test('finds keywords rising week over week, preferring phrases', () => {
+    const keywords = getRisingKeywords([
+        article('Gaussian splatting comes to Revit', 1, 'visualization'),
+        article('Why gaussian splatting matters', 2, 'visualization'),
+        article('Gaussian splatting for site scans', 3, 'visualization'),
+        article('Revit plugins roundup', 4, 'ai-design-tools'),
+        article('Revit adds AI', 8, 'ai-design-tools'),
+        article('Revit 2027 released', 9, 'ai-design-tools'),
+        article('Midjourney in practice', 2, 'ai-design-tools')
+    ], { now: now, weeks: 4 });
+
+    // "gaussian" and "splatting" rose exactly as much as the phrase, revit
+    // held steady and midjourney appeared only once
+    assert.deepEqual(keywords.map(entry => [entry.keyword, entry.change]), [['gaussian splatting', 3]]);
+    assert.deepEqual(keywords[0].values, [0, 0, 0, 3]);
+});
+
+test('ranks the most mentioned tools in the period', () => {
+    const analytics = buildAnalytics([
+        article('Enscape and Revit', 1, 'visualization'),
+        article('Enscape update', 9, 'visualization'),
+        article('Adobe earnings', 2, 'industry-news'),
+        article('Revit long ago', 90, 'ai-design-tools')
+    ], { now: now, weeks: 4 });
+
+    assert.deepEqual(analytics.tools.map(tool => [tool.name, tool.mentions]), [['Enscape', 2], ['Revit', 1]]);
+});
+
+test('renders escaped SVG charts', () => {
+    const weeks = getAnalyticsWeeks({ now: now, weeks: 2 });
+    const line = renderLineChart([{ name: '<script>', values: [1, 3] }], weeks, { label: 'Volume' });
+
+    assert.match(line, /^<svg class="chart" viewBox="0 0 640 240" role="img" aria-label="Volume">/);
+    assert.equal((line.match(/<polyline /g) || []).length, 1);
+    assert.ok(line.includes('&lt;script&gt;: 3 in the week of'));
+    assert.ok(!line.includes('<script>'));
+
+    const bars = renderBarChart([
+        { label: 'gaussian splatting', value: 3, note: '(▲3)', search: '"gaussian splatting"' },
+        { label: 'Revit', value: 1 }
+    ]);
+    assert.equal((bars.match(/<rect /g) || []).length, 2);
+    assert.ok(bars.includes('data-search="&quot;gaussian splatting&quot;"'));
+    assert.ok(bars.includes('>3 (▲3)</text>'));
+});
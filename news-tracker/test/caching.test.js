@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, mockFeedFetch, silenceLogs, FIXTURE_SOURCES } from './helpers.js';
+import { loadFeeds, fetchFeedArticles, createFeedSnapshot, feedLoadState } from '../rss-proxy.js';
+import {
+    cacheArticles, getCachedArticles, getCacheTimestamp, saveFavorite, getFavorite,
+    queueFavoriteChange, getPendingFavoriteChanges, syncPendingFavoriteChanges
+} from '../storage.js';
+
+silenceLogs();
+
+const ARTICLE = {
+    id: 'article-0123456789abcdef',
+    title: 'Midjourney for concept design',
+    description: 'Generative AI tools in early design',
+    link: 'https://example.com/midjourney',
+    pubDate: '2026-10-17T09:00:00.000Z',
+    source: 'Example',
+    tags: [],
+    category: 'ai-design-tools'
+};
+
+// Storage holding an expired article cache
+const EXPIRED_CACHE = {
+    newsTracker_cache: JSON.stringify({
+        timestamp: Date.parse('2026-10-17T10:00:00.000Z'),
+        expiresAt: Date.parse('2026-10-17T11:00:00.000Z'),
+        articles: [ARTICLE]
+    })
+};
+
+const enabledUrls = () => FIXTURE_SOURCES.map(feed => feed.url);
+
+// A deploy-time snapshot of the fixture feeds, generatedAt ms ago
+const createSnapshot = async (t, age = 0, feedUrls = enabledUrls()) => {
+    mockFeedFetch(t);
+    const snapshot = createFeedSnapshot(await fetchFeedArticles(), feedUrls);
+    snapshot.generatedAt = new Date(Date.now() - age).toISOString();
+    t.mock.restoreAll();
+    return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Node has no navigator.onLine, so stand one in for the test
+const goOffline = t => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', { value: { onLine: false }, configurable: true, writable: true });
+    t.after(() => {
+        if (descriptor) {
+            Object.defineProperty(globalThis, 'navigator', descriptor);
+        } else {
+            delete globalThis.navigator;
+        }
+    });
+};
+
+test('cached articles are returned until they expire', () => {
+    resetTracker();
+    assert.equal(getCachedArticles(), null);
+
+    assert.equal(cacheArticles([ARTICLE]), true);
+    assert.deepEqual(getCachedArticles(), [ARTICLE]);
+    assert.ok(Date.now() - getCacheTimestamp() < 1000);
+
+    resetTracker(EXPIRED_CACHE);
+    assert.equal(getCachedArticles(), null);
+    assert.equal(getCacheTimestamp(), Date.parse('2026-10-17T10:00:00.000Z'));
+});
+
+test('loadFeeds fetches live, caches, then serves from the cache', async t => {
+    resetTracker();
+    const requests = mockFeedFetch(t);
+
+    const articles = await loadFeeds();
+    assert.equal(articles.length, 5);
+    assert.equal(requests.length, 5); // articles.json and four feeds
+    assert.equal(getCachedArticles().length, 5);
+
+    const cached = await loadFeeds();
+    assert.deepEqual(cached.map(article => article.id), articles.map(article => article.id));
+    assert.equal(requests.length, 5);
+});
+
+test('loadFeeds uses a fresh snapshot without fetching feeds', async t => {
+    resetTracker();
+    const snapshot = await createSnapshot(t);
+    const requests = mockFeedFetch(t, { snapshot });
+
+    const articles = await loadFeeds();
+
+    assert.equal(articles.length, 5);
+    assert.deepEqual(requests, ['articles.json']);
+    assert.equal(feedLoadState.fetchedAt, Date.parse(snapshot.generatedAt));
+});
+
+test('loadFeeds fetches live when the snapshot is stale', async t => {
+    resetTracker();
+    const snapshot = await createSnapshot(t, 86400000);
+    const requests = mockFeedFetch(t, { snapshot });
+
+    const articles = await loadFeeds();
+
+    assert.equal(requests.length, 5);
+    assert.equal(articles.length, 5);
+    assert.equal(feedLoadState.fromSavedCopy, false);
+});
+
+test('loadFeeds ignores a snapshot built from other sources', async t => {
+    resetTracker();
+    const snapshot = await createSnapshot(t, 0, enabledUrls().slice(0, 1));
+    const requests = mockFeedFetch(t, { snapshot });
+
+    await loadFeeds();
+
+    assert.equal(requests.length, 5);
+});
+
+test('offline, loadFeeds shows the expired cache instead of sample data', async t => {
+    resetTracker(EXPIRED_CACHE);
+    const requests = mockFeedFetch(t, { offline: true });
+    goOffline(t);
+
+    const articles = await loadFeeds();
+
+    assert.deepEqual(articles.map(article => article.id), [ARTICLE.id]);
+    assert.deepEqual(requests, ['articles.json']);
+    assert.equal(feedLoadState.fromSavedCopy, true);
+    assert.equal(feedLoadState.fetchedAt, Date.parse('2026-10-17T10:00:00.000Z'));
+});
+
+test('offline without a saved copy, loadFeeds falls back to sample data', async t => {
+    resetTracker();
+    mockFeedFetch(t, { offline: true });
+    goOffline(t);
+
+    const articles = await loadFeeds();
+
+    assert.ok(articles.length > 0);
+    assert.ok(articles.every(article => article.id.startsWith('mock-')));
+    assert.equal(feedLoadState.fetchedAt, null);
+});
+
+test('queued favorite changes collapse and sync against live articles', () => {
+    resetTracker();
+
+    saveFavorite({ ...ARTICLE, title: 'Old title' });
+    queueFavoriteChange(ARTICLE.id, 'add');
+    queueFavoriteChange('article-removed', 'add');
+    queueFavoriteChange('article-removed', 'remove');
+    assert.equal(getPendingFavoriteChanges().length, 1);
+
+    const synced = syncPendingFavoriteChanges([{ ...ARTICLE, title: 'Live title' }]);
+
+    assert.equal(synced, 1);
+    assert.equal(getFavorite(ARTICLE.id).article.title, 'Live title');
+    assert.equal(getPendingFavoriteChanges().length, 0);
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, silenceLogs } from './helpers.js';
+import {
+    categorizeArticle,
+    createCategory,
+    deleteCategory,
+    FALLBACK_CATEGORY,
+    formatKeywordList,
+    getAllCategoryIds,
+    getCategories,
+    getCategoryName,
+    moveCategory,
+    parseKeywordList,
+    reloadCategories,
+    renameCategory,
+    resetCategories,
+    setAIKeywords,
+    setCategoryKeywords
+} from '../filters.js';
+import { recordCorrection } from '../classifier.js';
+import { exportUserData, getCategoryConfig, importUserData } from '../storage.js';
+
+silenceLogs();
+
+const article = (id, title, description = '') => ({
+    id: id,
+    title: title,
+    description: description,
+    content: '',
+    link: `https://example.com/${id}`,
+    pubDate: '2026-10-05T09:00:00.000Z',
+    source: 'Example',
+    tags: [],
+    category: 'industry-news'
+});
+
+test('starts with the built-in categories around the all and favorites views', () => {
+    resetTracker();
+
+    const ids = getAllCategoryIds();
+    assert.equal(ids[0], 'all');
+    assert.equal(ids.at(-1), 'favorites');
+    assert.equal(ids.at(-2), FALLBACK_CATEGORY);
+    assert.ok(ids.includes('ai-design-tools'));
+    assert.equal(getCategoryConfig(), null);
+});
+
+test('parses and formats keyword lists', () => {
+    assert.deepEqual(parseKeywordList('Robot:3, fabrication\n-data visualization:1.5, '), {
+        keywords: { robot: 3, fabrication: 2 },
+        negativeKeywords: { 'data visualization': 1.5 }
+    });
+    assert.equal(formatKeywordList(parseKeywordList('robot:3, fabrication, -cad:1')),
+        'robot:3, fabrication, -cad:1');
+    assert.throws(() => parseKeywordList('robot:0'), /"robot:0" needs a positive number/);
+    assert.throws(() => parseKeywordList('robot:lots'), /positive number/);
+});
+
+test('creates categories before the fallback and categorizes with them', () => {
+    resetTracker();
+
+    const id = createCategory('Robotics & Fabrication', 'robot:3, robotic fabrication:4');
+    assert.equal(id, 'robotics-fabrication');
+    assert.deepEqual(getAllCategoryIds().slice(-3), [id, FALLBACK_CATEGORY, 'favorites']);
+    assert.equal(getCategoryName(id), 'Robotics & Fabrication');
+
+    const categorized = categorizeArticle(article('r1', 'AI robot lays bricks on site', 'Robotic fabrication with machine learning.'));
+    assert.equal(categorized.category, id);
+
+    assert.throws(() => createCategory('robotics & fabrication'), /already a category/);
+    assert.throws(() => createCategory('  '), /Enter a category name/);
+    assert.equal(createCategory('All'), 'all-2');
+});
+
+test('renames, re-keywords and reorders categories', () => {
+    resetTracker();
+    const id = createCategory('Robots');
+
+    renameCategory(id, 'Robotics');
+    setCategoryKeywords(id, 'robot:5');
+    assert.equal(getCategoryName(id), 'Robotics');
+    assert.deepEqual(getCategories().find(category => category.id === id).keywords, { robot: 5 });
+    assert.throws(() => renameCategory(id, 'Automation'), /already a category/);
+
+    const before = getAllCategoryIds();
+    const index = before.indexOf(id);
+    assert.equal(moveCategory(id, -1), true);
+    assert.equal(getAllCategoryIds()[index - 1], id);
+    assert.equal(moveCategory(getAllCategoryIds()[1], -1), false);
+});
+
+test('deletes categories but never the fallback', () => {
+    resetTracker();
+
+    deleteCategory('visualization');
+    assert.ok(!getAllCategoryIds().includes('visualization'));
+    assert.equal(categorizeArticle(article('v1', 'AI Rendering in Enscape and Lumion')).category, FALLBACK_CATEGORY);
+    assert.throws(() => deleteCategory(FALLBACK_CATEGORY), /can't be deleted/);
+});
+
+test('ignores corrections to a deleted category', () => {
+    resetTracker();
+    const space = article('s1', 'AI Space Planning for Interiors', 'Space planning tools powered by machine learning.');
+    recordCorrection(space, { category: 'automation' });
+
+    deleteCategory('automation');
+
+    assert.equal(categorizeArticle(space).category, 'interior-design-ai');
+});
+
+test('edits the AI keywords that decide relevance', () => {
+    resetTracker();
+    const drone = article('d1', 'Drone surveys speed up site inspections');
+    assert.equal(categorizeArticle(drone), null);
+
+    setAIKeywords('AI, drone');
+    assert.equal(categorizeArticle(drone).category, FALLBACK_CATEGORY);
+    assert.throws(() => setAIKeywords(' , '), /at least one AI keyword/);
+});
+
+test('persists the categories and resets to the defaults', () => {
+    resetTracker();
+    const id = createCategory('Robotics', 'robot');
+
+    reloadCategories();
+    assert.ok(getAllCategoryIds().includes(id));
+
+    resetCategories();
+    assert.ok(!getAllCategoryIds().includes(id));
+    assert.equal(getCategoryConfig(), null);
+});
+
+test('falls back to the defaults when stored categories are malformed', () => {
+    resetTracker({ newsTracker_categories: JSON.stringify({ categories: [{ id: 'all' }], aiKeywords: [] }) });
+
+    assert.ok(getAllCategoryIds().includes('ai-design-tools'));
+});
+
+test('backs up and restores the categories', () => {
+    resetTracker();
+    const id = createCategory('Robotics', 'robot:3');
+    const backup = exportUserData();
+
+    resetTracker();
+    importUserData(backup, 'replace');
+    reloadCategories();
+    assert.equal(getCategoryName(id), 'Robotics');
+
+    const broken = JSON.parse(backup);
+    broken.data.categories = { categories: 'none' };
+    assert.throws(() => importUserData(JSON.stringify(broken)), /categories are malformed/);
+
+    // Ids end up in markup, so only ones createCategory() could make are accepted
+    const crafted = JSON.parse(backup);
+    crafted.data.categories.categories[0].id = 'x"><img src=x onerror=alert(1)>';
+    assert.throws(() => importUserData(JSON.stringify(crafted)), /categories are malformed/);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, mockFeedFetch, silenceLogs } from './helpers.js';
+import { fetchFeedArticles } from '../rss-proxy.js';
+import { categorizeArticle, filterArticles, getArticleCountByCategory, searchArticles } from '../filters.js';
+import { recordCorrection } from '../classifier.js';
+import { saveFavorite } from '../storage.js';
+
+silenceLogs();
+
+const article = (id, title, description = '') => ({
+    id: id,
+    title: title,
+    description: description,
+    content: '',
+    link: `https://example.com/${id}`,
+    pubDate: '2026-10-05T09:00:00.000Z',
+    source: 'Example',
+    tags: [],
+    category: 'industry-news'
+});
+
+// The fixture feeds, categorized, with non-AI articles dropped
+const fetchCategorized = async () => (await fetchFeedArticles())
+    .map(categorizeArticle)
+    .filter(categorized => categorized !== null);
+
+test('categorizes the fixture feeds by keyword', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    const categorized = await fetchCategorized();
+
+    assert.deepEqual(categorized.map(item => [item.title, item.categories]), [
+        ['Midjourney & Stable Diffusion for Concept Design', ['ai-design-tools']],
+        ['Parametric Facades Driven by Machine Learning', ['architecture-ai']],
+        ['AI Space Planning for Interiors', ['interior-design-ai']],
+        ['Automating BIM with AI Agents', ['architecture-ai', 'automation']],
+        ['AI Rendering in Enscape and Lumion', ['visualization']]
+    ]);
+    assert.ok(categorized.every(item => item.categoryScores[item.category] > 0));
+});
+
+test('drops articles that are not about AI', () => {
+    resetTracker();
+
+    assert.equal(categorizeArticle(article('a1', 'New museum opens downtown', 'A concrete and glass extension.')), null);
+    assert.equal(categorizeArticle(article('a2', 'AI news roundup')).category, 'industry-news');
+});
+
+test('a correction overrides the keyword categories', () => {
+    resetTracker();
+    const space = article('a3', 'AI Space Planning for Interiors', 'Space planning tools powered by machine learning.');
+    const museum = article('a4', 'New museum opens downtown');
+
+    recordCorrection(space, { category: 'automation' });
+    recordCorrection(museum, { relevant: false });
+
+    assert.deepEqual(categorizeArticle(space).categories, ['automation']);
+    assert.equal(categorizeArticle({ ...museum, title: 'AI museum guide' }), null);
+});
+
+test('a few "not relevant" corrections don\'t outvote the AI keywords', () => {
+    resetTracker();
+    for (let i = 0; i < 3; i++) {
+        recordCorrection(article(`junk${i}`, `Sponsored AI webinar ${i}`, 'Register for the sponsored webinar.'), { relevant: false });
+        recordCorrection(article(`good${i}`, `Generative design study ${i}`, 'Machine learning for facades.'), { category: 'architecture-ai' });
+    }
+
+    // The model is sure this is junk, but with 6 examples the keywords still decide
+    const webinar = article('w1', 'Sponsored AI webinar on rendering', 'Register for the sponsored webinar.');
+    assert.notEqual(categorizeArticle(webinar), null);
+
+    // With enough examples the model can drop it
+    for (let i = 3; i < 15; i++) {
+        recordCorrection(article(`junk${i}`, `Sponsored AI webinar ${i}`, 'Register for the sponsored webinar.'), { relevant: false });
+        recordCorrection(article(`good${i}`, `Generative design study ${i}`, 'Machine learning for facades.'), { category: 'architecture-ai' });
+    }
+    assert.equal(categorizeArticle(webinar), null);
+});
+
+test('filters by category, including secondary categories and favorites', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+    const categorized = await fetchCategorized();
+    saveFavorite(categorized[2]);
+
+    assert.equal(filterArticles(categorized, 'all').length, 5);
+    assert.deepEqual(filterArticles(categorized, 'automation').map(item => item.title),
+        ['Automating BIM with AI Agents']);
+    assert.deepEqual(filterArticles(categorized, 'favorites').map(item => item.id), [categorized[2].id]);
+
+    const counts = getArticleCountByCategory(categorized);
+    assert.equal(counts['architecture-ai'], 2);
+    assert.equal(counts.favorites, 1);
+});
+
+test('search ranks title matches and supports field filters', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+    const categorized = await fetchCategorized();
+
+    assert.equal(searchArticles(categorized, 'agents')[0].title, 'Automating BIM with AI Agents');
+    assert.deepEqual(searchArticles(categorized, 'source:atom').map(item => item.title),
+        ['AI Space Planning for Interiors']);
+    assert.equal(searchArticles(categorized, 'planning -interiors').length, 0);
+});
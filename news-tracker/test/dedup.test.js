@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFeedFetch, resetTracker, silenceLogs } from './helpers.js';
+import { canonicalizeUrl, fetchFeedArticles, generateArticleId, getArticleIdentity } from '../rss-proxy.js';
+import {
+    exportUserData,
+    getCorrections,
+    getFavorites,
+    getReadArticleIds,
+    importUserData,
+    migrateArticleIds,
+    saveFavorite,
+    saveFeedSources,
+    savePreferences
+} from '../storage.js';
+import { clusterArticles, getStoryArticleIds } from '../clustering.js';
+
+silenceLogs();
+
+const story = (id, source, title, description, pubDate, link = `https://${source.toLowerCase()}.com/${id}`) => ({
+    id: id,
+    title: title,
+    description: description,
+    link: link,
+    pubDate: pubDate,
+    source: source
+});
+
+test('canonical URLs ignore tracking parameters, www. and the scheme', () => {
+    assert.equal(
+        canonicalizeUrl('http://www.Example.com/articles/ai-render/?utm_source=rss&b=2&a=1#comments'),
+        'https://example.com/articles/ai-render?a=1&b=2'
+    );
+    assert.equal(canonicalizeUrl('not a url '), 'not a url');
+});
+
+test('article IDs come from the guid, else the canonical link', () => {
+    const byLink = { link: 'https://example.com/articles/ai-render?utm_medium=feed' };
+    const byGuid = { guid: 'example-1001', link: 'https://example.com/articles/ai-render' };
+
+    assert.equal(getArticleIdentity(byLink), 'https://example.com/articles/ai-render');
+    assert.equal(getArticleIdentity(byGuid), 'Example|example-1001');
+    assert.equal(generateArticleId(getArticleIdentity(byLink)),
+        generateArticleId('https://example.com/articles/ai-render'));
+    assert.match(generateArticleId('x'), /^article-[0-9a-f]{16}$/);
+    assert.notEqual(generateArticleId('a'), generateArticleId('b'));
+});
+
+// Version 1 article IDs: a 32-bit hash of the link exactly as the feed gave it
+const legacyId = url => {
+    let hash = 0;
+    for (let i = 0; i < url.length; i++) {
+        hash = (((hash << 5) - hash) + url.charCodeAt(i)) & 0xffffffff;
+    }
+    return 'article-' + Math.abs(hash | 0).toString(36);
+};
+
+test('migrates version 1 IDs hashed from the raw feed link', async t => {
+    // The feed double-encodes its link; sanitizeUrl() decodes it for display
+    const rawLink = 'https://example.com/story?id=7&amp;ref=rss';
+    resetTracker({
+        newsTracker_read: JSON.stringify([legacyId(rawLink)]),
+        newsTracker_corrections: JSON.stringify([{ articleId: legacyId(rawLink), relevant: false }])
+    });
+    saveFeedSources([{ name: 'Encoded', url: 'https://example.com/encoded-links.xml', enabled: true, addedAt: null }]);
+    mockFeedFetch(t);
+
+    const [article] = await fetchFeedArticles();
+    assert.equal(article.link, 'https://example.com/story?id=7&ref=rss');
+    assert.equal(article.rawLink, rawLink);
+
+    assert.ok(migrateArticleIds([article]));
+    assert.deepEqual([...getReadArticleIds()], [article.id]);
+    assert.equal(getCorrections()[0].articleId, article.id);
+});
+
+test('backups only restore favorites with IDs the tracker could have made', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+    savePreferences({ articleIdVersion: 2 });
+    const [article] = await fetchFeedArticles();
+    saveFavorite(article);
+    const backup = exportUserData();
+
+    resetTracker();
+    importUserData(backup, 'replace');
+    assert.deepEqual(getFavorites().map(favorite => favorite.id), [article.id]);
+
+    // A version 2 backup keeps its IDs, and they end up in markup
+    const crafted = JSON.parse(backup);
+    crafted.data.favorites[0].id = 'x"><img src=x onerror=alert(1)>';
+    crafted.data.favorites[0].article.id = crafted.data.favorites[0].id;
+    assert.throws(() => importUserData(JSON.stringify(crafted)), /Backup favorites are malformed/);
+
+    const mismatched = JSON.parse(backup);
+    mismatched.data.favorites[0].article.id = 'x"><img src=x onerror=alert(1)>';
+    assert.throws(() => importUserData(JSON.stringify(mismatched)), /Backup favorites are malformed/);
+});
+
+test('coverage of one story by several publications becomes one article', () => {
+    const articles = [
+        story('a1', 'Dezeen', 'Autodesk adds generative AI to Revit',
+            'Autodesk announced generative design features for Revit users today.', '2026-10-06T10:00:00Z'),
+        story('a2', 'ArchDaily', 'Autodesk adds generative AI features to Revit',
+            'The update brings generative design to Revit.', '2026-10-05T10:00:00Z'),
+        story('a3', 'Dezeen', 'Midjourney launches a 3D model generator',
+            'Text to mesh for concept massing.', '2026-10-06T12:00:00Z')
+    ];
+
+    const clustered = clusterArticles(articles);
+
+    assert.equal(clustered.length, 2);
+    const revit = clustered.find(article => article.id === 'a2');
+    assert.deepEqual(revit.duplicates.map(duplicate => duplicate.source), ['Dezeen']);
+    assert.deepEqual(getStoryArticleIds(revit), ['a2', 'a1']);
+});
+
+test('the same link is one story, and a repeat from the same source adds no coverage', () => {
+    const link = 'https://example.com/articles/ai-render';
+    const clustered = clusterArticles([
+        story('a1', 'Example', 'AI rendering', 'First copy', '2026-10-05T10:00:00Z', link),
+        story('a2', 'Example', 'AI rendering (updated)', 'Second copy', '2026-10-05T11:00:00Z', `${link}?utm_source=rss`),
+        story('a3', 'Mirror', 'Something else entirely', 'Syndicated', '2026-10-05T12:00:00Z', link)
+    ]);
+
+    assert.equal(clustered.length, 1);
+    assert.deepEqual(clustered[0].duplicates.map(duplicate => duplicate.id), ['a3']);
+});
+
+test('one source\'s similar headlines and stories far apart stay separate', () => {
+    const clustered = clusterArticles([
+        story('a1', 'Example', 'AI rendering tools roundup: part 1', '', '2026-10-01T10:00:00Z'),
+        story('a2', 'Example', 'AI rendering tools roundup: part 2', '', '2026-10-02T10:00:00Z'),
+        story('a3', 'Other', 'AI rendering tools roundup: part 1', '', '2026-11-01T10:00:00Z')
+    ]);
+
+    assert.equal(clustered.length, 3);
+});
+
+test('clustering again merges new coverage into existing stories', () => {
+    const first = clusterArticles([
+        story('a1', 'Dezeen', 'Autodesk adds generative AI to Revit', '', '2026-10-05T10:00:00Z'),
+        story('a2', 'ArchDaily', 'Autodesk adds generative AI to Revit', '', '2026-10-05T11:00:00Z')
+    ]);
+    const second = clusterArticles([
+        ...first,
+        story('a3', 'Archinect', 'Autodesk adds generative AI to Revit', '', '2026-10-05T12:00:00Z'),
+        story('a2', 'ArchDaily', 'Autodesk adds generative AI to Revit', '', '2026-10-05T11:00:00Z')
+    ]);
+
+    assert.equal(second.length, 1);
+    assert.deepEqual(getStoryArticleIds(second[0]), ['a1', 'a2', 'a3']);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, silenceLogs } from './helpers.js';
+import { buildDigest, renderDigestMarkdown } from '../digest.js';
+import { saveFavorite } from '../storage.js';
+
+silenceLogs();
+
+const article = (title, pubDate, fields = {}) => ({
+    id: title,
+    title: title,
+    description: '',
+    link: `https://example.com/${encodeURIComponent(title)}`,
+    pubDate: pubDate,
+    source: 'Dezeen',
+    category: 'architecture-ai',
+    categories: ['architecture-ai'],
+    ...fields
+});
+
+const week = { from: '2026-10-12T00:00:00Z', to: '2026-10-19T00:00:00Z' };
+
+const rangeLine = digest => renderDigestMarkdown(digest).split('\n')[2];
+const sectionTitles = digest => digest.sections.map(section => [section.categoryId, section.articles.map(item => item.title)]);
+
+test('gives the year once when the range stays within it', () => {
+    resetTracker();
+    const digest = buildDigest([article('Facades', '2026-10-15T12:00:00Z')], {
+        from: '2026-10-12T12:00:00Z',
+        to: '2026-10-19T12:00:00Z'
+    });
+
+    assert.equal(rangeLine(digest), '_Oct 12 – Oct 19, 2026 · 1 articles_');
+});
+
+test('gives both years when the range crosses a new year', () => {
+    resetTracker();
+    const digest = buildDigest([article('Facades', '2026-01-02T12:00:00Z')], {
+        from: '2025-12-29T12:00:00Z',
+        to: '2026-01-05T12:00:00Z'
+    });
+
+    assert.equal(rangeLine(digest), '_Dec 29, 2025 – Jan 5, 2026 · 1 articles_');
+});
+
+test('lists each article once, in its best-scoring selected category', () => {
+    resetTracker();
+    const both = article('Rendered BIM', '2026-10-15T12:00:00Z', {
+        categories: ['architecture-ai', 'visualization'],
+        categoryScores: { 'architecture-ai': 0.9, 'visualization': 0.6 }
+    });
+    const rendering = article('Enscape AI', '2026-10-15T12:00:00Z', { category: 'visualization', categories: ['visualization'] });
+
+    // Sections follow the filter bar order
+    assert.deepEqual(sectionTitles(buildDigest([both, rendering], week)), [
+        ['visualization', ['Enscape AI']],
+        ['architecture-ai', ['Rendered BIM']]
+    ]);
+
+    // Without its primary category selected it moves to the next one
+    const visualizationOnly = buildDigest([both, rendering], { ...week, categories: ['visualization'] });
+    assert.deepEqual(sectionTitles(visualizationOnly), [['visualization', ['Rendered BIM', 'Enscape AI']]]);
+});
+
+test('ranks by confidence, coverage, favorites and recency', () => {
+    resetTracker();
+    const favorite = article('Favorite', week.from);
+    saveFavorite(favorite);
+
+    // Scores: plain 0.5, confident 0.7, covered 0.5 + 0.25, latest 0.5 + 0.3, favorite 0.5 + 0.5
+    const digest = buildDigest([
+        article('Plain', week.from),
+        article('Confident', week.from, { categoryScores: { 'architecture-ai': 0.7 } }),
+        article('Covered', week.from, { duplicates: [{ source: 'ArchDaily' }] }),
+        article('Latest', week.to),
+        favorite
+    ], week);
+
+    assert.deepEqual(sectionTitles(digest), [
+        ['architecture-ai', ['Favorite', 'Latest', 'Covered', 'Confident', 'Plain']]
+    ]);
+});
+
+test('cuts sections at maxPerSection and drops empty ones and other dates', () => {
+    resetTracker();
+    const articles = [
+        article('Before', '2026-10-11T23:59:59Z'),
+        ...[1, 2, 3, 4].map(day => article(`Day ${day}`, `2026-10-1${day + 2}T12:00:00Z`)),
+        article('After', '2026-10-19T00:00:01Z')
+    ];
+    const digest = buildDigest(articles, { ...week, maxPerSection: 3 });
+
+    assert.deepEqual(sectionTitles(digest), [['architecture-ai', ['Day 4', 'Day 3', 'Day 2']]]);
+    assert.equal(digest.sections[0].moreCount, 1);
+    assert.equal(digest.total, 3);
+    assert.deepEqual(buildDigest(articles, { ...week, categories: ['visualization'] }).sections, []);
+});
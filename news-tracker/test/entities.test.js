@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, mockFeedFetch, silenceLogs } from './helpers.js';
+import { buildEntityIndex, extractEntities, getArticleEntities, getEntityId } from '../entities.js';
+import { searchArticles } from '../filters.js';
+import { fetchFeedArticles } from '../rss-proxy.js';
+
+silenceLogs();
+
+const names = entities => entities.map(entity => `${entity.type}:${entity.name}`);
+
+test('finds dictionary names and aliases in the title and body', () => {
+    const entities = extractEntities({
+        title: 'Midjourney and Stable Diffusion come to Revit',
+        content: '<p>The Adobe Firefly plugin renders with V-Ray and Vray presets for Foster &amp; Partners.</p>'
+    });
+
+    assert.deepEqual(names(entities), [
+        'tool:Midjourney',
+        'tool:Stable Diffusion',
+        'tool:Revit',
+        'tool:Firefly',
+        'company:Adobe',
+        'tool:V-Ray',
+        'firm:Foster + Partners'
+    ]);
+    assert.equal(entities.find(entity => entity.name === 'Foster + Partners').id, 'foster-partners');
+});
+
+test('dictionary names are case-sensitive, so common words are not tools', () => {
+    const entities = extractEntities({
+        title: 'A finch on the runway',
+        description: 'The rhino exhibit uses a dynamo for power.'
+    });
+
+    assert.deepEqual(entities, []);
+});
+
+test('finds firms, companies and quoted people in the body', () => {
+    const entities = extractEntities({
+        title: 'Generative Design Studio Launches New Tool',
+        content: 'In Berlin, Ian Keough, founder of Hypar, joined Foo Bar Labs and Mason Hill Architects. ' +
+            '"It works," Jane Doe said. The Design Studio agreed with architect Bjarke Ingels.'
+    });
+
+    assert.deepEqual(names(entities), [
+        'person:Ian Keough',
+        'tool:Hypar',
+        'company:Foo Bar Labs',
+        'firm:Mason Hill Architects',
+        'person:Jane Doe',
+        'firm:Design Studio',
+        'person:Bjarke Ingels'
+    ]);
+});
+
+test('tags normalized articles and searches them with entity:', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    const articles = await fetchFeedArticles();
+    const rendering = articles.find(article => article.title === 'AI Rendering in Enscape and Lumion');
+
+    assert.deepEqual(names(rendering.entities), ['tool:Enscape', 'tool:Lumion']);
+    assert.deepEqual(searchArticles(articles, 'entity:lumion').map(article => article.title),
+        ['AI Rendering in Enscape and Lumion']);
+    assert.deepEqual(searchArticles(articles, 'entity:"stable diff"').map(article => article.title),
+        ['Midjourney & Stable Diffusion for Concept Design']);
+    assert.ok(!searchArticles(articles, '-entity:midjourney').some(article => article.title.startsWith('Midjourney')));
+});
+
+test('extracts entities for articles cached before tagging', () => {
+    const article = { title: 'Enscape adds AI', description: '' };
+    assert.deepEqual(names(getArticleEntities(article)), ['tool:Enscape']);
+    assert.deepEqual(getArticleEntities({ ...article, entities: [] }), []);
+    assert.equal(getEntityId('Snøhetta'), 'snohetta');
+});
+
+test('indexes mentions with weekly trends', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const daysAgo = days => new Date(now.getTime() - days * 86400000).toISOString();
+    const article = (title, days) => ({ title: title, description: '', pubDate: daysAgo(days) });
+
+    const index = buildEntityIndex([
+        article('Revit update', 1),
+        article('Revit and Enscape', 2),
+        article('Enscape news', 9),
+        article('Enscape again', 10),
+        article('Old Revit story', 100)
+    ], { now: now, weeks: 4 });
+
+    assert.deepEqual(index.map(entity => [entity.name, entity.mentions, entity.weekly, entity.change]), [
+        ['Enscape', 3, [0, 0, 2, 1], -1],
+        ['Revit', 3, [0, 0, 0, 2], 2]
+    ]);
+});
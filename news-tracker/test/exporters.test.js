@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, silenceLogs } from './helpers.js';
+import { EXPORT_FORMATS, exportAtomFeed, exportJSONFeed, exportOPML } from '../exporters.js';
+import { saveFavorite, updateFavorite } from '../storage.js';
+
+silenceLogs();
+
+const now = new Date('2026-10-18T12:00:00.000Z');
+
+const quoted = {
+    id: 'article-0000000000000001',
+    title: 'Zaha Hadid says "AI, not BIM" is next',
+    link: 'https://www.dezeen.com/2026/10/05/ai-bim/',
+    source: 'Dezeen',
+    author: 'Ana Silva and Tom Reed',
+    pubDate: '2026-10-05T09:00:00.000Z',
+    category: 'architecture-ai',
+    categories: ['architecture-ai', 'visualization'],
+    tags: ['bim'],
+    description: 'Parametric & generative <design>.'
+};
+
+const formula = {
+    id: 'article-0000000000000002',
+    title: '=HYPERLINK("https://evil.example")',
+    link: 'https://example.com/a?x=1&y=2',
+    source: 'Dezeen',
+    pubDate: 'not a date',
+    category: 'visualization',
+    tags: [],
+    description: ''
+};
+
+const feed = {
+    title: 'AI & AEC',
+    id: 'https://tracker.example/',
+    selfUrl: 'https://tracker.example/feed.xml',
+    homeUrl: 'https://tracker.example/'
+};
+
+// Fresh storage with the first article saved as a favorite with notes and
+// tags, and the clock fixed for the export dates
+function setup(t) {
+    resetTracker();
+    t.mock.timers.enable({ apis: ['Date'], now: now });
+    saveFavorite(quoted);
+    updateFavorite(quoted.id, { notes: 'Read for 50% of {fees}_\nsecond line', tags: ['to-read'] });
+    return [quoted, formula];
+}
+
+test('Markdown lists each article with its favorite notes', t => {
+    const markdown = EXPORT_FORMATS.markdown.build(setup(t), 'Reading List');
+
+    assert.equal(markdown, [
+        '# Reading List',
+        '',
+        '_Exported 2026-10-18 · 2 articles_',
+        '',
+        '- [Zaha Hadid says "AI, not BIM" is next](<https://www.dezeen.com/2026/10/05/ai-bim/>) — Dezeen · Ana Silva and Tom Reed · 2026-10-05',
+        '  > Read for 50% of {fees}_',
+        '  > second line',
+        '- [=HYPERLINK("https://evil.example")](<https://example.com/a?x=1&y=2>) — Dezeen',
+        ''
+    ].join('\n'));
+});
+
+test('CSV quotes commas, quotes and line breaks and defuses formulas', t => {
+    const csv = EXPORT_FORMATS.csv.build(setup(t));
+
+    assert.equal(csv, [
+        'Title,URL,Source,Author,Published,Categories,Tags,Description,Notes',
+        '"Zaha Hadid says ""AI, not BIM"" is next",https://www.dezeen.com/2026/10/05/ai-bim/,Dezeen,Ana Silva and Tom Reed,' +
+            '2026-10-05,Architecture AI; Visualization,bim; to-read,Parametric & generative <design>.,"Read for 50% of {fees}_\nsecond line"',
+        '"\'=HYPERLINK(""https://evil.example"")",https://example.com/a?x=1&y=2,Dezeen,,,Visualization,,,',
+        ''
+    ].join('\r\n'));
+});
+
+test('BibTeX escapes special characters and keeps citation keys unique', t => {
+    const articles = setup(t);
+    const bibtex = EXPORT_FORMATS.bibtex.build(articles);
+
+    assert.equal(bibtex, [
+        '@online{dezeen2026zaha,',
+        '  title = {{Zaha Hadid says "AI, not BIM" is next}},',
+        '  author = {Ana Silva and Tom Reed},',
+        '  organization = {Dezeen},',
+        '  date = {2026-10-05},',
+        '  url = {https://www.dezeen.com/2026/10/05/ai-bim/},',
+        '  urldate = {2026-10-18},',
+        '  keywords = {bim, to-read},',
+        '  abstract = {Parametric \\& generative <design>.},',
+        '  note = {Read for 50\\% of \\{fees\\}\\_\nsecond line}',
+        '}',
+        '',
+        '@online{dezeenndhyperlink,',
+        '  title = {{=HYPERLINK("https://evil.example")}},',
+        '  organization = {Dezeen},',
+        '  url = {https://example.com/a?x=1&y=2},',
+        '  urldate = {2026-10-18}',
+        '}',
+        ''
+    ].join('\n'));
+
+    const keys = EXPORT_FORMATS.bibtex.build([quoted, quoted, quoted]).match(/^@online\{[^,]+/gm);
+    assert.deepEqual(keys, ['@online{dezeen2026zaha', '@online{dezeen2026zahaa', '@online{dezeen2026zahab']);
+});
+
+test('RIS keeps every field on one line', t => {
+    const ris = EXPORT_FORMATS.ris.build(setup(t));
+
+    assert.equal(ris, [
+        'TY  - ELEC',
+        'TI  - Zaha Hadid says "AI, not BIM" is next',
+        'AU  - Ana Silva',
+        'AU  - Tom Reed',
+        'PY  - 2026',
+        'DA  - 2026/10/05',
+        'PB  - Dezeen',
+        'UR  - https://www.dezeen.com/2026/10/05/ai-bim/',
+        'AB  - Parametric & generative <design>.',
+        'KW  - bim',
+        'KW  - to-read',
+        'N1  - Read for 50% of {fees}_ second line',
+        'ER  - ',
+        '',
+        'TY  - ELEC',
+        'TI  - =HYPERLINK("https://evil.example")',
+        'PB  - Dezeen',
+        'UR  - https://example.com/a?x=1&y=2',
+        'ER  - ',
+        ''
+    ].join('\r\n'));
+});
+
+test('Atom escapes text, attributes and the HTML content', t => {
+    const atom = exportAtomFeed(setup(t), feed);
+
+    assert.equal(atom, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        '  <id>https://tracker.example/</id>',
+        '  <title>AI &amp; AEC</title>',
+        '  <updated>2026-10-05T09:00:00.000Z</updated>',
+        '  <link rel="self" type="application/atom+xml" href="https://tracker.example/feed.xml"/>',
+        '  <link rel="alternate" type="text/html" href="https://tracker.example/"/>',
+        '  <generator>AI News Tracker</generator>',
+        '  <entry>',
+        '    <id>https://www.dezeen.com/2026/10/05/ai-bim/</id>',
+        '    <title>Zaha Hadid says &quot;AI, not BIM&quot; is next</title>',
+        '    <link rel="alternate" href="https://www.dezeen.com/2026/10/05/ai-bim/"/>',
+        '    <published>2026-10-05T09:00:00.000Z</published>',
+        '    <updated>2026-10-05T09:00:00.000Z</updated>',
+        '    <author><name>Ana Silva</name></author>',
+        '    <author><name>Tom Reed</name></author>',
+        '    <source><title>Dezeen</title></source>',
+        '    <category term="Architecture AI"/>',
+        '    <category term="Visualization"/>',
+        '    <summary>Parametric &amp; generative &lt;design&gt;.</summary>',
+        '    <content type="html">&lt;p&gt;Parametric &amp;amp; generative &amp;lt;design&amp;gt;.&lt;/p&gt;</content>',
+        '  </entry>',
+        '  <entry>',
+        '    <id>https://example.com/a?x=1&amp;y=2</id>',
+        '    <title>=HYPERLINK(&quot;https://evil.example&quot;)</title>',
+        '    <link rel="alternate" href="https://example.com/a?x=1&amp;y=2"/>',
+        '    <published>2026-10-18T12:00:00.000Z</published>',
+        '    <updated>2026-10-18T12:00:00.000Z</updated>',
+        '    <source><title>Dezeen</title></source>',
+        '    <category term="Visualization"/>',
+        '    <summary></summary>',
+        '    <content type="html">&lt;p&gt;&lt;/p&gt;</content>',
+        '  </entry>',
+        '</feed>',
+        ''
+    ].join('\n'));
+});
+
+test('JSON Feed carries authors, tags and escaped content HTML', t => {
+    const jsonFeed = JSON.parse(exportJSONFeed(setup(t), feed));
+
+    assert.deepEqual(jsonFeed, {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'AI & AEC',
+        home_page_url: 'https://tracker.example/',
+        feed_url: 'https://tracker.example/feed.xml',
+        items: [
+            {
+                id: 'article-0000000000000001',
+                url: 'https://www.dezeen.com/2026/10/05/ai-bim/',
+                title: 'Zaha Hadid says "AI, not BIM" is next',
+                summary: 'Parametric & generative <design>.',
+                content_html: '<p>Parametric &amp; generative &lt;design&gt;.</p>',
+                date_published: '2026-10-05T09:00:00.000Z',
+                authors: [{ name: 'Ana Silva' }, { name: 'Tom Reed' }],
+                tags: ['Architecture AI', 'Visualization', 'bim', 'to-read']
+            },
+            {
+                id: 'article-0000000000000002',
+                url: 'https://example.com/a?x=1&y=2',
+                title: '=HYPERLINK("https://evil.example")',
+                summary: '',
+                content_html: '<p></p>',
+                authors: [],
+                tags: ['Visualization']
+            }
+        ]
+    });
+});
+
+test('OPML escapes source names and URLs', t => {
+    setup(t);
+    const opml = exportOPML([{ name: 'Dezeen & Co', url: 'https://dezeen.com/feed?a=1&b="2"' }]);
+
+    assert.equal(opml, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        '    <title>AI News Tracker Sources</title>',
+        '    <dateCreated>Sun, 18 Oct 2026 12:00:00 GMT</dateCreated>',
+        '  </head>',
+        '  <body>',
+        '    <outline type="rss" text="Dezeen &amp; Co" title="Dezeen &amp; Co" xmlUrl="https://dezeen.com/feed?a=1&amp;b=&quot;2&quot;"/>',
+        '  </body>',
+        '</opml>',
+        ''
+    ].join('\n'));
+});
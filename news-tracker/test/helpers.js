@@ -0,0 +1,68 @@
+// Shared setup for the tracker's Node tests: fresh in-memory storage and a
+// fetch that serves the proxy's fixture feeds through an AllOrigins-style
+// proxy, so the shared feed parser runs on every fetch
+
+import { readFile } from 'node:fs/promises';
+import { mock } from 'node:test';
+import { setStorage, createMemoryStorage, saveFeedSources } from '../storage.js';
+import { reloadClassifier } from '../classifier.js';
+import { reloadCategories } from '../filters.js';
+import { PROXY_CHAIN } from '../rss-proxy.js';
+
+const FIXTURE_PROXY = { name: 'Fixtures', type: 'xml', url: 'https://proxy.example.com/get' };
+
+export const FIXTURE_SOURCES = [
+    { name: 'Fixture RSS', url: 'https://example.com/rss2.xml' },
+    { name: 'Fixture Atom', url: 'https://atom.example.com/atom.xml' },
+    { name: 'Fixture RDF', url: 'https://rdf.example.com/rss1.xml' },
+    { name: 'Fixture JSON', url: 'https://json.example.com/feed.json' }
+];
+
+export function readFixture(name) {
+    return readFile(new URL(`../proxy/test/fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// Start a test from empty storage (or the given { key: value } pairs) with
+// the fixture sources enabled and the categories and classifier reset
+export function resetTracker(initial = {}) {
+    setStorage(createMemoryStorage(initial), createMemoryStorage());
+    if (!initial.newsTracker_feeds) {
+        saveFeedSources(FIXTURE_SOURCES.map(feed => ({ ...feed, enabled: true, addedAt: null })));
+    }
+    reloadCategories();
+    reloadClassifier();
+}
+
+// Mock fetch for the test: feed requests through the fixture proxy get the
+// fixture file named by the feed URL's path, and articles.json gets the
+// snapshot if one is given. Returns the URLs requested, in order.
+export function mockFeedFetch(t, { snapshot = null, offline = false } = {}) {
+    const requests = [];
+    PROXY_CHAIN.splice(0, PROXY_CHAIN.length, FIXTURE_PROXY);
+
+    t.mock.method(globalThis, 'fetch', async url => {
+        requests.push(url);
+        if (offline) {
+            throw new TypeError('Failed to fetch');
+        }
+        if (url === 'articles.json') {
+            return snapshot
+                ? Response.json(snapshot)
+                : new Response('', { status: 404 });
+        }
+
+        const feedUrl = new URL(new URL(url).searchParams.get('url'));
+        const contents = await readFixture(feedUrl.pathname.slice(1)).catch(() => null);
+        return contents === null
+            ? new Response('', { status: 404 })
+            : Response.json({ contents: contents });
+    });
+
+    return requests;
+}
+
+// Keep the modules' progress logging out of the test output
+export function silenceLogs() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, mockFeedFetch, silenceLogs } from './helpers.js';
+import { fetchFeed, fetchFeedArticles, validateFeed, configureParsers } from '../rss-proxy.js';
+import { getFeedHealth } from '../storage.js';
+
+silenceLogs();
+
+test('fetches and normalizes RSS 2.0, Atom, RSS 1.0 and JSON Feed sources', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    const articles = await fetchFeedArticles();
+
+    assert.deepEqual(articles.map(article => article.title), [
+        'Midjourney & Stable Diffusion for Concept Design',
+        'Parametric Facades Driven by Machine Learning',
+        'AI Space Planning for Interiors',
+        'Automating BIM with AI Agents',
+        'AI Rendering in Enscape and Lumion',
+        'Untitled'
+    ]);
+    assert.ok(articles.every(article => /^article-[0-9a-f]{16}$/.test(article.id)));
+    assert.equal(new Set(articles.map(article => article.id)).size, articles.length);
+});
+
+test('cleans descriptions and picks lead images and sources', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    const [midjourney, facades, , , rendering] = await fetchFeedArticles();
+
+    assert.equal(midjourney.description, 'How studios use generative AI in early design.');
+    assert.equal(midjourney.image, 'https://example.com/images/media.jpg');
+    assert.equal(midjourney.author, 'Jane Architect');
+    assert.deepEqual(midjourney.tags, ['AI', 'Visualization']);
+    assert.equal(midjourney.source, 'Example');
+
+    assert.equal(facades.description, 'Computational design meets “learned” performance models.');
+    assert.equal(facades.image, 'https://example.com/images/facade.png');
+
+    assert.equal(rendering.image, 'https://json.example.com/images/render.jpg');
+});
+
+test('article IDs are stable across fetches', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    const first = await fetchFeedArticles();
+    const second = await fetchFeedArticles();
+
+    assert.deepEqual(second.map(article => article.id), first.map(article => article.id));
+});
+
+test('a feed that fails every proxy is recorded as unhealthy', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    assert.equal(await fetchFeed('https://example.com/missing.xml'), null);
+    assert.match(getFeedHealth()['https://example.com/missing.xml'].lastError, /Fixtures/);
+
+    const items = await fetchFeed('https://example.com/rss2.xml');
+    assert.equal(items.length, 2);
+    assert.equal(getFeedHealth()['https://example.com/rss2.xml'].itemCount, 2);
+});
+
+test('validateFeed reports the format and rejects pages that are not feeds', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    assert.deepEqual(await validateFeed('https://atom.example.com/atom.xml'), {
+        valid: true,
+        title: 'Fixture Atom Feed',
+        format: 'Atom',
+        itemCount: 1
+    });
+
+    const page = await validateFeed('https://example.com/not-a-feed.html');
+    assert.equal(page.valid, false);
+    assert.equal((await validateFeed('not a url')).error, 'Not a valid URL');
+});
+
+test('uses the injected entity decoder for descriptions', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+    const previous = configureParsers({ decodeHtml: text => text.toUpperCase() });
+    t.after(() => configureParsers(previous));
+
+    const [midjourney] = await fetchFeedArticles();
+
+    assert.equal(midjourney.description, 'HOW STUDIOS USE GENERATIVE AI IN EARLY DESIGN.');
+});
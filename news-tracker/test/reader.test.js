@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, mockFeedFetch, silenceLogs } from './helpers.js';
+import { getAdjacentArticle, getReaderContent, getReadingTime } from '../reader.js';
+import { getReadArticleIds, markArticleRead, markArticleUnread } from '../storage.js';
+import { fetchFeedArticles } from '../rss-proxy.js';
+
+silenceLogs();
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+test('shows the full feed content, sanitized, with relative links resolved', async t => {
+    resetTracker();
+    mockFeedFetch(t);
+
+    const articles = await fetchFeedArticles();
+    const article = articles.find(item => item.title === 'Midjourney & Stable Diffusion for Concept Design');
+    const content = getReaderContent(article);
+
+    assert.equal(content.html, '<p><img src="https://example.com/images/lead.jpg" alt="" loading="lazy"></p><p>Full article body.</p>');
+
+    const feedArticle = {
+        link: 'https://example.com/articles/long-read',
+        description: 'A short summary...',
+        content: `<h2>Intro</h2><p onclick="steal()">${words(500)}</p><script>alert(1)</script>` +
+            '<p><a href="/related">Related</a> <a href="javascript:alert(1)">bad</a></p><hr>'
+    };
+    const full = getReaderContent(feedArticle);
+
+    assert.ok(full.html.startsWith('<h2>Intro</h2><p>word0 '));
+    assert.ok(full.html.includes('<a href="https://example.com/related" target="_blank" rel="noopener noreferrer nofollow">Related</a> bad'));
+    assert.ok(!/script|onclick|javascript/.test(full.html));
+    assert.ok(full.html.endsWith('<hr>'));
+    assert.equal(full.words, 503);
+    assert.equal(full.minutes, 2);
+    assert.equal(full.isExcerpt, false);
+});
+
+test('falls back to the excerpt when the content was dropped', () => {
+    const content = getReaderContent({
+        link: 'https://example.com/a',
+        description: 'Plain summary',
+        excerptHtml: '<p>Formatted <b>summary</b></p>'
+    });
+    assert.equal(content.html, '<p>Formatted <b>summary</b></p>');
+    assert.equal(content.isExcerpt, true);
+
+    const plain = getReaderContent({ link: '#', description: 'Only <text>', content: '<img src="x.png">' });
+    assert.equal(plain.html, '<p>Only &lt;text&gt;</p>');
+    assert.equal(plain.minutes, 1);
+});
+
+test('estimates reading time at 230 words per minute', () => {
+    assert.equal(getReadingTime(''), 1);
+    assert.equal(getReadingTime(words(230)), 1);
+    assert.equal(getReadingTime(words(1200)), 5);
+});
+
+test('steps through the current list', () => {
+    const list = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    assert.equal(getAdjacentArticle(list, 'b', 1).id, 'c');
+    assert.equal(getAdjacentArticle(list, 'b', -1).id, 'a');
+    assert.equal(getAdjacentArticle(list, 'c', 1), null);
+    assert.equal(getAdjacentArticle(list, 'missing', 1), null);
+});
+
+test('marks articles read and unread', () => {
+    resetTracker();
+    markArticleRead('a');
+    markArticleRead('b');
+    markArticleUnread('a');
+
+    assert.deepEqual([...getReadArticleIds()], ['b']);
+});
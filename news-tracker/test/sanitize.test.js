@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetTracker, mockFeedFetch, silenceLogs } from './helpers.js';
+import { escapeHtml, sanitizeUrl, sanitizeHtml, stripHtml } from '../sanitize.js';
+import { fetchFeedArticles } from '../rss-proxy.js';
+
+silenceLogs();
+
+test('escapeHtml escapes text and both attribute quote styles', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.equal(escapeHtml(null), '');
+});
+
+test('sanitizeUrl only allows web and mail links', () => {
+    assert.equal(sanitizeUrl('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+    assert.equal(sanitizeUrl('mailto:editor@example.com'), 'mailto:editor@example.com');
+
+    for (const url of [
+        'javascript:alert(1)',
+        ' JavaScript:alert(1)',
+        'java\tscript:alert(1)',
+        'java&#9;script:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        '/relative/path',
+        '',
+        undefined
+    ]) {
+        assert.equal(sanitizeUrl(url), '#', String(url));
+    }
+
+    assert.equal(sanitizeUrl('mailto:editor@example.com', { schemes: ['https:'], fallback: null }), null);
+    assert.equal(sanitizeUrl('/guides/render', { baseUrl: 'https://example.com/news/' }),
+        'https://example.com/guides/render');
+});
+
+test('sanitizeHtml keeps formatting, links and images and drops everything else', () => {
+    const html = sanitizeHtml(
+        '<p class="lead" onclick="steal()">AI <b>rendering</b> with <a href="https://example.com/x" style="color:red">links</a></p>' +
+        '<script>steal()</script><style>p { display: none }</style><!-- note -->' +
+        '<img src="https://example.com/i.jpg" onerror="steal()" width="600" height="auto" alt="A &quot;render&quot;">' +
+        '<iframe src="https://example.com/embed">fallback</iframe><custom-tag>kept text</custom-tag>'
+    );
+
+    assert.equal(html,
+        '<p>AI <b>rendering</b> with <a href="https://example.com/x" target="_blank" rel="noopener noreferrer nofollow">links</a></p>' +
+        '<img src="https://example.com/i.jpg" alt="A &quot;render&quot;" width="600" loading="lazy">' +
+        'kept text');
+});
+
+test('sanitizeHtml drops unsafe links and images but keeps their text', () => {
+    assert.equal(
+        sanitizeHtml('<a href="javascript:alert(1)">click</a> <a>bare</a> <img src="data:image/png;base64,AAAA"><img src="x.png">'),
+        'click bare '
+    );
+    assert.equal(
+        sanitizeHtml('<a href="/docs">docs</a><img src="x.png">', { baseUrl: 'https://example.com/post/' }),
+        '<a href="https://example.com/docs" target="_blank" rel="noopener noreferrer nofollow">docs</a>' +
+        '<img src="https://example.com/post/x.png" loading="lazy">'
+    );
+});
+
+test('sanitizeHtml escapes stray markup and balances tags', () => {
+    assert.equal(sanitizeHtml('1 < 2 & "3" &amp; &mdash; <b>bold <i>both</b> open'),
+        '1 &lt; 2 &amp; &quot;3&quot; &amp; &mdash; <b>bold <i>both</i></b> open');
+    assert.equal(sanitizeHtml('<p>unclosed <em>tags'), '<p>unclosed <em>tags</em></p>');
+    assert.equal(sanitizeHtml('</p>text</div>'), 'text');
+    assert.equal(sanitizeHtml('<a href="https://a.example/">outer <a href="https://b.example/">inner</a>'),
+        '<a href="https://a.example/" target="_blank" rel="noopener noreferrer nofollow">outer </a>' +
+        '<a href="https://b.example/" target="_blank" rel="noopener noreferrer nofollow">inner</a>');
+    assert.equal(sanitizeHtml('cut off <a href="https://example.com/'), 'cut off &lt;a href=&quot;https://example.com/');
+});
+
+test('sanitizeHtml truncates text without counting markup or splitting entities', () => {
+    assert.equal(sanitizeHtml('<p>Hello <b>brave new</b> world</p>', { maxLength: 12 }),
+        '<p>Hello <b>brave...</b></p>');
+    assert.equal(sanitizeHtml('AT&amp;T rocks', { maxLength: 4 }), 'AT&amp;T...');
+    assert.equal(sanitizeHtml('short', { maxLength: 5 }), 'short');
+});
+
+test('stripHtml flattens to text without script or style content', () => {
+    assert.equal(stripHtml('<p>One</p><p>Two&nbsp;<b>three</b></p><script>var x = "<p>";</script><br>four'),
+        'One Two&nbsp;three four');
+});
+
+test('feed articles get safe links and a sanitized excerpt', async t => {
+    resetTracker({
+        newsTracker_feeds: JSON.stringify([{ name: 'Unsafe', url: 'https://unsafe.example.com/unsafe.xml', enabled: true }])
+    });
+    mockFeedFetch(t);
+
+    const [script, quote] = await fetchFeedArticles();
+
+    assert.equal(script.link, '#');
+    assert.equal(script.description, 'AI rendering tips for architects. Second paragraph with a trick link.');
+    assert.equal(script.excerptHtml, '<p>AI rendering <b>tips</b> for architects.</p><p>Second <em>paragraph</em> with a trick link.</p>');
+
+    assert.equal(quote.link, 'https://unsafe.example.com/a%22%20onmouseover=%22alert(1)');
+    assert.equal(quote.description, 'Generative AI for design');
+    assert.ok(!quote.excerptHtml.includes('onerror'));
+});
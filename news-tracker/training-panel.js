@@ -0,0 +1,85 @@
+// Classifier training panel for AI News Tracker
+// Shows what the learning classifier has picked up and shares it as a file
+
+import { exportModel, getModelStats, importModel, resetModel } from './classifier.js';
+import { formatDate } from './rss-proxy.js';
+import { downloadFile, recategorizeArticles } from './script.js';
+
+// DOM elements
+const trainingPanel = document.getElementById('training-panel');
+const trainingToggle = document.getElementById('training-toggle');
+const trainingStats = document.getElementById('training-stats');
+const trainingStatus = document.getElementById('training-status');
+const modelImportInput = document.getElementById('model-import-input');
+
+// Wire up the panel controls
+export function initializeTrainingPanel() {
+    trainingToggle.addEventListener('click', () => {
+        const isOpening = trainingPanel.classList.contains('hidden');
+        trainingPanel.classList.toggle('hidden');
+        trainingToggle.classList.toggle('active', isOpening);
+        if (isOpening) {
+            trainingStatus.textContent = '';
+            renderTrainingStats();
+        }
+    });
+
+    document.getElementById('model-export').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`news-tracker-model-${date}.json`, exportModel(), 'application/json');
+    });
+
+    document.getElementById('model-import').addEventListener('click', () => modelImportInput.click());
+    modelImportInput.addEventListener('change', handleModelImport);
+
+    document.getElementById('model-reset').addEventListener('click', () => {
+        if (!confirm('Forget all corrections and everything the classifier has learned?')) return;
+
+        resetModel();
+        renderTrainingStats();
+        recategorizeArticles();
+        showTrainingStatus('Classifier reset.', 'success');
+    });
+}
+
+// Render model statistics
+function renderTrainingStats() {
+    const stats = getModelStats();
+    const updated = stats.updatedAt ? formatDate(stats.updatedAt) : 'never';
+
+    trainingStats.innerHTML = `
+        <li><strong>${stats.corrections}</strong> corrections recorded</li>
+        <li><strong>${stats.categoryExamples}</strong> category examples across <strong>${stats.trainedCategories}</strong> categories</li>
+        <li><strong>${stats.irrelevantExamples}</strong> articles marked not relevant</li>
+        <li>Last trained: ${updated}</li>
+    `;
+}
+
+// Load a model file shared by a colleague
+async function handleModelImport(event) {
+    const file = event.target.files[0];
+    modelImportInput.value = '';
+    if (!file) return;
+
+    if (!confirm('Replace your trained model with the imported one? Your own corrections stay applied to the articles you corrected.')) {
+        return;
+    }
+
+    try {
+        importModel(await file.text());
+        renderTrainingStats();
+        recategorizeArticles();
+        showTrainingStatus(`Imported model from ${file.name}.`, 'success');
+    } catch (error) {
+        console.error('Error importing model:', error);
+        showTrainingStatus(`❌ ${error.message}`, 'error');
+    }
+}
+
+function showTrainingStatus(message, type) {
+    trainingStatus.textContent = message;
+    trainingStatus.classList.remove('success', 'error');
+    trainingStatus.classList.add(type);
+}
+
+console.log('🎓 Training panel module loaded');